@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { logger } = require('../src/utils/logger');
+const { parsePartFilters } = require('../src/utils/part-filters');
+const exportService = require('../src/services/exports');
+const config = require('../src/config');
+
+/**
+ * Export Script
+ * -------------
+ *
+ * This script writes the stored parts matching parts query filters to a CSV,
+ * NDJSON or XLSX file, like GET /api/exports/parts but without a row limit.
+ *
+ * Usage:
+ *   ./scripts/export-parts.js [--format=csv] [--columns=a,b] [--flatten] [--out=file] [--<filter>=value ...]
+ *
+ * Parameters:
+ *   - format: csv, ndjson or xlsx (defaults to csv)
+ *   - columns: Comma separated fields or dotted paths (defaults to the standard columns, or every field for NDJSON)
+ *   - flatten: Flatten NDJSON values like CSV cells
+ *   - out: File to write (defaults to parts-<timestamp>.<format> in the current directory)
+ *   - Any filter of GET /api/parts (q, source, category, condition, inStock, priceMin, yardState, make, ...)
+ *
+ * Examples:
+ *   ./scripts/export-parts.js --format=xlsx --source=lkq --category=Alternator
+ *   ./scripts/export-parts.js --format=ndjson --flatten --columns=partNumber,price,compatibility --out=parts.ndjson
+ */
+
+// Parse command line arguments
+const params = {};
+process.argv.slice(2).forEach((arg) => {
+  const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+  if (match) {
+    params[match[1]] = match[2] === undefined ? 'true' : match[2];
+  }
+});
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    const { out, ...values } = params;
+
+    const { filters, error: filterError } = parsePartFilters(values);
+    if (filterError) {
+      throw new Error(filterError);
+    }
+
+    const { options, error: optionError } = exportService.parseExportOptions(values);
+    if (optionError) {
+      throw new Error(optionError);
+    }
+
+    const file = out || `parts-${Date.now()}.${exportService.FORMATS[options.format].extension}`;
+
+    // Connect to MongoDB
+    logger.info('Connecting to MongoDB...');
+    await mongoose.connect(config.database.uri, config.database.options);
+    logger.info('Connected to MongoDB');
+
+    const output = fs.createWriteStream(file);
+    const rows = await exportService.writeParts(filters, options, output);
+    output.end();
+    await once(output, 'finish');
+
+    logger.info(`Exported ${rows} parts to ${file}`);
+
+    // Close MongoDB connection
+    await mongoose.disconnect();
+    logger.info('Disconnected from MongoDB');
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+
+    // Close MongoDB connection
+    try {
+      await mongoose.disconnect();
+    } catch (disconnectError) {
+      logger.error(`Error disconnecting from MongoDB: ${disconnectError.message}`);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
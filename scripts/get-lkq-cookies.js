@@ -3,20 +3,23 @@
 require('dotenv').config();
 const axios = require('axios');
 const fs = require('fs');
+const mongoose = require('mongoose');
 const { logger } = require('../src/utils/logger');
 const config = require('../src/config');
-const { 
-  extractCookiesWithPuppeteer, 
-  extractCookiesFromResponse 
-} = require('../src/utils/scraper-utils');
+const { harvestCredential } = require('../src/scrapers/lkq/harvester');
 const { getRandomUserAgent } = require('../src/utils/user-agents');
 
 /**
  * LKQ Cookie Extractor Script
  * ---------------------------
  * 
- * This script visits the LKQ website and extracts cookies that can be used
- * for scraping. The cookies are then saved to a file or displayed for manual copying.
+ * This script opens an LKQ category page in headless Chrome and captures the
+ * cookies and XvPW5hYbpt-* security headers of the page's own product search
+ * request. When MongoDB is reachable the result is stored as the newest
+ * credential set; the cookies are also saved to a file or displayed for manual copying.
+ * 
+ * If the browser session fails, cookies are requested with plain HTTP instead
+ * (without security headers).
  * 
  * Usage:
  *   ./scripts/get-lkq-cookies.js [output]
@@ -54,7 +57,7 @@ function extractCookiesFromResponse(response) {
 }
 
 /**
- * Get cookies from LKQ website
+ * Get cookies from LKQ website with plain HTTP requests
  * @returns {Promise<string>} - Cookies as string
  */
 async function getCookies() {
@@ -74,22 +77,6 @@ async function getCookies() {
     'Upgrade-Insecure-Requests': '1'
   };
   
-  // First try using Puppeteer (most reliable method)
-  try {
-    logger.info('Trying to extract cookies using Puppeteer...');
-    const puppeteerCookies = await extractCookiesWithPuppeteer(config.scrapers.lkq.baseUrl);
-    
-    if (puppeteerCookies) {
-      logger.info(`Successfully extracted cookies with Puppeteer: ${puppeteerCookies}`);
-      return puppeteerCookies;
-    } else {
-      logger.warn('No cookies extracted with Puppeteer, trying fallback methods');
-    }
-  } catch (puppeteerError) {
-    logger.warn(`Puppeteer extraction failed: ${puppeteerError.message}`);
-  }
-  
-  // Fallback: Use axios
   try {
     logger.info('Trying to extract cookies using Axios...');
     
@@ -197,12 +184,59 @@ function getImportantHeaders() {
   };
 }
 
+/**
+ * Connect to MongoDB so harvested credentials are stored
+ * @returns {Promise<boolean>} - True if connected
+ */
+async function connectDatabase() {
+  try {
+    await mongoose.connect(config.database.uri, {
+      ...config.database.options,
+      serverSelectionTimeoutMS: 5000,
+    });
+    return true;
+  } catch (error) {
+    logger.warn(`MongoDB not reachable, the credential set will not be stored: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Capture a credential set from a browser session
+ * @returns {Promise<Object|null>} - The credential set, or null if the harvest failed
+ */
+async function harvest() {
+  try {
+    logger.info('Harvesting a credential set with Puppeteer...');
+    return await harvestCredential({ force: true });
+  } catch (error) {
+    logger.warn(`Puppeteer harvest failed: ${error.message}, trying fallback methods`);
+    return null;
+  }
+}
+
 /**
  * Main function
  */
 async function main() {
   try {
-    let cookies = await getCookies();
+    const connected = await connectDatabase();
+    const credential = await harvest();
+    let cookies = credential ? credential.cookies : await getCookies();
+    
+    if (credential) {
+      if (connected) {
+        logger.info(`Stored harvested credential set ${credential._id}`);
+      }
+      
+      // Security tokens in .env form, for use without the credential store
+      logger.info('\nCaptured security headers:');
+      Object.keys(credential.headers)
+        .filter(key => key.startsWith('XvPW5hYbpt-'))
+        .forEach(key => {
+          logger.info(`LKQ_SECURITY_TOKEN_${key.slice(-1).toUpperCase()}=${credential.headers[key]}`);
+        });
+    }
     
     if (!cookies) {
       logger.warn('No cookies could be automatically extracted');
@@ -244,14 +278,17 @@ async function main() {
       logger.info(`LKQ_COOKIES=${cookies}`);
     }
     
-    // Also provide important headers
-    logger.info('\nImportant headers to include in your config:');
-    const headers = getImportantHeaders();
-    Object.keys(headers).forEach(key => {
-      logger.info(`${key}: ${headers[key]}`);
-    });
+    // Also provide important headers when none were captured
+    if (!credential) {
+      logger.info('\nImportant headers to include in your config:');
+      const headers = getImportantHeaders();
+      Object.keys(headers).forEach(key => {
+        logger.info(`${key}: ${headers[key]}`);
+      });
+    }
     
     logger.info('\nScript completed successfully');
+    await mongoose.disconnect();
   } catch (error) {
     logger.error(`Error: ${error.message}`);
     process.exit(1);
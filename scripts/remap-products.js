@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { logger } = require('../src/utils/logger');
+const { createScraper } = require('../src/scrapers');
+const { createScraperJob } = require('../src/services/storage');
+const config = require('../src/config');
+
+/**
+ * Remap Script
+ * ------------
+ *
+ * This script runs a source's archived raw products through its current mapper
+ * and stores the resulting parts, without any requests to the source. Use it to
+ * apply a mapper fix to parts that were already scraped.
+ *
+ * The run is recorded as a remap job, so its change log shows what changed:
+ *   GET /api/scrapers/jobs/<jobId>/changes
+ *
+ * Usage:
+ *   ./scripts/remap-products.js [source] [fromJobId]
+ *
+ * Parameters:
+ *   - source: Source to re-map (defaults to 'lkq')
+ *   - fromJobId: Only re-map the payloads archived by this job (defaults to the latest payload of every product)
+ *
+ * Examples:
+ *   ./scripts/remap-products.js lkq
+ *   ./scripts/remap-products.js lkq 1740645278000
+ */
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const source = args[0] || 'lkq';
+const fromJobId = args[1] || null;
+
+/**
+ * Main function
+ */
+async function main() {
+  const jobId = Date.now().toString();
+
+  try {
+    const scraper = createScraper(source);
+
+    if (!scraper) {
+      throw new Error(`Unknown scraper source: ${source}`);
+    }
+
+    // Connect to MongoDB
+    logger.info('Connecting to MongoDB...');
+    await mongoose.connect(config.database.uri, config.database.options);
+    logger.info('Connected to MongoDB');
+
+    await createScraperJob({
+      jobId,
+      source,
+      type: 'remap',
+      query: fromJobId ? `remap:${fromJobId}` : 'remap',
+      options: fromJobId ? { fromJobId } : {},
+      status: 'running',
+      startTime: new Date(),
+    });
+
+    logger.info(`Created remap job: ${jobId}`);
+
+    const remapped = await scraper.remap({ jobId, fromJobId });
+
+    logger.info(`Re-mapped ${remapped} products, see GET /api/scrapers/jobs/${jobId}/changes for the changes`);
+
+    // Close MongoDB connection
+    await mongoose.disconnect();
+    logger.info('Disconnected from MongoDB');
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+
+    // Close MongoDB connection
+    try {
+      await mongoose.disconnect();
+    } catch (disconnectError) {
+      logger.error(`Error disconnecting from MongoDB: ${disconnectError.message}`);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -3,10 +3,14 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const { logger } = require('../src/utils/logger');
-const lkqScraper = require('../src/scrapers/lkq');
-const { createScraperJob, updateScraperJob, storeScrapedData } = require('../src/services/storage');
+const { createScraper } = require('../src/scrapers');
+const credentialService = require('../src/services/credentials');
+const queueService = require('../src/services/queue');
+const { getConfigCredential } = require('../src/scrapers/lkq/api');
+const { createScraperJob, updateScraperJob, getScraperJob } = require('../src/services/storage');
 const config = require('../src/config');
 const fs = require('fs');
+const os = require('os');
 
 /**
  * LKQ Scraper Test Script
@@ -17,6 +21,7 @@ const fs = require('fs');
  * 
  * Usage:
  *   ./scripts/run-lkq-scraper.js [query] [batchSize] [maxProducts] [cookiesFile] [usePresetUrls]
+ *   ./scripts/run-lkq-scraper.js --resume <jobId> [cookiesFile]
  * 
  * Parameters:
  *   - query: Category path to scrape (defaults to 'Engine Compartment|Alternator')
@@ -24,43 +29,48 @@ const fs = require('fs');
  *   - maxProducts: Maximum number of products to scrape (defaults to 100)
  *   - cookiesFile: Path to cookies file (optional)
  *   - usePresetUrls: Whether to use preset URLs from config (true/false, defaults to false)
+ *   - --resume <jobId>: Continue an interrupted job from its last checkpoints, reusing its query and options
  * 
  * Examples:
  *   ./scripts/run-lkq-scraper.js "Engine Compartment|Alternator" 20 50 cookies.txt
  *   ./scripts/run-lkq-scraper.js "Engine Compartment|Alternator" 20 50 cookies.txt true
+ *   ./scripts/run-lkq-scraper.js --resume 1740645278000
  */
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const query = args[0] || 'Engine Compartment|Alternator';
-const batchSize = args[1] ? parseInt(args[1], 10) : config.scrapers.lkq.batchSize;
-const maxProducts = args[2] ? parseInt(args[2], 10) : 10000;
-const cookiesFile = args[3] || null;
-const usePresetUrls = args[4] === 'true';
+
+// Pull out the --resume flag before reading positional arguments
+const resumeIndex = args.indexOf('--resume');
+const resumeJobId = resumeIndex !== -1 ? args[resumeIndex + 1] : null;
+if (resumeIndex !== -1) {
+  args.splice(resumeIndex, 2);
+}
+
+const query = resumeJobId ? null : args[0] || 'Engine Compartment|Alternator';
+const batchSize = !resumeJobId && args[1] ? parseInt(args[1], 10) : config.scrapers.lkq.batchSize;
+const maxProducts = !resumeJobId && args[2] ? parseInt(args[2], 10) : 10000;
+const cookiesFile = (resumeJobId ? args[0] : args[3]) || null;
+const usePresetUrls = !resumeJobId && args[4] === 'true';
 
 /**
  * Main function
  */
 async function main() {
-  // Create a job ID at the beginning so it can be used throughout the function
-  const jobId = Date.now().toString();
+  // Reuse the job ID when resuming so the scraper picks up the job's checkpoints
+  const jobId = resumeJobId || Date.now().toString();
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let ownsJob = false;
+  let heartbeat = null;
+  let jobQuery = query;
+  let jobOptions = { 
+    batchSize, 
+    maxProducts,
+    usePresetUrls 
+  };
   
   try {
     logger.info('Starting LKQ scraper test script');
-    logger.info(`Query: ${query}`);
-    logger.info(`Batch size: ${batchSize}`);
-    logger.info(`Max products: ${maxProducts}`);
-    logger.info(`Use preset URLs: ${usePresetUrls}`);
-    
-    if (usePresetUrls) {
-      const numUrls = config.scrapers.lkq.categoryUrls ? config.scrapers.lkq.categoryUrls.length : 0;
-      logger.info(`Found ${numUrls} preset URLs in configuration`);
-      
-      if (numUrls === 0) {
-        logger.warn('No preset URLs found in configuration. Add URLs to config.scrapers.lkq.categoryUrls array.');
-        logger.info('Falling back to using the query parameter.');
-      }
-    }
     
     // Load cookies from file if provided
     let cookies = '';
@@ -79,64 +89,92 @@ async function main() {
     await mongoose.connect(config.database.uri, config.database.options);
     logger.info('Connected to MongoDB');
     
-    // Create a scraper job
-    await createScraperJob({
-      jobId,
-      source: 'lkq',
-      query,
-      options: { 
-        batchSize, 
-        maxProducts,
-        usePresetUrls 
-      },
-      status: 'pending'
-    });
+    if (resumeJobId) {
+      // Continue an existing job with its original query and options, holding a lease on it
+      // like a worker so no worker picks it up meanwhile
+      const job = await queueService.claimJob(jobId, workerId);
+      
+      if (!job) {
+        const existingJob = await getScraperJob(jobId);
+        throw new Error(existingJob
+          ? `Scraper job ${jobId} cannot be resumed from status: ${existingJob.status}${existingJob.workerId ? ` (held by ${existingJob.workerId})` : ''}`
+          : `Scraper job not found: ${jobId}`);
+      }
+      
+      jobQuery = job.query;
+      jobOptions = { ...jobOptions, ...job.options };
+      
+      logger.info(`Resuming scraper job ${jobId} from ${job.checkpoints.length} checkpoints`);
+    } else {
+      // Create a scraper job, already held by this process so no worker claims it
+      await createScraperJob({
+        jobId,
+        source: 'lkq',
+        query: jobQuery,
+        options: jobOptions,
+        status: 'running',
+        startTime: new Date(),
+        workerId,
+        leaseExpiresAt: new Date(Date.now() + config.queue.leaseMs),
+      });
+      
+      logger.info(`Created scraper job: ${jobId}`);
+    }
+    
+    ownsJob = true;
+    heartbeat = setInterval(async () => {
+      try {
+        if (!(await queueService.renewLease(jobId, workerId))) {
+          logger.warn(`Lost the lease on job ${jobId}`);
+        }
+      } catch (error) {
+        logger.error(`Heartbeat failed for job ${jobId}: ${error.message}`);
+      }
+    }, config.queue.heartbeatMs);
     
-    logger.info(`Created scraper job: ${jobId}`);
+    logger.info(`Query: ${jobQuery}`);
+    logger.info(`Batch size: ${jobOptions.batchSize}`);
+    logger.info(`Max products: ${jobOptions.maxProducts}`);
+    logger.info(`Use preset URLs: ${jobOptions.usePresetUrls}`);
     
-    // Update job status to running
-    await updateScraperJob(jobId, { status: 'running', startTime: new Date() });
+    if (jobOptions.usePresetUrls) {
+      const numUrls = config.scrapers.lkq.categoryUrls ? config.scrapers.lkq.categoryUrls.length : 0;
+      logger.info(`Found ${numUrls} preset URLs in configuration`);
+      
+      if (numUrls === 0) {
+        logger.warn('No preset URLs found in configuration. Add URLs to config.scrapers.lkq.categoryUrls array.');
+        logger.info('Falling back to using the query parameter.');
+      }
+    }
     
-    // Configure the scraper
+    // Cookies from a file become the newest credential set, used by this and later jobs
     if (cookies) {
-      config.scrapers.lkq.cookies = cookies;
+      await credentialService.saveCredential('lkq', {
+        ...getConfigCredential(),
+        cookies,
+        origin: 'manual',
+      });
     }
     
-    if (batchSize) {
-      config.scrapers.lkq.batchSize = batchSize;
-    }
+    // Configure the scraper
+    const lkqScraper = createScraper('lkq');
     
-    // Run the scraper
+    // Run the scraper - batches and checkpoints are saved to the job as it goes
     logger.info('Running LKQ scraper...');
     const startTime = Date.now();
     
-    const products = await lkqScraper.scrape(query, { 
-      maxProducts,
+    const products = await lkqScraper.scrape(jobQuery, { 
+      maxProducts: jobOptions.maxProducts,
       fetchDetails: true,
-      usePresetUrls
+      usePresetUrls: jobOptions.usePresetUrls,
+      batchSize: jobOptions.batchSize,
+      jobId
     });
     
     const duration = (Date.now() - startTime) / 1000;
     logger.info(`Scraper completed in ${duration.toFixed(2)} seconds`);
     logger.info(`Scraped ${products.length} products`);
     
-    // Store the scraped products in the database
-    if (products.length > 0) {
-      logger.info(`Storing ${products.length} products in the database...`);
-      const storageResult = await storeScrapedData('lkq', products, { jobId });
-      logger.info(`Storage complete: ${storageResult.created} created, ${storageResult.updated} updated, ${storageResult.failed} failed`);
-    } else {
-      logger.warn('No products to store in the database');
-    }
-    
-    // Update job status to completed
-    await updateScraperJob(jobId, {
-      status: 'completed',
-      endTime: new Date(),
-      duration,
-      itemsScraped: products.length
-    });
-    
     // Display some sample data
     if (products.length > 0) {
       logger.info('Sample product:');
@@ -144,6 +182,9 @@ async function main() {
       logger.info(sample);
     }
     
+    clearInterval(heartbeat);
+    await queueService.releaseJob(jobId, workerId);
+    
     // Close MongoDB connection
     await mongoose.disconnect();
     logger.info('Disconnected from MongoDB');
@@ -151,19 +192,23 @@ async function main() {
     logger.info('Script completed successfully');
   } catch (error) {
     logger.error(`Error: ${error.message}`);
+    clearInterval(heartbeat);
     
-    // Try to update job status if error occurs
-    try {
-      await updateScraperJob(jobId, {
-        status: 'failed',
-        endTime: new Date(),
-        error: {
-          message: error.message,
-          stack: error.stack
-        }
-      });
-    } catch (dbError) {
-      logger.error(`Error updating job status: ${dbError.message}`);
+    // Try to update job status if error occurs - only when this process holds the job
+    if (ownsJob) {
+      try {
+        await updateScraperJob(jobId, {
+          status: 'failed',
+          endTime: new Date(),
+          error: {
+            message: error.message,
+            stack: error.stack
+          }
+        });
+        await queueService.releaseJob(jobId, workerId);
+      } catch (dbError) {
+        logger.error(`Error updating job status: ${dbError.message}`);
+      }
     }
     
     // Close MongoDB connection
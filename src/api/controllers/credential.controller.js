@@ -0,0 +1,98 @@
+const { logger } = require('../../utils/logger');
+const scraperRegistry = require('../../scrapers');
+const credentialService = require('../../services/credentials');
+
+/**
+ * List the credential sets stored for a source (secrets hidden)
+ */
+const listCredentials = async (req, res) => {
+  try {
+    const { source } = req.params;
+
+    if (!scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    const credentials = await credentialService.listCredentials(source);
+
+    return res.status(200).json({
+      credentials: credentials.map(credentialService.sanitizeCredential),
+    });
+  } catch (error) {
+    logger.error(`Error listing credentials: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list credentials' });
+  }
+};
+
+/**
+ * Store a new credential set for a source
+ * Running jobs switch to it the next time their current credentials are rejected
+ */
+const createCredential = async (req, res) => {
+  try {
+    const { source } = req.params;
+    const { cookies, headers, userAgent, capturedAt } = req.body;
+
+    if (!scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    if (!cookies && !headers) {
+      return res.status(400).json({ error: 'Cookies or headers are required' });
+    }
+
+    if (headers && (typeof headers !== 'object' || Array.isArray(headers))) {
+      return res.status(400).json({ error: 'Headers must be an object' });
+    }
+
+    const credential = await credentialService.saveCredential(source, {
+      cookies,
+      headers,
+      userAgent,
+      capturedAt: capturedAt ? new Date(capturedAt) : new Date(),
+      origin: 'manual',
+    });
+
+    return res.status(201).json({
+      credential: credentialService.sanitizeCredential(credential),
+    });
+  } catch (error) {
+    logger.error(`Error creating credential: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to store credential' });
+  }
+};
+
+/**
+ * Harvest a fresh credential set from a browser session
+ * Opens the source's website, captures the headers of its own API requests and
+ * stores them as the newest credential set
+ */
+const harvestCredential = async (req, res) => {
+  try {
+    const { source } = req.params;
+
+    if (!scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    const scraper = scraperRegistry.createScraper(source);
+    const credential = await scraper.harvestCredential();
+
+    if (!credential) {
+      return res.status(501).json({ error: `Credential harvesting is not supported for ${source}` });
+    }
+
+    return res.status(201).json({
+      credential: credentialService.sanitizeCredential(credential),
+    });
+  } catch (error) {
+    logger.error(`Error harvesting credential: ${error.message}`);
+    return res.status(502).json({ error: `Failed to harvest credential: ${error.message}` });
+  }
+};
+
+module.exports = {
+  listCredentials,
+  createCredential,
+  harvestCredential,
+};
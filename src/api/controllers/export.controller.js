@@ -0,0 +1,187 @@
+const fs = require('fs');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+const scraperRegistry = require('../../scrapers');
+const exportService = require('../../services/exports');
+const { parsePartFilters } = require('../../utils/part-filters');
+
+/**
+ * Parse the filters and options of an export request
+ * Values come from the query string, or for export jobs also the JSON body.
+ * @param {Object} params - Request values
+ * @returns {Object} - { filters, options }, or { status, error } when a value is invalid
+ */
+const parseExportRequest = (params) => {
+  if (params.source && !scraperRegistry.hasScraper(params.source)) {
+    return { status: 404, error: `Unknown scraper source: ${params.source}` };
+  }
+
+  // Filters are parsed as query string values
+  const values = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && key !== 'columns') {
+      values[key] = String(value);
+    }
+  });
+
+  const { filters, error: filterError } = parsePartFilters(values);
+  if (filterError) {
+    return { status: 400, error: filterError };
+  }
+
+  const { options, error: optionError } = exportService.parseExportOptions({ ...values, columns: params.columns });
+  if (optionError) {
+    return { status: 400, error: optionError };
+  }
+
+  return { filters, options };
+};
+
+/**
+ * Stream the parts matching the parts query filters as a file
+ * Supports the filters of GET /parts plus `format` (csv, ndjson or xlsx; default csv), `columns` (comma separated
+ * fields or dotted paths) and `flatten` (NDJSON only). Larger exports than EXPORT_MAX_SYNC_ROWS must run as
+ * export jobs.
+ */
+const exportParts = async (req, res) => {
+  try {
+    const { filters, options, status, error } = parseExportRequest(req.query);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const total = await exportService.countParts(filters);
+
+    if (total > config.exports.maxSyncRows) {
+      return res.status(413).json({
+        error: `${total} parts match, more than the ${config.exports.maxSyncRows} that can be streamed; start an export job with POST /api/exports/parts`,
+        total,
+      });
+    }
+
+    const { extension, contentType } = exportService.FORMATS[options.format];
+    res.status(200);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="parts-${Date.now()}.${extension}"`);
+
+    try {
+      await exportService.writeParts(filters, options, res);
+      res.end();
+    } catch (streamError) {
+      // The response has started, so all that can be done is to cut it short
+      logger.error(`Error streaming parts export: ${streamError.message}`);
+      res.destroy();
+    }
+
+    return res;
+  } catch (error) {
+    logger.error(`Error exporting parts: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to export parts' });
+  }
+};
+
+/**
+ * Start an export job that writes the parts to the file store
+ * Takes the same values as GET /exports/parts, in the query string or JSON body
+ */
+const startExportJob = async (req, res) => {
+  try {
+    const { filters, options, status, error } = parseExportRequest({ ...req.query, ...req.body });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const job = await exportService.startExportJob({ ...options, filters });
+
+    return res.status(202).json({
+      message: 'Export job started',
+      exportId: job.exportId,
+      format: job.format,
+      status: job.status,
+    });
+  } catch (error) {
+    logger.error(`Error starting export job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to start export job' });
+  }
+};
+
+/**
+ * Get the status of an export job
+ */
+const getExportJob = async (req, res) => {
+  try {
+    const job = await exportService.getExportJob(req.params.exportId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    return res.status(200).json(job);
+  } catch (error) {
+    logger.error(`Error getting export job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get export job' });
+  }
+};
+
+/**
+ * Download the file of a completed export job
+ */
+const downloadExport = async (req, res) => {
+  try {
+    const job = await exportService.getExportJob(req.params.exportId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Export job is ${job.status}`, status: job.status });
+    }
+
+    const filePath = exportService.getExportFilePath(job);
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(410).json({ error: 'Export file no longer exists' });
+    }
+
+    res.set('Content-Type', exportService.FORMATS[job.format].contentType);
+    return res.download(filePath, job.fileName);
+  } catch (error) {
+    logger.error(`Error downloading export: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to download export' });
+  }
+};
+
+/**
+ * Delete an export job and its file
+ */
+const deleteExportJob = async (req, res) => {
+  try {
+    const job = await exportService.getExportJob(req.params.exportId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    if (['pending', 'running'].includes(job.status)) {
+      return res.status(409).json({ error: `Export job is ${job.status}`, status: job.status });
+    }
+
+    await exportService.deleteExportJob(job.exportId);
+
+    return res.status(200).json({ message: 'Export job deleted', exportId: req.params.exportId });
+  } catch (error) {
+    logger.error(`Error deleting export job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to delete export job' });
+  }
+};
+
+module.exports = {
+  exportParts,
+  startExportJob,
+  getExportJob,
+  downloadExport,
+  deleteExportJob,
+};
@@ -0,0 +1,154 @@
+const { logger } = require('../../utils/logger');
+const scraperRegistry = require('../../scrapers');
+const feedService = require('../../services/feeds');
+
+/**
+ * List the feeds
+ */
+const listFeeds = async (req, res) => {
+  try {
+    const feeds = await feedService.listFeeds();
+
+    return res.status(200).json({ feeds });
+  } catch (error) {
+    logger.error(`Error listing feeds: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list feeds' });
+  }
+};
+
+/**
+ * Create or replace a feed
+ * Takes the channel, format, filters, markupRules, titleTemplate, linkTemplate and brand in the JSON body
+ */
+const saveFeed = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { feed, error } = feedService.parseFeed({ ...req.body, name });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (feed.filters.source && !scraperRegistry.hasScraper(feed.filters.source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${feed.filters.source}` });
+    }
+
+    const saved = await feedService.saveFeed(feed);
+
+    return res.status(200).json({ feed: saved });
+  } catch (error) {
+    logger.error(`Error saving feed: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to save feed' });
+  }
+};
+
+/**
+ * Get a feed's definition
+ */
+const getFeed = async (req, res) => {
+  try {
+    const feed = await feedService.getFeed(req.params.name);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    return res.status(200).json({ feed });
+  } catch (error) {
+    logger.error(`Error getting feed: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get feed' });
+  }
+};
+
+/**
+ * Delete a feed
+ */
+const deleteFeed = async (req, res) => {
+  try {
+    const deleted = await feedService.deleteFeed(req.params.name);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    return res.status(200).json({ message: 'Feed deleted', name: req.params.name });
+  } catch (error) {
+    logger.error(`Error deleting feed: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to delete feed' });
+  }
+};
+
+/**
+ * Render a feed for its channel to fetch
+ * Supports a `format` query parameter (defaults to the feed's format)
+ */
+const renderFeed = async (req, res) => {
+  try {
+    const feed = await feedService.getFeed(req.params.name);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const channel = feedService.CHANNELS[feed.channel];
+    const format = req.query.format || feed.format;
+
+    if (!channel.formats.includes(format)) {
+      return res.status(400).json({ error: `${channel.name} feeds can be rendered as: ${channel.formats.join(', ')}` });
+    }
+
+    res.status(200);
+    res.set('Content-Type', channel.contentTypes[format]);
+
+    try {
+      await feedService.writeFeed(feed, res, format);
+      res.end();
+    } catch (streamError) {
+      // The response has started, so all that can be done is to cut it short
+      logger.error(`Error streaming feed ${feed.name}: ${streamError.message}`);
+      res.destroy();
+    }
+
+    return res;
+  } catch (error) {
+    logger.error(`Error rendering feed: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to render feed' });
+  }
+};
+
+/**
+ * Report the items of a feed that miss attributes its channel requires
+ * Supports a `limit` (1-1000, default 100) query parameter for the invalid items listed
+ */
+const getFeedReport = async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const parsedLimit = parseInt(limit, 10);
+
+    if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 1000) {
+      return res.status(400).json({ error: 'Limit must be a number between 1 and 1000' });
+    }
+
+    const feed = await feedService.getFeed(req.params.name);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const report = await feedService.getFeedReport(feed, { limit: parsedLimit });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error getting feed report: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get feed report' });
+  }
+};
+
+module.exports = {
+  listFeeds,
+  saveFeed,
+  getFeed,
+  deleteFeed,
+  renderFeed,
+  getFeedReport,
+};
@@ -0,0 +1,82 @@
+const { logger } = require('../../utils/logger');
+const scraperRegistry = require('../../scrapers');
+const fitmentService = require('../../services/fitment');
+
+/**
+ * Check the optional `source` query parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} - False when an error response was sent
+ */
+const checkSource = (req, res) => {
+  const { source } = req.query;
+
+  if (source && !scraperRegistry.hasScraper(source)) {
+    res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * List the makes that scraped parts fit
+ */
+const listMakes = async (req, res) => {
+  try {
+    if (!checkSource(req, res)) {
+      return undefined;
+    }
+
+    const makes = await fitmentService.listMakes({ source: req.query.source });
+
+    return res.status(200).json({ makes });
+  } catch (error) {
+    logger.error(`Error listing makes: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list makes' });
+  }
+};
+
+/**
+ * List the models of a make that scraped parts fit
+ */
+const listModels = async (req, res) => {
+  try {
+    if (!checkSource(req, res)) {
+      return undefined;
+    }
+
+    const { make } = req.params;
+    const models = await fitmentService.listModels(make, { source: req.query.source });
+
+    return res.status(200).json({ make, models });
+  } catch (error) {
+    logger.error(`Error listing models: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list models' });
+  }
+};
+
+/**
+ * List the years of a make and model that scraped parts fit
+ */
+const listYears = async (req, res) => {
+  try {
+    if (!checkSource(req, res)) {
+      return undefined;
+    }
+
+    const { make, model } = req.params;
+    const years = await fitmentService.listYears(make, model, { source: req.query.source });
+
+    return res.status(200).json({ make, model, years });
+  } catch (error) {
+    logger.error(`Error listing years: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list years' });
+  }
+};
+
+module.exports = {
+  listMakes,
+  listModels,
+  listYears,
+};
@@ -0,0 +1,53 @@
+const { logger } = require('../../utils/logger');
+const scraperRegistry = require('../../scrapers');
+const interchangeService = require('../../services/interchange');
+const { normaliseInterchange } = require('../../utils/interchange');
+
+/**
+ * List the parts, across sources and yards, that share an interchange number
+ * Supports `source`, `inStock`, `delisted` (exclude or include; default
+ * exclude) and `limit` (default 100, max 1000) query parameters
+ */
+const getInterchangeParts = async (req, res) => {
+  try {
+    const { number } = req.params;
+    const { source, inStock, delisted = 'exclude', limit = 100 } = req.query;
+
+    if (!normaliseInterchange(number)) {
+      return res.status(400).json({ error: 'Interchange number is required' });
+    }
+
+    if (source && !scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    if (!['exclude', 'include'].includes(delisted)) {
+      return res.status(400).json({ error: 'Delisted must be one of: exclude, include' });
+    }
+
+    if (inStock && !['true', 'false'].includes(inStock)) {
+      return res.status(400).json({ error: 'inStock must be true or false' });
+    }
+
+    const parsedLimit = parseInt(limit, 10);
+    if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 1000) {
+      return res.status(400).json({ error: 'Limit must be a number between 1 and 1000' });
+    }
+
+    const result = await interchangeService.findByInterchange(number, {
+      source,
+      inStock: inStock !== undefined ? inStock === 'true' : undefined,
+      includeDelisted: delisted === 'include',
+      limit: parsedLimit,
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error getting interchange parts: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get interchange parts' });
+  }
+};
+
+module.exports = {
+  getInterchangeParts,
+};
@@ -0,0 +1,111 @@
+const { logger } = require('../../utils/logger');
+const scraperRegistry = require('../../scrapers');
+const storageService = require('../../services/storage');
+const searchService = require('../../services/search');
+const { parsePartFilters } = require('../../utils/part-filters');
+
+/**
+ * Search and list stored parts
+ * Supports `q` (full-text), `source`, `category`, `condition`, `inStock`,
+ * `priceMin`, `priceMax`, `yardState`, `vehicleMake`, `vehicleModel`,
+ * `vehicleYear` (the vehicle the part was pulled from), `make`, `model`, `year`
+ * (vehicles the part fits), `delisted` (exclude, include or only; default
+ * exclude), `sort`, `limit` and `cursor` query parameters
+ */
+const listParts = async (req, res) => {
+  try {
+    const { q, source, sort, limit = 20, cursor } = req.query;
+
+    if (source && !scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    const { filters, error } = parsePartFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (sort && !searchService.SORTS[sort]) {
+      return res.status(400).json({ error: `Sort must be one of: ${Object.keys(searchService.SORTS).join(', ')}` });
+    }
+
+    if (sort === 'relevance' && !q) {
+      return res.status(400).json({ error: 'Sorting by relevance needs a search query (q)' });
+    }
+
+    const parsedLimit = parseInt(limit, 10);
+    if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+      return res.status(400).json({ error: 'Limit must be a number between 1 and 100' });
+    }
+
+    const result = await searchService.searchParts(filters, { sort, limit: parsedLimit, cursor });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    logger.error(`Error listing parts: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list parts' });
+  }
+};
+
+/**
+ * Get the price and availability timeline of a part
+ * Supports `limit` (default 100, max 1000) and `since` (ISO date) query parameters
+ */
+const getPartHistory = async (req, res) => {
+  try {
+    const { source, partNumber } = req.params;
+    const { limit = 100, since } = req.query;
+
+    if (!scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    const parsedLimit = parseInt(limit, 10);
+    if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 1000) {
+      return res.status(400).json({ error: 'Limit must be a number between 1 and 1000' });
+    }
+
+    const sinceDate = since ? new Date(since) : undefined;
+    if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ error: 'Since must be a valid date' });
+    }
+
+    const part = await storageService.getPart(source, partNumber);
+
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    const history = await storageService.getPartHistory(source, partNumber, {
+      limit: parsedLimit,
+      since: sinceDate,
+    });
+
+    return res.status(200).json({
+      source,
+      partNumber,
+      name: part.name,
+      current: {
+        price: part.price,
+        currency: part.currency,
+        inStock: part.inStock,
+        quantity: part.quantity,
+        condition: part.condition,
+        updatedAt: part.updatedAt,
+      },
+      history,
+    });
+  } catch (error) {
+    logger.error(`Error getting part history: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get part history' });
+  }
+};
+
+module.exports = {
+  listParts,
+  getPartHistory,
+};
@@ -0,0 +1,60 @@
+const { logger } = require('../../utils/logger');
+const proxyService = require('../../services/proxies');
+
+const SUPPORTED_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+
+/**
+ * List the proxies in the pool with their health scores
+ */
+const listProxies = async (req, res) => {
+  try {
+    const proxies = await proxyService.listProxies();
+
+    return res.status(200).json({ proxies });
+  } catch (error) {
+    logger.error(`Error listing proxies: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list proxies' });
+  }
+};
+
+/**
+ * Add a proxy to the pool
+ */
+const addProxy = async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'Proxy URL is required' });
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Invalid proxy URL' });
+    }
+
+    if (!SUPPORTED_PROTOCOLS.includes(parsed.protocol)) {
+      return res.status(400).json({ error: `Proxy protocol must be one of: ${SUPPORTED_PROTOCOLS.join(', ')}` });
+    }
+
+    const proxy = await proxyService.addProxy(url);
+
+    return res.status(201).json({
+      proxy: {
+        url: proxyService.maskProxyUrl(proxy.url),
+        status: proxy.status,
+        origin: proxy.origin,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error adding proxy: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to add proxy' });
+  }
+};
+
+module.exports = {
+  listProxies,
+  addProxy,
+};
@@ -1,22 +1,14 @@
 const { logger } = require('../../utils/logger');
-const lkqScraper = require('../../scrapers/lkq');
+const scraperRegistry = require('../../scrapers');
 const storageService = require('../../services/storage');
+const queueService = require('../../services/queue');
 
 /**
  * List all available scrapers
  */
 const listScrapers = async (req, res) => {
   try {
-    const scrapers = [
-      {
-        id: 'lkq',
-        name: 'LKQ Auto Parts',
-        description: 'Scraper for LKQ auto parts website',
-        status: 'active',
-        categories: lkqScraper.getAvailableCategories(),
-      },
-      // Add other scrapers here as they are implemented
-    ];
+    const scrapers = scraperRegistry.describeScrapers();
 
     return res.status(200).json({ scrapers });
   } catch (error) {
@@ -26,12 +18,17 @@ const listScrapers = async (req, res) => {
 };
 
 /**
- * Run the LKQ scraper
+ * Queue a scraper job for a registered source
  */
-const runLkqScraper = async (req, res) => {
+const startScraperJob = async (req, res) => {
   try {
+    const { source } = req.params;
     const { query, options = {} } = req.body;
     
+    if (!scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+    
     if (!query) {
       return res.status(400).json({ error: 'Query parameter is required' });
     }
@@ -39,46 +36,73 @@ const runLkqScraper = async (req, res) => {
     // Generate a job ID
     const jobId = Date.now().toString();
     
-    // Create a scraper job record
-    await storageService.createScraperJob({
+    // Queue the job - a worker process picks it up and runs the scraper
+    await queueService.enqueueJob({
       jobId,
-      source: 'lkq',
+      source,
       query,
       options: {
         ...options
       },
-      status: 'pending',
     });
     
-    // Merge options with job ID
-    const scraperOptions = {
-      ...options,
-      jobId,
-    };
+    logger.info(`Queued ${source} scraper job ${jobId} with query: ${query} and options: ${JSON.stringify(options)}`);
     
-    logger.info(`Starting LKQ scraper with query: ${query} and options: ${JSON.stringify(scraperOptions)}`);
-    
-    // Start the scraper in the background and return immediately
-    res.status(202).json({ 
-      message: 'Scraper started successfully', 
+    return res.status(202).json({ 
+      message: 'Scraper job queued successfully', 
+      source,
       query,
       jobId,
-      options: scraperOptions
+      options
     });
+  } catch (error) {
+    logger.error(`Error queueing scraper job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to queue scraper job' });
+  }
+};
+
+/**
+ * Queue a job that re-maps a source's archived raw products with the current mapper
+ * Nothing is fetched from the source; `fromJobId` limits it to one job's payloads
+ */
+const startRemapJob = async (req, res) => {
+  try {
+    const { source } = req.params;
+    const { fromJobId, batchSize } = req.body;
     
-    try {
-      // Run the scraper with job ID - the scraper will save data after each batch
-      await lkqScraper.scrape(query, scraperOptions);
-      
-      logger.info(`LKQ scraper completed for query: ${query} with job ID: ${jobId}`);
-    } catch (error) {
-      logger.error(`Error in LKQ scraper job ${jobId}: ${error.message}`);
-      // We already returned a response to the client, so we just log the error
-      // The scraper has its own error handling that will update the job status
+    if (!scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
     }
+    
+    if (fromJobId && !(await storageService.getScraperJob(fromJobId))) {
+      return res.status(404).json({ error: `Scraper job not found: ${fromJobId}` });
+    }
+    
+    const jobId = Date.now().toString();
+    const options = {
+      ...(fromJobId ? { fromJobId } : {}),
+      ...(batchSize ? { batchSize: parseInt(batchSize, 10) } : {}),
+    };
+    
+    await queueService.enqueueJob({
+      jobId,
+      source,
+      type: 'remap',
+      query: fromJobId ? `remap:${fromJobId}` : 'remap',
+      options,
+    });
+    
+    logger.info(`Queued ${source} remap job ${jobId}${fromJobId ? ` for job ${fromJobId}` : ''}`);
+    
+    return res.status(202).json({
+      message: 'Remap job queued successfully',
+      source,
+      jobId,
+      options,
+    });
   } catch (error) {
-    logger.error(`Error starting LKQ scraper: ${error.message}`);
-    return res.status(500).json({ error: 'Failed to start scraper' });
+    logger.error(`Error queueing remap job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to queue remap job' });
   }
 };
 
@@ -102,13 +126,20 @@ const getScraperJobStatus = async (req, res) => {
     return res.status(200).json({
       jobId: job.jobId,
       source: job.source,
+      type: job.type,
       query: job.query,
       status: job.status,
       startTime: job.startTime,
       endTime: job.endTime,
       duration: job.duration,
       itemsScraped: job.itemsScraped,
+      stats: job.stats,
       lastBatchTime: job.lastBatchTime,
+      attempts: job.attempts,
+      workerId: job.workerId,
+      heartbeatAt: job.heartbeatAt,
+      checkpoints: job.checkpoints,
+      rateLimit: job.rateLimit,
       error: job.error ? {
         message: job.error.message
       } : null,
@@ -121,8 +152,203 @@ const getScraperJobStatus = async (req, res) => {
   }
 };
 
+/**
+ * List the changes a scraper job made to parts
+ * Supports `type` (new, changed or delisted), `field`, `page` and `limit` query parameters
+ */
+const getScraperJobChanges = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { type, field, page = 1, limit = 50 } = req.query;
+    
+    if (type && !['new', 'changed', 'delisted'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be one of: new, changed, delisted' });
+    }
+    
+    const parsedPage = parseInt(page, 10);
+    const parsedLimit = parseInt(limit, 10);
+    if (Number.isNaN(parsedPage) || parsedPage < 1 || Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 500) {
+      return res.status(400).json({ error: 'Page must be a positive number and limit a number between 1 and 500' });
+    }
+    
+    const job = await storageService.getScraperJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Scraper job not found' });
+    }
+    
+    const result = await storageService.listPartChanges(
+      jobId,
+      { type, field },
+      { page: parsedPage, limit: parsedLimit }
+    );
+    
+    return res.status(200).json({
+      jobId,
+      summary: {
+        new: job.stats.created,
+        changed: job.stats.updated,
+        unchanged: job.stats.unchanged,
+        delisted: job.stats.delisted,
+        failed: job.stats.failed,
+        quarantined: job.stats.quarantined,
+      },
+      ...result,
+    });
+  } catch (error) {
+    logger.error(`Error listing scraper job changes: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list scraper job changes' });
+  }
+};
+
+/**
+ * List the products a scraper job quarantined because they failed validation
+ * Supports `page` and `limit` query parameters
+ */
+const getScraperJobQuarantine = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    
+    const parsedPage = parseInt(page, 10);
+    const parsedLimit = parseInt(limit, 10);
+    if (Number.isNaN(parsedPage) || parsedPage < 1 || Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 500) {
+      return res.status(400).json({ error: 'Page must be a positive number and limit a number between 1 and 500' });
+    }
+    
+    const job = await storageService.getScraperJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Scraper job not found' });
+    }
+    
+    const result = await storageService.listQuarantinedParts(jobId, { page: parsedPage, limit: parsedLimit });
+    
+    return res.status(200).json({
+      jobId,
+      ...result,
+    });
+  } catch (error) {
+    logger.error(`Error listing quarantined parts: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to list quarantined parts' });
+  }
+};
+
+/**
+ * Resume a scraper job from its last checkpoints
+ */
+const resumeScraperJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    const job = await storageService.getScraperJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Scraper job not found' });
+    }
+    
+    // Completed jobs can only be resumed if a category stopped before the end (e.g. after repeated errors)
+    const hasIncompleteCheckpoints = (job.checkpoints || []).some(checkpoint => !checkpoint.completed);
+    const resumable = ['failed', 'paused'].includes(job.status) ||
+      (job.status === 'completed' && hasIncompleteCheckpoints);
+    
+    if (!resumable) {
+      return res.status(409).json({ error: `Job cannot be resumed from status: ${job.status}` });
+    }
+    
+    // A paused job is still held by its worker until the current batch is flushed
+    if (job.status === 'paused' && job.workerId) {
+      return res.status(409).json({ error: 'Job is still finishing its current batch, try again shortly' });
+    }
+    
+    // The job may have been claimed or changed since it was read
+    const requeued = await queueService.requeueJob(jobId);
+    
+    if (!requeued) {
+      return res.status(409).json({ error: 'Job is no longer resumable, check its status and try again' });
+    }
+    
+    logger.info(`Resuming scraper job ${jobId} from ${job.checkpoints.length} checkpoints`);
+    
+    return res.status(202).json({
+      message: 'Scraper job queued for resume',
+      jobId,
+      checkpoints: job.checkpoints,
+    });
+  } catch (error) {
+    logger.error(`Error resuming scraper job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to resume scraper job' });
+  }
+};
+
+/**
+ * Cancel a scraper job
+ */
+const cancelScraperJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    const existingJob = await storageService.getScraperJob(jobId);
+    
+    if (!existingJob) {
+      return res.status(404).json({ error: 'Scraper job not found' });
+    }
+    
+    const job = await queueService.cancelJob(jobId);
+    
+    if (!job) {
+      return res.status(409).json({ error: `Job cannot be cancelled from status: ${existingJob.status}` });
+    }
+    
+    return res.status(202).json({
+      message: job.status === 'cancelled' ? 'Scraper job cancelled' : 'Scraper job will stop after its current batch',
+      jobId,
+      status: job.status,
+    });
+  } catch (error) {
+    logger.error(`Error cancelling scraper job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to cancel scraper job' });
+  }
+};
+
+/**
+ * Pause a scraper job
+ */
+const pauseScraperJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    const existingJob = await storageService.getScraperJob(jobId);
+    
+    if (!existingJob) {
+      return res.status(404).json({ error: 'Scraper job not found' });
+    }
+    
+    const job = await queueService.pauseJob(jobId);
+    
+    if (!job) {
+      return res.status(409).json({ error: `Job cannot be paused from status: ${existingJob.status}` });
+    }
+    
+    return res.status(202).json({
+      message: job.workerId ? 'Scraper job will pause after its current batch' : 'Scraper job paused',
+      jobId,
+      status: job.status,
+    });
+  } catch (error) {
+    logger.error(`Error pausing scraper job: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to pause scraper job' });
+  }
+};
+
 module.exports = {
   listScrapers,
-  runLkqScraper,
+  startScraperJob,
+  startRemapJob,
   getScraperJobStatus,
+  getScraperJobChanges,
+  getScraperJobQuarantine,
+  resumeScraperJob,
+  cancelScraperJob,
+  pauseScraperJob,
 }; 
\ No newline at end of file
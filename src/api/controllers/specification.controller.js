@@ -0,0 +1,38 @@
+const { logger } = require('../../utils/logger');
+const scraperRegistry = require('../../scrapers');
+const specificationService = require('../../services/specifications');
+
+/**
+ * Report which stored parts the specification rules found nothing in
+ * Supports `source`, `category` and `samples` (descriptions without
+ * specifications per category; default 10, max 100) query parameters
+ */
+const getCoverageReport = async (req, res) => {
+  try {
+    const { source, category, samples = 10 } = req.query;
+
+    if (source && !scraperRegistry.hasScraper(source)) {
+      return res.status(404).json({ error: `Unknown scraper source: ${source}` });
+    }
+
+    const parsedSamples = parseInt(samples, 10);
+    if (Number.isNaN(parsedSamples) || parsedSamples < 0 || parsedSamples > 100) {
+      return res.status(400).json({ error: 'Samples must be a number between 0 and 100' });
+    }
+
+    const report = await specificationService.getCoverageReport({
+      source,
+      category,
+      samples: parsedSamples,
+    });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error getting specification coverage: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get specification coverage' });
+  }
+};
+
+module.exports = {
+  getCoverageReport,
+};
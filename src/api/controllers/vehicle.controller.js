@@ -0,0 +1,40 @@
+const { logger } = require('../../utils/logger');
+const vehicleService = require('../../services/vehicles');
+
+/**
+ * List the parts harvested from a source vehicle
+ * Supports a `delisted` (exclude or include; default exclude) query parameter
+ */
+const getVehicleParts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { delisted = 'exclude' } = req.query;
+
+    if (!['exclude', 'include'].includes(delisted)) {
+      return res.status(400).json({ error: 'Delisted must be one of: exclude, include' });
+    }
+
+    const vehicle = await vehicleService.getVehicle(id);
+
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    const parts = await vehicleService.listVehicleParts(vehicle._id, {
+      includeDelisted: delisted === 'include',
+    });
+
+    return res.status(200).json({
+      vehicle,
+      total: parts.length,
+      parts,
+    });
+  } catch (error) {
+    logger.error(`Error getting vehicle parts: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get vehicle parts' });
+  }
+};
+
+module.exports = {
+  getVehicleParts,
+};
@@ -2,6 +2,15 @@ const express = require('express');
 const router = express.Router();
 
 const scraperController = require('./controllers/scraper.controller');
+const credentialController = require('./controllers/credential.controller');
+const proxyController = require('./controllers/proxy.controller');
+const partController = require('./controllers/part.controller');
+const fitmentController = require('./controllers/fitment.controller');
+const interchangeController = require('./controllers/interchange.controller');
+const vehicleController = require('./controllers/vehicle.controller');
+const specificationController = require('./controllers/specification.controller');
+const exportController = require('./controllers/export.controller');
+const feedController = require('./controllers/feed.controller');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -10,12 +19,57 @@ router.get('/health', (req, res) => {
 
 // Scraper routes
 router.get('/scrapers', scraperController.listScrapers);
-router.post('/scrapers/lkq', scraperController.runLkqScraper);
+router.post('/scrapers/:source/jobs', scraperController.startScraperJob);
+router.post('/scrapers/:source/remap', scraperController.startRemapJob);
 
 // Job status routes
 router.get('/scrapers/jobs/:jobId', scraperController.getScraperJobStatus);
+router.get('/scrapers/jobs/:jobId/changes', scraperController.getScraperJobChanges);
+router.get('/scrapers/jobs/:jobId/quarantine', scraperController.getScraperJobQuarantine);
+router.post('/scrapers/jobs/:jobId/cancel', scraperController.cancelScraperJob);
+router.post('/scrapers/jobs/:jobId/pause', scraperController.pauseScraperJob);
+router.post('/scrapers/jobs/:jobId/resume', scraperController.resumeScraperJob);
 
-// Add routes for other scrapers here
-// router.post('/scrapers/other-scraper', scraperController.runOtherScraper);
+// Part routes
+router.get('/parts', partController.listParts);
+router.get('/parts/:source/:partNumber/history', partController.getPartHistory);
+
+// Fitment routes
+router.get('/fitment/makes', fitmentController.listMakes);
+router.get('/fitment/makes/:make/models', fitmentController.listModels);
+router.get('/fitment/makes/:make/models/:model/years', fitmentController.listYears);
+
+// Interchange routes
+router.get('/interchange/:number', interchangeController.getInterchangeParts);
+
+// Source vehicle routes
+router.get('/vehicles/:id/parts', vehicleController.getVehicleParts);
+
+// Specification routes
+router.get('/specifications/coverage', specificationController.getCoverageReport);
+
+// Export routes
+router.get('/exports/parts', exportController.exportParts);
+router.post('/exports/parts', exportController.startExportJob);
+router.get('/exports/:exportId', exportController.getExportJob);
+router.get('/exports/:exportId/download', exportController.downloadExport);
+router.delete('/exports/:exportId', exportController.deleteExportJob);
+
+// Feed routes
+router.get('/feeds', feedController.listFeeds);
+router.get('/feeds/:name', feedController.getFeed);
+router.put('/feeds/:name', feedController.saveFeed);
+router.delete('/feeds/:name', feedController.deleteFeed);
+router.get('/feeds/:name/items', feedController.renderFeed);
+router.get('/feeds/:name/report', feedController.getFeedReport);
+
+// Credential routes
+router.get('/credentials/:source', credentialController.listCredentials);
+router.post('/credentials/:source', credentialController.createCredential);
+router.post('/credentials/:source/harvest', credentialController.harvestCredential);
+
+// Proxy routes
+router.get('/proxies', proxyController.listProxies);
+router.post('/proxies', proxyController.addProxy);
 
 module.exports = router; 
\ No newline at end of file
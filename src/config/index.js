@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   server: {
@@ -14,16 +15,54 @@ const config = {
   logging: {
     level: process.env.LOG_LEVEL || 'info',
   },
+  queue: {
+    leaseMs: parseInt(process.env.QUEUE_LEASE_MS || '120000', 10), // how long a claimed job stays owned without a heartbeat
+    heartbeatMs: parseInt(process.env.QUEUE_HEARTBEAT_MS || '30000', 10),
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '5000', 10),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10),
+    workerConcurrency: parseInt(process.env.WORKER_CONCURRENCY || '2', 10), // jobs run in parallel by one worker process
+  },
+  proxies: {
+    urls: (process.env.PROXY_URLS || '').split(',').map(url => url.trim()).filter(Boolean), // seeded into the proxy pool
+    quarantineMs: parseInt(process.env.PROXY_QUARANTINE_MS || '1800000', 10), // how long a proxy served challenge pages is skipped
+    refreshMs: parseInt(process.env.PROXY_REFRESH_MS || '60000', 10), // how often the pool is reloaded from MongoDB
+  },
+  archive: {
+    enabled: process.env.ARCHIVE_RAW_PRODUCTS !== 'false', // keep every raw API product for re-mapping
+    remapBatchSize: parseInt(process.env.REMAP_BATCH_SIZE || '500', 10),
+    keepPerProduct: parseInt(process.env.ARCHIVE_KEEP_PER_PRODUCT || '3', 10), // newest copies kept of each product (0 keeps all)
+  },
+  exports: {
+    dir: process.env.EXPORTS_DIR || path.join(process.cwd(), 'exports'), // where export jobs write their files
+    maxSyncRows: parseInt(process.env.EXPORT_MAX_SYNC_ROWS || '50000', 10), // larger exports must run as export jobs
+  },
   scrapers: {
     timeout: parseInt(process.env.SCRAPER_TIMEOUT || '30000', 10),
     retryAttempts: parseInt(process.env.SCRAPER_RETRY_ATTEMPTS || '3', 10),
+    maxConcurrentJobs: parseInt(process.env.SCRAPER_MAX_CONCURRENT_JOBS || '2', 10), // default cap per source across all workers
     lkq: {
       baseUrl: process.env.LKQ_BASE_URL || 'https://www.lkqonline.com',
       apiUrl: process.env.LKQ_API_URL || 'https://www.lkqonline.com/api/catalog/0/product',
       parallelRequests: parseInt(process.env.LKQ_PARALLEL_REQUESTS || '1', 10),
-      requestDelay: parseInt(process.env.LKQ_REQUEST_DELAY || '1000', 10), // milliseconds between requests
+      rateLimit: {
+        requestsPerMinute: parseInt(process.env.LKQ_REQUESTS_PER_MINUTE || '30', 10), // shared by all jobs in a worker process
+        minRequestsPerMinute: parseInt(process.env.LKQ_MIN_REQUESTS_PER_MINUTE || '4', 10), // floor when LKQ pushes back
+        burst: parseInt(process.env.LKQ_RATE_BURST || '2', 10),
+        successStreak: parseInt(process.env.LKQ_RATE_SUCCESS_STREAK || '20', 10), // successes before speeding back up
+      },
       batchSize: parseInt(process.env.LKQ_BATCH_SIZE || '500', 10),
+      maxConcurrentJobs: parseInt(process.env.LKQ_MAX_CONCURRENT_JOBS || '1', 10),
       useCookies: process.env.LKQ_USE_COOKIES === 'true',
+      http: {
+        mode: process.env.LKQ_HTTP_MODE || 'live', // 'record' writes API responses to fixtures, 'replay' serves them back
+        fixturesDir: process.env.LKQ_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'lkq'),
+      },
+      harvest: {
+        auto: process.env.LKQ_AUTO_HARVEST !== 'false', // harvest a new credential set when all stored ones are rejected
+        pagePath: process.env.LKQ_HARVEST_PAGE || '/alternator', // category page whose product search is captured
+        timeout: parseInt(process.env.LKQ_HARVEST_TIMEOUT || '90000', 10),
+        cooldownMs: parseInt(process.env.LKQ_HARVEST_COOLDOWN_MS || '600000', 10), // minimum time between automatic harvests
+      },
       cookies: process.env.LKQ_COOKIES || 'userId=299078579207720039; _gcl_au=1.1.2256666.1740073657; OptanonAlertBoxClosed=2025-02-20T17:48:59.361Z; _gid=GA1.2.248167551.1740598796; BE_CLA3=p_id%3DL2R44J2JNA6LRR8LNP68JPRJRAAAAAAAAH%26bf%3Dundefined%26bn%3D4%26bv%3D3.47%26s_expire%3D1740731677948%26s_id%3D22R44J2JNA6LR6RLN628JPRJRAAAAAAAAH; OptanonConsent=isGpcEnabled=0&datestamp=Thu+Feb+27+2025+13%3A34%3A38+GMT%2B0500+(Pakistan+Standard+Time)&version=202308.2.0&browserGpcFlag=0&isIABGlobal=false&hosts=&genVendors=&consentId=c543c4e8-c332-4240-b958-5d81ffa9eec5&interactionCount=1&landingPath=NotLandingPage&groups=C0001%3A1%2CC0002%3A1%2CC0004%3A1&geolocation=US%3BIL&AwaitingReconsent=false; _ga=GA1.2.813824047.1740073658; _clck=1ev9zw2%7C2%7Cfts%7C0%7C1877; _clsk=pspem7%7C1740645995425%7C6%7C1%7Cp.clarity.ms%2Fcollect; CCbdcy63=A2CWeCSVAQAAWVKiCmu0QCpQ2v8Ij86QVmtx5p8U5mmF5g6OR9Y4RgEY-c35AdiDTKmucpbCwH8AADQwAAAAAA|1|1|22781685124e5423d31feca55461d255ce92a289; _ga_LHK15G9CXP=GS1.1.1740645278.3.1.1740646041.6.0.0; _uetsid=7540a670f47911efa40f079d80516968; _uetvid=c7137e60efb211efa200c53b7475bae2',
       categories: [
         // Initial category to fetch
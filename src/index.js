@@ -5,6 +5,7 @@ require('dotenv').config();
 
 const { logger } = require('./utils/logger');
 const apiRoutes = require('./api/routes');
+const exportService = require('./services/exports');
 
 // Initialize Express app
 const app = express();
@@ -44,6 +45,9 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     logger.info('Connected to MongoDB');
+
+    // Export jobs run in this process, so any still running were cut short by a restart
+    exportService.failInterruptedExports().catch(() => {});
     
     // Start the server
     app.listen(PORT, () => {
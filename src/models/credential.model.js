@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
+
+const credentialSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      required: true,
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    cookies: {
+      type: String,
+      default: '',
+    },
+    // Request headers captured with the cookies (e.g. LKQ's XvPW5hYbpt-* anti-bot tokens)
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    userAgent: {
+      type: String,
+    },
+    // Proxy the set was harvested through - its cookies are tied to that IP
+    proxyUrl: {
+      type: String,
+    },
+    origin: {
+      type: String,
+      enum: ['config', 'manual', 'harvested'],
+      default: 'manual',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'expired'],
+      default: 'active',
+    },
+    capturedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    expiredAt: {
+      type: Date,
+    },
+    expiryReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The newest active credential set for a source is the one in use
+credentialSchema.index({ source: 1, status: 1, capturedAt: -1 });
+
+const Credential = mongoose.model('Credential', credentialSchema);
+
+module.exports = Credential;
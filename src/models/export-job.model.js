@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * An export of parts written to the local file store, to download later
+ */
+const exportJobSchema = new mongoose.Schema(
+  {
+    exportId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    format: {
+      type: String,
+      required: true,
+      enum: ['csv', 'ndjson', 'xlsx'],
+    },
+    // Part filters, as accepted by the search service
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    columns: [String],
+    flatten: {
+      type: Boolean,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+    },
+    // File name within the exports directory
+    fileName: {
+      type: String,
+    },
+    rows: {
+      type: Number,
+      default: 0,
+    },
+    size: {
+      type: Number,
+    },
+    startTime: {
+      type: Date,
+    },
+    endTime: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = ExportJob;
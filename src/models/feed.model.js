@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * A marketplace listing feed: which parts it lists, on which channel, and how
+ * their titles and prices are built
+ */
+const feedSchema = new mongoose.Schema(
+  {
+    // URL-safe name (e.g. 'google-alternators')
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    channel: {
+      type: String,
+      required: true,
+      enum: ['google', 'ebay'],
+    },
+    format: {
+      type: String,
+      enum: ['xml', 'tsv'],
+      default: 'xml',
+    },
+    // Part filters, as accepted by the search service; feeds only list in stock parts
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Markup on the scraped price; the first rule that matches a part applies
+    markupRules: [
+      {
+        _id: false,
+        source: String,
+        category: String,
+        condition: String,
+        // Range of the scraped price, in major units
+        priceMin: Number,
+        priceMax: Number,
+        percent: {
+          type: Number,
+          default: 0,
+        },
+        // Added after the percentage, in major units
+        fixed: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    // e.g. '{vehicle.year} {vehicle.make} {vehicle.model} {name}'
+    titleTemplate: {
+      type: String,
+    },
+    // Product page of a part on our store, e.g. 'https://shop.example.com/parts/{source}/{partNumber}'
+    linkTemplate: {
+      type: String,
+    },
+    // Brand for parts that don't name a manufacturer
+    brand: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Feed = mongoose.model('Feed', feedSchema);
+
+module.exports = Feed;
@@ -1,7 +1,25 @@
 const Part = require('./part.model');
 const ScraperJob = require('./scraper-job.model');
+const Credential = require('./credential.model');
+const Proxy = require('./proxy.model');
+const PartSnapshot = require('./part-snapshot.model');
+const PartChange = require('./part-change.model');
+const RawProduct = require('./raw-product.model');
+const SourceVehicle = require('./source-vehicle.model');
+const QuarantinedPart = require('./quarantined-part.model');
+const ExportJob = require('./export-job.model');
+const Feed = require('./feed.model');
 
 module.exports = {
   Part,
   ScraperJob,
-}; 
\ No newline at end of file
+  Credential,
+  Proxy,
+  PartSnapshot,
+  PartChange,
+  RawProduct,
+  SourceVehicle,
+  QuarantinedPart,
+  ExportJob,
+  Feed,
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
+
+/**
+ * A change a job made to a part
+ * New parts are logged without field values; changed parts list each field
+ * that differs from the stored part. Unchanged parts are only counted on the job.
+ */
+const partChangeSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    partNumber: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['new', 'changed', 'delisted'],
+      required: true,
+    },
+    // Changed fields as dotted paths (e.g. 'price', 'metadata.yardCity')
+    fields: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Same paths as in fields, indexed for filtering
+    changedFields: [String],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+partChangeSchema.index({ jobId: 1, type: 1 });
+partChangeSchema.index({ jobId: 1, changedFields: 1 });
+
+const PartChange = mongoose.model('PartChange', partChangeSchema);
+
+module.exports = PartChange;
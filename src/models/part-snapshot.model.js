@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
+
+/**
+ * Price and availability of a part at one point in time
+ * A snapshot is written when a part is first stored and whenever one of its
+ * tracked fields changes, so the snapshots of a part form its history.
+ */
+const partSnapshotSchema = new mongoose.Schema(
+  {
+    partNumber: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    price: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    currency: {
+      type: String,
+    },
+    inStock: {
+      type: Boolean,
+    },
+    quantity: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    condition: {
+      type: String,
+    },
+    yardCity: {
+      type: String,
+    },
+    yardState: {
+      type: String,
+    },
+    // Tracked fields that differ from the previous snapshot (empty for the first one)
+    changedFields: [String],
+    // Job whose scrape observed the change
+    jobId: {
+      type: String,
+    },
+    observedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// A part's timeline, newest first
+partSnapshotSchema.index({ source: 1, partNumber: 1, observedAt: -1 });
+
+const PartSnapshot = mongoose.model('PartSnapshot', partSnapshotSchema);
+
+module.exports = PartSnapshot;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
 
 const partSchema = new mongoose.Schema(
   {
@@ -14,13 +15,24 @@ const partSchema = new mongoose.Schema(
     description: {
       type: String,
     },
+    // Price in major units (e.g. 103.5), derived from priceAmount
     price: {
-      type: mongoose.Schema.Types.Mixed,
+      type: Number,
+    },
+    // Price in minor units (e.g. 10350 cents), used for sorting and filtering
+    priceAmount: {
+      type: Number,
     },
     currency: {
       type: String,
       default: 'USD',
     },
+    // Separate prices in minor units, when the source lists several
+    prices: {
+      customer: Number,
+      list: Number,
+      core: Number,
+    },
     manufacturer: {
       type: String,
     },
@@ -30,6 +42,10 @@ const partSchema = new mongoose.Schema(
     subcategory: {
       type: String,
     },
+    // Full category path the part was crawled under (e.g. 'Engine Compartment|Alternator')
+    categoryPath: {
+      type: String,
+    },
     compatibility: [
       {
         make: String,
@@ -38,6 +54,33 @@ const partSchema = new mongoose.Schema(
         trim: String,
       },
     ],
+    // Vehicles the part fits, one entry per configuration and year range
+    fitment: [
+      {
+        _id: false,
+        make: String,
+        model: String,
+        // Case-folded make and model that lookups match on
+        makeKey: String,
+        modelKey: String,
+        yearFrom: Number,
+        yearTo: Number,
+        trim: String,
+        engine: String,
+        drivetrain: String,
+        notes: String,
+      },
+    ],
+    // Donor vehicle the part was pulled from
+    sourceVehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SourceVehicle',
+    },
+    // Normalised interchange numbers shared with equivalent parts (e.g. '601-01234')
+    interchange: {
+      type: [String],
+      default: undefined,
+    },
     images: [
       {
         url: String,
@@ -51,7 +94,7 @@ const partSchema = new mongoose.Schema(
     source: {
       type: String,
       required: true,
-      enum: ['lkq', 'other-source'], // Add other sources as they are implemented
+      enum: getSourceIds(), // Derived from the scraper registry
       index: true,
     },
     sourceUrl: {
@@ -78,6 +121,30 @@ const partSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Source values the mapper couldn't use (e.g. an unparseable price)
+    mappingWarnings: [
+      {
+        _id: false,
+        field: String,
+        value: String,
+        message: String,
+      },
+    ],
+    // When a scrape last returned the part, and which job it was
+    lastSeenAt: {
+      type: Date,
+    },
+    lastSeenJobId: {
+      type: String,
+    },
+    // Set when a full crawl of the part's category no longer returns it
+    delisted: {
+      type: Boolean,
+      default: false,
+    },
+    delistedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -88,6 +155,21 @@ const partSchema = new mongoose.Schema(
 // Create compound index for efficient querying
 partSchema.index({ partNumber: 1, source: 1 }, { unique: true });
 
+// Find the parts of a crawled category that a job didn't see
+partSchema.index({ source: 1, categoryPath: 1, delisted: 1 });
+
+// Price sorting and range filters
+partSchema.index({ priceAmount: 1 });
+
+// Parts that fit a vehicle: fitment $elemMatch on make and model keys and year
+partSchema.index({ 'fitment.makeKey': 1, 'fitment.modelKey': 1, 'fitment.yearFrom': 1, 'fitment.yearTo': 1 });
+
+// Parts pulled from the same vehicle
+partSchema.index({ sourceVehicle: 1 });
+
+// Equivalent parts by interchange number (multikey)
+partSchema.index({ interchange: 1 });
+
 // Create text index for search functionality
 partSchema.index(
   { name: 'text', description: 'text', partNumber: 'text' },
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
+
+/**
+ * A product that failed validation after mapping and wasn't stored
+ * Keeps the raw payload and the mapped part (when mapping got that far), so
+ * the mapper or the rules can be fixed and the product re-mapped.
+ */
+const quarantinedPartSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    // The source's own product id
+    productId: {
+      type: String,
+    },
+    partNumber: {
+      type: String,
+    },
+    // Why the part was rejected
+    reasons: [
+      {
+        _id: false,
+        field: String,
+        message: String,
+      },
+    ],
+    // Product as returned by the source
+    rawProduct: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Part as returned by the mapper (missing when mapping threw)
+    mappedPart: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    quarantinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    minimize: false,
+  }
+);
+
+quarantinedPartSchema.index({ jobId: 1, _id: 1 });
+quarantinedPartSchema.index({ source: 1, productId: 1 });
+
+const QuarantinedPart = mongoose.model('QuarantinedPart', quarantinedPartSchema);
+
+module.exports = QuarantinedPart;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
+
+/**
+ * Raw product payload as returned by a source's API, before mapping
+ * Each job keeps its own copy, so parts can be re-mapped from a recent scrape
+ * without going back to the source. Only the newest copies of each product
+ * are kept (config.archive.keepPerProduct).
+ */
+const rawProductSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      required: true,
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    // The source's own product id
+    productId: {
+      type: String,
+      required: true,
+    },
+    jobId: {
+      type: String,
+      required: true,
+    },
+    // Gzip-compressed JSON of the product, including its details when fetched
+    payload: {
+      type: Buffer,
+      required: true,
+    },
+    // Uncompressed size in bytes
+    size: {
+      type: Number,
+    },
+    hasDetails: {
+      type: Boolean,
+      default: false,
+    },
+    capturedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+rawProductSchema.index({ source: 1, productId: 1, jobId: 1 }, { unique: true });
+
+// Latest payload of each product, used by remap and to prune older copies
+rawProductSchema.index({ source: 1, productId: 1, capturedAt: -1 });
+
+const RawProduct = mongoose.model('RawProduct', rawProductSchema);
+
+module.exports = RawProduct;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
 
 const scraperJobSchema = new mongoose.Schema(
   {
@@ -10,7 +11,13 @@ const scraperJobSchema = new mongoose.Schema(
     source: {
       type: String,
       required: true,
-      enum: ['lkq', 'other-source'], // Add other sources as they are implemented
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    // 'remap' jobs re-map archived raw products instead of scraping
+    type: {
+      type: String,
+      enum: ['scrape', 'remap'],
+      default: 'scrape',
     },
     query: {
       type: String,
@@ -21,7 +28,7 @@ const scraperJobSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'running', 'completed', 'failed'],
+      enum: ['pending', 'running', 'paused', 'cancelling', 'cancelled', 'completed', 'failed'],
       default: 'pending',
     },
     startTime: {
@@ -37,6 +44,65 @@ const scraperJobSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    lastBatchTime: {
+      type: Date,
+    },
+    // Queue lease - the worker currently holding the job and when its claim expires
+    workerId: {
+      type: String,
+    },
+    leaseExpiresAt: {
+      type: Date,
+    },
+    heartbeatAt: {
+      type: Date,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Storage outcome of the parts saved by this job
+    stats: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      // Parts no longer returned by a full crawl of their category
+      delisted: { type: Number, default: 0 },
+      // Products that failed validation after mapping
+      quarantined: { type: Number, default: 0 },
+    },
+    // Pagination progress per category/URL, used to resume interrupted jobs
+    checkpoints: [
+      {
+        _id: false,
+        target: String, // category path or URL
+        type: {
+          type: String,
+          enum: ['category', 'url'],
+        },
+        skip: Number, // next offset to fetch
+        take: Number,
+        totalCount: Number,
+        productsFetched: Number,
+        lastBatchSize: Number,
+        lastBatchAt: Date,
+        startedAt: Date, // when the crawl of the target started, to tell which parts it saw
+        completed: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Current request rate, reported by the worker with each heartbeat
+    rateLimit: {
+      host: String,
+      requestsPerMinute: Number,
+      maxRequestsPerMinute: Number,
+      throttleCount: Number,
+      lastThrottleReason: String,
+      lastThrottledAt: Date,
+    },
     error: {
       message: String,
       stack: String,
@@ -53,6 +119,7 @@ const scraperJobSchema = new mongoose.Schema(
 // Create indexes for efficient querying
 scraperJobSchema.index({ source: 1, status: 1 });
 scraperJobSchema.index({ createdAt: -1 });
+scraperJobSchema.index({ status: 1, leaseExpiresAt: 1 });
 
 const ScraperJob = mongoose.model('ScraperJob', scraperJobSchema);
 
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { getSourceIds } = require('../scrapers');
+
+/**
+ * Donor vehicle that salvaged parts were pulled from
+ * Parts link to it through `sourceVehicle`, so every part harvested from the
+ * same car can be listed together.
+ */
+const sourceVehicleSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      required: true,
+      enum: getSourceIds(), // Derived from the scraper registry
+    },
+    // Identifies the vehicle within its source: the VIN, or the yard and stock number
+    vehicleKey: {
+      type: String,
+      required: true,
+    },
+    vin: {
+      type: String,
+    },
+    year: {
+      type: Number,
+    },
+    make: {
+      type: String,
+    },
+    model: {
+      type: String,
+    },
+    trim: {
+      type: String,
+    },
+    mileage: {
+      type: Number,
+    },
+    stockNumber: {
+      type: String,
+    },
+    yardName: {
+      type: String,
+    },
+    yardCity: {
+      type: String,
+    },
+    yardState: {
+      type: String,
+    },
+    // When the vehicle arrived at the yard
+    arrivalDate: {
+      type: Date,
+    },
+    images: [String],
+    // When a scrape last returned one of the vehicle's parts
+    lastSeenAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sourceVehicleSchema.index({ source: 1, vehicleKey: 1 }, { unique: true });
+sourceVehicleSchema.index({ vin: 1 }, { sparse: true });
+
+const SourceVehicle = mongoose.model('SourceVehicle', sourceVehicleSchema);
+
+module.exports = SourceVehicle;
@@ -0,0 +1,510 @@
+const { logger } = require('../utils/logger');
+const storageService = require('../services/storage');
+const archiveService = require('../services/archive');
+const { validatePart, dropInvalidFitment } = require('../services/validation');
+
+/**
+ * Base class for all scrapers
+ * Every source directory under src/scrapers exports an instance of a subclass,
+ * which the registry discovers automatically
+ */
+class BaseScraper {
+  /**
+   * @param {Object} meta - Scraper metadata
+   * @param {string} meta.id - Source identifier (e.g., 'lkq'), stored on parts and jobs
+   * @param {string} meta.name - Human readable name
+   * @param {string} meta.description - Short description
+   */
+  constructor({ id, name, description = '' }) {
+    if (!id) {
+      throw new Error('Scraper id is required');
+    }
+
+    this.name = id;
+    this.displayName = name || id;
+    this.description = description;
+    this.totalProductsScraped = 0;
+    this.currentJobId = null;
+    this.checkpoints = new Map();
+    this.stopRequested = null;
+    // Batches that failed to store, and fetched products without a part number -
+    // their parts would look unseen to delisting
+    this.unsavedBatches = 0;
+    this.unmatchedProducts = 0;
+  }
+
+  /**
+   * Initialize the scraper (sessions, cookies, API checks)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} must implement initialize()`);
+  }
+
+  /**
+   * Get the categories this scraper can crawl
+   * @returns {Array} - Available categories
+   */
+  listCategories() {
+    throw new Error(`${this.constructor.name} must implement listCategories()`);
+  }
+
+  /**
+   * Fetch a single page of products
+   * @param {string} category - Category to fetch
+   * @param {number} skip - Number of results to skip
+   * @param {number} take - Number of results to return
+   * @returns {Promise<Object>} - Page data ({ data, count })
+   */
+  async fetchPage(category, skip, take) {
+    throw new Error(`${this.constructor.name} must implement fetchPage()`);
+  }
+
+  /**
+   * Fetch detailed information for a list of products
+   * @param {Array} products - Basic product data
+   * @returns {Promise<Array>} - Products with detailed information
+   */
+  async fetchDetails(products) {
+    throw new Error(`${this.constructor.name} must implement fetchDetails()`);
+  }
+
+  /**
+   * Map a raw source product to our Part model format
+   * @param {Object} product - Raw product data
+   * @returns {Object|null} - Mapped part
+   */
+  map(product) {
+    throw new Error(`${this.constructor.name} must implement map()`);
+  }
+
+  /**
+   * Run the scraper
+   * @param {string|Array} categories - Category or array of categories to scrape
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array>} - Scraped products
+   */
+  async scrape(categories, options = {}) {
+    throw new Error(`${this.constructor.name} must implement scrape()`);
+  }
+
+  /**
+   * Capture a fresh credential set for the source from a browser session
+   * Sources that don't need browser-issued credentials keep this default
+   * @returns {Promise<Object|null>} - The stored credential set, or null if not supported
+   */
+  async harvestCredential() {
+    return null;
+  }
+
+  /**
+   * Get the current request rate for job status reporting
+   * @returns {Object|null} - Rate limiter state, or null if the scraper isn't rate limited
+   */
+  getRateLimitStatus() {
+    return null;
+  }
+
+  /**
+   * Describe the scraper for API listings
+   * @returns {Object} - Scraper summary
+   */
+  describe() {
+    return {
+      id: this.name,
+      name: this.displayName,
+      description: this.description,
+      status: 'active',
+      categories: this.listCategories(),
+    };
+  }
+
+  /**
+   * Set the current job ID
+   * @param {string} jobId - The job ID
+   */
+  setJobId(jobId) {
+    this.currentJobId = jobId;
+    this.totalProductsScraped = 0;
+    this.checkpoints = new Map();
+    this.stopRequested = null;
+  }
+
+  /**
+   * Check whether the current job has been cancelled or paused
+   * Called between batches, so the current batch is always flushed before stopping
+   * @returns {Promise<boolean>} - True if the scraper should stop
+   */
+  async shouldStop() {
+    if (!this.currentJobId) {
+      return false;
+    }
+
+    if (this.stopRequested) {
+      return true;
+    }
+
+    try {
+      const job = await storageService.getScraperJob(this.currentJobId);
+
+      if (job && ['cancelling', 'paused'].includes(job.status)) {
+        logger.info(`Job ${this.currentJobId} is ${job.status}, stopping after the current batch`);
+        this.stopRequested = job.status;
+      }
+    } catch (error) {
+      logger.error(`Error checking job status: ${error.message}`);
+    }
+
+    return Boolean(this.stopRequested);
+  }
+
+  /**
+   * Stop after the current batch without waiting for the job's status to change
+   * (e.g. when the worker lost its lease on the job)
+   * @param {string} reason - Why the scraper stops, logged with the stop
+   * @returns {void}
+   */
+  requestStop(reason) {
+    if (!this.stopRequested) {
+      logger.info(`Job ${this.currentJobId} stopping after the current batch: ${reason}`);
+      this.stopRequested = reason;
+    }
+  }
+
+  /**
+   * Record the final state of a job that stopped because of a cancel or pause request
+   * Paused jobs keep their status and checkpoints so they can be resumed. The
+   * status is read again, since a paused job can be cancelled before it stops.
+   * @returns {Promise<void>}
+   */
+  async markStopped() {
+    if (!this.currentJobId) {
+      return;
+    }
+
+    const job = await storageService.getScraperJob(this.currentJobId);
+    if (!job || job.status !== 'cancelling') {
+      return;
+    }
+
+    const endTime = new Date();
+
+    await storageService.updateScraperJob(this.currentJobId, {
+      status: 'cancelled',
+      endTime,
+      duration: job.startTime ? (endTime - job.startTime) / 1000 : 0,
+    }, { status: 'cancelling' });
+
+    logger.info(`Job ${this.currentJobId} cancelled`);
+  }
+
+  /**
+   * Mark the current job as completed
+   * A cancel or pause requested after the last check between batches wins over
+   * completion, since the API has already told the client the job will stop.
+   * @returns {Promise<boolean>} - False if the job was stopped instead
+   */
+  async markCompleted() {
+    if (!this.currentJobId) {
+      return true;
+    }
+
+    const job = await storageService.getScraperJob(this.currentJobId);
+    const endTime = new Date();
+
+    const completed = await storageService.updateScraperJob(this.currentJobId, {
+      status: 'completed',
+      endTime,
+      duration: job && job.startTime ? (endTime - job.startTime) / 1000 : 0,
+    }, { status: 'running' });
+
+    if (!completed) {
+      await this.markStopped();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Load the checkpoints and item count of the current job
+   * A job that was interrupted continues from where the previous run stopped
+   * @returns {Promise<void>}
+   */
+  async loadCheckpoints() {
+    this.checkpoints = new Map();
+
+    if (!this.currentJobId) {
+      return;
+    }
+
+    const job = await storageService.getScraperJob(this.currentJobId);
+    if (!job || !job.checkpoints || job.checkpoints.length === 0) {
+      return;
+    }
+
+    job.checkpoints.forEach(checkpoint => {
+      this.checkpoints.set(checkpoint.target, checkpoint.toObject());
+    });
+    this.totalProductsScraped = job.itemsScraped || 0;
+
+    logger.info(`Resuming job ${this.currentJobId} from ${this.checkpoints.size} checkpoints (${this.totalProductsScraped} items already saved)`);
+  }
+
+  /**
+   * Get the checkpoint for a category/URL
+   * @param {string} target - Category path or URL
+   * @returns {Object|null} - The checkpoint, or null if the target has not been started
+   */
+  getCheckpoint(target) {
+    return this.checkpoints.get(target) || null;
+  }
+
+  /**
+   * Get the number of products fetched across all checkpoints
+   * @returns {number}
+   */
+  getCheckpointedProductCount() {
+    let count = 0;
+    this.checkpoints.forEach(checkpoint => {
+      count += checkpoint.productsFetched || 0;
+    });
+    return count;
+  }
+
+  /**
+   * Record pagination progress for a category/URL on the current job
+   * @param {Object} checkpoint - The checkpoint (target, type, skip, take, totalCount, ...)
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(checkpoint) {
+    this.checkpoints.set(checkpoint.target, checkpoint);
+
+    if (!this.currentJobId) {
+      return;
+    }
+
+    try {
+      await storageService.saveJobCheckpoint(this.currentJobId, checkpoint);
+    } catch (error) {
+      logger.error(`Error saving checkpoint for ${checkpoint.target}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delist the stored parts of a category that this job's crawl didn't return
+   * Call only after every page of the category was fetched
+   * @param {string} category - The crawled category
+   * @param {Date} since - When the crawl of the category started
+   * @returns {Promise<number>} - Number of parts delisted
+   */
+  async delistUnseenProducts(category, since) {
+    if (!this.currentJobId) {
+      return 0;
+    }
+
+    if (this.unsavedBatches > 0) {
+      logger.warn(`Not delisting parts for ${category}: ${this.unsavedBatches} batches failed to store`);
+      return 0;
+    }
+
+    if (this.unmatchedProducts > 0) {
+      logger.warn(`Not delisting parts for ${category}: ${this.unmatchedProducts} products had no part number`);
+      return 0;
+    }
+
+    try {
+      return await storageService.delistUnseenParts(this.name, category, { jobId: this.currentJobId, since });
+    } catch (error) {
+      logger.error(`Error delisting parts for ${category}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the source's own id for a raw product, used to key the raw archive
+   * @param {Object} product - Raw product data
+   * @returns {string|null} - Product id
+   */
+  getProductId(product) {
+    return product.id || product.partNumber || null;
+  }
+
+  /**
+   * Map raw products to the database model and validate the parts
+   * Products that fail to map, or whose part fails validation, are rejected
+   * with the reasons, to be quarantined instead of stored. Invalid fitment
+   * entries are only dropped.
+   * @param {Array} products - Raw product data
+   * @returns {Object} - { parts, rejected: [{ productId, rawProduct, mappedPart, reasons }] }
+   */
+  mapProducts(products) {
+    logger.info(`Mapping ${products.length} products to database model`);
+
+    const parts = [];
+    const rejected = [];
+
+    products.forEach((product) => {
+      const productId = product ? this.getProductId(product) : null;
+      let part;
+
+      try {
+        part = this.map(product);
+      } catch (error) {
+        logger.error(`Error mapping product: ${error.message}`);
+        rejected.push({
+          productId,
+          rawProduct: product,
+          reasons: [{ field: '', message: `Mapping failed: ${error.message}` }],
+        });
+        return;
+      }
+
+      // Nothing to map
+      if (!part) {
+        return;
+      }
+
+      dropInvalidFitment(part);
+
+      const reasons = validatePart(part);
+      if (reasons.length > 0) {
+        logger.warn(`Part ${part.partNumber || productId} failed validation: ${reasons.map(reason => `${reason.field} ${reason.message}`).join('; ')}`);
+        rejected.push({ productId, rawProduct: product, mappedPart: part, reasons });
+        return;
+      }
+
+      parts.push(part);
+    });
+
+    logger.info(`Successfully mapped ${parts.length} products${rejected.length > 0 ? `, ${rejected.length} rejected` : ''}`);
+    return { parts, rejected };
+  }
+
+  /**
+   * Save a batch of products to the database
+   * @param {Array} products - The products to save
+   * @returns {Promise<number>} - The total number of products saved
+   */
+  async saveBatchToDatabase(products) {
+    try {
+      if (!products || products.length === 0) {
+        return this.totalProductsScraped;
+      }
+
+      logger.info(`Mapping and saving batch of ${products.length} products to database`);
+
+      // Map the products to the database model
+      const { parts: mappedProducts, rejected } = this.mapProducts(products);
+
+      // Save to database if we have a job ID
+      if (this.currentJobId) {
+        // Keep the raw payloads so the parts can be re-mapped later
+        await archiveService.archiveProducts(this.name, products, {
+          jobId: this.currentJobId,
+          getProductId: product => this.getProductId(product),
+        });
+
+        await storageService.quarantineParts(this.name, rejected, { jobId: this.currentJobId });
+
+        // Quarantined products are still listed by the source, so they mustn't look unseen to delisting
+        const rejectedPartNumbers = rejected
+          .map(item => (item.mappedPart ? item.mappedPart.partNumber : null))
+          .filter(Boolean);
+        this.unmatchedProducts += rejected.length - rejectedPartNumbers.length;
+        await storageService.markPartsSeen(this.name, rejectedPartNumbers, { jobId: this.currentJobId });
+
+        const storageResult = await storageService.storeScrapedData(this.name, mappedProducts, {
+          jobId: this.currentJobId,
+          updateTotalOnly: true,
+          currentTotal: this.totalProductsScraped
+        });
+        this.unmatchedProducts += storageResult.errors.filter(error => !error.partNumber).length;
+
+        // Update the total products scraped
+        this.totalProductsScraped = storageResult.totalItemsScraped;
+
+        logger.info(`Batch saved to database. Total products saved: ${this.totalProductsScraped}`);
+        return this.totalProductsScraped;
+      } else {
+        logger.warn('No job ID set, skipping database save');
+        return this.totalProductsScraped;
+      }
+    } catch (error) {
+      logger.error(`Error saving batch to database: ${error.message}`);
+      this.unsavedBatches++;
+      return this.totalProductsScraped;
+    }
+  }
+
+  /**
+   * Re-map archived raw products with the current mapper and store the parts
+   * Nothing is fetched from the source. The parts are compared and stored like
+   * scraped ones, so the job's change log shows what the mapper change did,
+   * but they aren't recorded as seen.
+   * @param {Object} options - Remap options
+   * @param {string} options.jobId - The remap job
+   * @param {string} options.fromJobId - Only re-map the payloads archived by this job (defaults to the latest of every product)
+   * @param {number} options.batchSize - Products per batch
+   * @returns {Promise<number>} - Number of products re-mapped
+   */
+  async remap(options = {}) {
+    const { jobId = null, fromJobId, batchSize } = options;
+
+    if (jobId) {
+      this.setJobId(jobId);
+    }
+
+    logger.info(`Re-mapping archived ${this.name} products${fromJobId ? ` from job ${fromJobId}` : ''}`);
+
+    try {
+      const remapped = await archiveService.eachArchivedBatch(this.name, { fromJobId, batchSize }, async (products) => {
+        const { parts: mappedProducts, rejected } = this.mapProducts(products);
+
+        await storageService.quarantineParts(this.name, rejected, { jobId: this.currentJobId });
+
+        const storageResult = await storageService.storeScrapedData(this.name, mappedProducts, {
+          jobId: this.currentJobId,
+          updateTotalOnly: true,
+          currentTotal: this.totalProductsScraped,
+          markSeen: false,
+        });
+
+        this.totalProductsScraped = storageResult.totalItemsScraped;
+
+        return !(await this.shouldStop());
+      });
+
+      if (this.stopRequested) {
+        await this.markStopped();
+        logger.info(`Re-mapping stopped (${this.stopRequested}) after ${remapped} products`);
+        return remapped;
+      }
+
+      if (!(await this.markCompleted())) {
+        logger.info(`Re-mapping stopped after its last batch, ${remapped} products`);
+        return remapped;
+      }
+
+      logger.info(`Re-mapped ${remapped} archived ${this.name} products`);
+      return remapped;
+    } catch (error) {
+      logger.error(`Re-mapping failed: ${error.message}`);
+
+      if (this.currentJobId) {
+        await storageService.updateScraperJob(this.currentJobId, {
+          status: 'failed',
+          endTime: new Date(),
+          error: {
+            message: error.message,
+            stack: error.stack,
+          },
+        });
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseScraper;
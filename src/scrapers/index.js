@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Scraper registry
+ * ----------------
+ *
+ * Every subdirectory of src/scrapers with an index.js is treated as a source.
+ * The directory name is the source id stored on parts and jobs, and the module
+ * must export a subclass of BaseScraper.
+ *
+ * Source ids are discovered from the filesystem only, so models can derive their
+ * enums from the registry without loading the scrapers (and their dependencies).
+ * Scraper modules are required lazily on first use.
+ *
+ * A new scraper instance is created for every job, so jobs running concurrently
+ * in one process never share counters, options or HTTP sessions.
+ */
+
+const scrapersDir = __dirname;
+const scraperClasses = new Map();
+
+/**
+ * Discover the ids of all available sources
+ * @returns {string[]} - Source ids
+ */
+const discoverSourceIds = () => {
+  return fs
+    .readdirSync(scrapersDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .filter(entry => fs.existsSync(path.join(scrapersDir, entry.name, 'index.js')))
+    .map(entry => entry.name)
+    .sort();
+};
+
+const sourceIds = discoverSourceIds();
+
+/**
+ * Get the ids of all registered sources
+ * @returns {string[]} - Source ids
+ */
+const getSourceIds = () => [...sourceIds];
+
+/**
+ * Check whether a source is registered
+ * @param {string} source - Source id
+ * @returns {boolean}
+ */
+const hasScraper = (source) => sourceIds.includes(source);
+
+/**
+ * Get the scraper class for a source
+ * @param {string} source - Source id
+ * @returns {Function|null} - BaseScraper subclass or null if the source is unknown
+ */
+const getScraperClass = (source) => {
+  if (!hasScraper(source)) {
+    return null;
+  }
+
+  if (!scraperClasses.has(source)) {
+    // Required here to avoid a circular dependency through the models
+    const BaseScraper = require('./base-scraper');
+    const ScraperClass = require(path.join(scrapersDir, source));
+
+    if (typeof ScraperClass !== 'function' || !(ScraperClass.prototype instanceof BaseScraper)) {
+      throw new Error(`Scraper module "${source}" must export a subclass of BaseScraper`);
+    }
+
+    scraperClasses.set(source, ScraperClass);
+  }
+
+  return scraperClasses.get(source);
+};
+
+/**
+ * Create a new scraper instance for a source
+ * @param {string} source - Source id
+ * @returns {BaseScraper|null} - Scraper instance or null if the source is unknown
+ */
+const createScraper = (source) => {
+  const ScraperClass = getScraperClass(source);
+
+  if (!ScraperClass) {
+    return null;
+  }
+
+  const scraper = new ScraperClass();
+
+  if (scraper.name !== source) {
+    throw new Error(`Scraper module "${source}" declares mismatched id "${scraper.name}"`);
+  }
+
+  return scraper;
+};
+
+/**
+ * Describe all registered scrapers
+ * @returns {Object[]} - Scraper summaries
+ */
+const describeScrapers = () => sourceIds.map(source => createScraper(source).describe());
+
+module.exports = {
+  getSourceIds,
+  hasScraper,
+  getScraperClass,
+  createScraper,
+  describeScrapers,
+};
@@ -0,0 +1,175 @@
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+const { launchBrowser, authenticateProxy, delay } = require('../../utils/scraper-utils');
+const credentialService = require('../../services/credentials');
+const proxyService = require('../../services/proxies');
+
+// Path of the product search XHR the category pages make
+const PRODUCT_API_PATH = '/api/catalog/0/product';
+
+// Prefix of LKQ's anti-bot security headers
+const SECURITY_HEADER_PREFIX = 'xvpw5hybpt-';
+
+// Headers that belong to the connection rather than the session
+const SKIPPED_HEADERS = ['cookie', 'user-agent', 'host', 'content-length', 'connection'];
+
+// Harvest currently running in this process, shared by concurrent callers
+let pendingHarvest = null;
+let lastHarvestAt = 0;
+
+/**
+ * Normalise captured header names to the casing used in config
+ * Chrome reports header names in lower case, while the configured defaults use
+ * their canonical casing - without this both variants would be sent.
+ * @param {Object} capturedHeaders - Headers from the intercepted request
+ * @returns {Object} - Headers keyed like config.scrapers.lkq.headers
+ */
+function normaliseHeaders(capturedHeaders) {
+  const configKeys = Object.keys(config.scrapers.lkq.headers);
+  const headers = {};
+
+  Object.entries(capturedHeaders).forEach(([name, value]) => {
+    const lowerName = name.toLowerCase();
+
+    if (SKIPPED_HEADERS.includes(lowerName)) {
+      return;
+    }
+
+    let key = configKeys.find(configKey => configKey.toLowerCase() === lowerName);
+
+    if (!key && lowerName.startsWith(SECURITY_HEADER_PREFIX)) {
+      key = `XvPW5hYbpt-${lowerName.slice(SECURITY_HEADER_PREFIX.length)}`;
+    }
+
+    headers[key || name] = value;
+  });
+
+  return headers;
+}
+
+/**
+ * Open an LKQ category page and capture the headers of its product search XHR
+ * @param {Object} options - Harvest options
+ * @param {string} options.pageUrl - Page that triggers the product search
+ * @param {number} options.timeout - How long to wait for the XHR in milliseconds
+ * @param {string|null} options.proxyUrl - Proxy to browse through
+ * @returns {Promise<Object>} - Credential data (cookies, headers, userAgent, capturedAt)
+ */
+async function captureSession({ pageUrl, timeout, proxyUrl }) {
+  let browser = null;
+
+  try {
+    browser = await launchBrowser({ proxyUrl });
+    const page = await browser.newPage();
+
+    await authenticateProxy(page, proxyUrl);
+
+    await page.setViewport({ width: 1920, height: 1080 });
+    await page.setUserAgent(config.scrapers.lkq.headers['User-Agent']);
+    await page.setRequestInterception(true);
+
+    let resolveCapture;
+    const captured = new Promise((resolve) => {
+      resolveCapture = resolve;
+    });
+
+    page.on('request', (request) => {
+      const url = request.url();
+
+      if (url.includes(PRODUCT_API_PATH) && ['xhr', 'fetch'].includes(request.resourceType())) {
+        resolveCapture({ url, headers: request.headers() });
+      }
+
+      request.continue().catch(() => {});
+    });
+
+    logger.info(`Opening ${pageUrl} to capture the product search request${proxyUrl ? ` via ${proxyService.maskProxyUrl(proxyUrl)}` : ''}`);
+    await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout });
+
+    const request = await Promise.race([
+      captured,
+      delay(timeout).then(() => null),
+    ]);
+
+    if (!request) {
+      throw new Error(`No request to ${PRODUCT_API_PATH} seen within ${timeout}ms`);
+    }
+
+    logger.info(`Captured product search request: ${request.url}`);
+
+    // Cookies are added by the network stack, so read them from the page instead
+    const cookies = await page.cookies(request.url);
+    const headers = normaliseHeaders(request.headers);
+
+    const tokens = Object.keys(headers).filter(key => key.toLowerCase().startsWith(SECURITY_HEADER_PREFIX));
+    if (tokens.length === 0) {
+      logger.warn('Captured request carries no XvPW5hYbpt-* security headers');
+    }
+
+    return {
+      cookies: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '),
+      headers,
+      userAgent: request.headers['user-agent'],
+      proxyUrl,
+      capturedAt: new Date(),
+    };
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Harvest a fresh credential set from a real browser session and store it
+ * Only one harvest runs per process at a time; concurrent callers share its
+ * result. Automatic harvests are skipped during the cooldown after the last one
+ * so a rejected harvest doesn't launch a browser for every failed request.
+ * The harvest goes through a proxy from the pool, and the credential set is
+ * bound to it since LKQ ties the session to the IP it was issued to.
+ * @param {Object} options - Harvest options
+ * @param {boolean} options.force - Ignore the cooldown (on-demand harvests)
+ * @param {string} options.pageUrl - Page to open (defaults to config)
+ * @returns {Promise<Object|null>} - The stored credential set, or null during the cooldown
+ */
+async function harvestCredential(options = {}) {
+  const { harvest, baseUrl } = config.scrapers.lkq;
+  const { force = false, pageUrl = `${baseUrl}${harvest.pagePath}` } = options;
+
+  if (pendingHarvest) {
+    logger.info('Credential harvest already running, waiting for it');
+    return pendingHarvest;
+  }
+
+  if (!force && Date.now() - lastHarvestAt < harvest.cooldownMs) {
+    logger.warn(`Skipping credential harvest, last one was less than ${harvest.cooldownMs}ms ago`);
+    return null;
+  }
+
+  lastHarvestAt = Date.now();
+
+  pendingHarvest = (async () => {
+    const proxyUrl = await proxyService.selectProxy();
+
+    try {
+      const data = await captureSession({ pageUrl, timeout: harvest.timeout, proxyUrl });
+
+      return await credentialService.saveCredential('lkq', { ...data, origin: 'harvested' });
+    } catch (error) {
+      logger.error(`Credential harvest failed: ${error.message}`);
+
+      if (proxyUrl) {
+        await proxyService.recordFailure(proxyUrl, error.message);
+      }
+      throw error;
+    } finally {
+      pendingHarvest = null;
+    }
+  })();
+
+  return pendingHarvest;
+}
+
+module.exports = {
+  harvestCredential,
+};
@@ -3,87 +3,36 @@ const config = require('../../config');
 const { 
   chunk, 
   delay, 
-  extractCookiesWithPuppeteer,
-  randomWait,
   retry
 } = require('../../utils/scraper-utils');
+const BaseScraper = require('../base-scraper');
 const lkqApi = require('./api');
+const harvester = require('./harvester');
 const { mapProductToPart } = require('./mapper');
 const { getRandomUserAgent } = require('../../utils/user-agents');
 const storageService = require('../../services/storage');
+const credentialService = require('../../services/credentials');
 
 /**
  * Scraper for LKQ Online (https://www.lkqonline.com/)
  * Fetches product data from the LKQ API
  */
-class LkqScraper {
+class LkqScraper extends BaseScraper {
   constructor() {
-    this.name = 'lkq';
+    super({
+      id: 'lkq',
+      name: 'LKQ Auto Parts',
+      description: 'Scraper for LKQ auto parts website',
+    });
     this.baseUrl = config.scrapers.lkq.baseUrl;
     this.apiUrl = config.scrapers.lkq.apiUrl;
     this.batchSize = config.scrapers.lkq.batchSize;
-    this.requestDelay = config.scrapers.lkq.requestDelay;
     this.parallelRequests = config.scrapers.lkq.parallelRequests;
-    this.cookies = config.scrapers.lkq.cookies;
-    this.totalProductsScraped = 0;
-    this.currentJobId = null;
-  }
-
-  /**
-   * Set the current job ID
-   * @param {string} jobId - The job ID
-   */
-  setJobId(jobId) {
-    this.currentJobId = jobId;
-    this.totalProductsScraped = 0;
-  }
-
-  /**
-   * Save a batch of products to the database
-   * @param {Array} products - The products to save
-   * @returns {Promise<number>} - The total number of products saved
-   */
-  async saveBatchToDatabase(products) {
-    try {
-      if (!products || products.length === 0) {
-        return this.totalProductsScraped;
-      }
-
-      logger.info(`Mapping and saving batch of ${products.length} products to database`);
-      
-      // Map the products to the database model
-      const mappedProducts = products.map(product => {
-        try {
-          return mapProductToPart(product);
-        } catch (error) {
-          logger.error(`Error mapping product: ${error.message}`);
-          return null;
-        }
-      }).filter(Boolean);
-      
-      logger.info(`Successfully mapped ${mappedProducts.length} products for saving`);
-      
-      // Save to database if we have a job ID
-      if (this.currentJobId) {
-        const storageResult = await storageService.storeScrapedData('lkq', mappedProducts, {
-          jobId: this.currentJobId,
-          updateTotalOnly: true,
-          currentTotal: this.totalProductsScraped
-        });
-        
-        // Update the total products scraped
-        this.totalProductsScraped = storageResult.totalItemsScraped;
-        
-        logger.info(`Batch saved to database. Total products saved: ${this.totalProductsScraped}`);
-        return this.totalProductsScraped;
-      } else {
-        logger.warn('No job ID set, skipping database save');
-        return this.totalProductsScraped;
-      }
-    } catch (error) {
-      logger.error(`Error saving batch to database: ${error.message}`);
-      return this.totalProductsScraped;
-    }
+    this.options = {
+      fetchDetailsForCategory: true,
+      fetchDetailsForUrl: true,
+    };
+    this.api = null;
   }
 
   /**
@@ -94,19 +43,19 @@ class LkqScraper {
     logger.info('Initializing LKQ scraper');
     
     // Verify API URL format
-    const apiUrl = config.scrapers.lkq.apiUrl;
+    const apiUrl = this.apiUrl;
     if (!apiUrl.includes('/api/')) {
       logger.warn(`API URL format may be incorrect: ${apiUrl}`);
       logger.warn('The expected format should include "/api/" in the path');
       
       // Try to fix the URL
       if (apiUrl.endsWith('/')) {
-        config.scrapers.lkq.apiUrl = `${apiUrl}api/catalog/0/product`;
+        this.apiUrl = `${apiUrl}api/catalog/0/product`;
       } else {
-        config.scrapers.lkq.apiUrl = `${apiUrl}/api/catalog/0/product`;
+        this.apiUrl = `${apiUrl}/api/catalog/0/product`;
       }
       
-      logger.info(`Updated API URL to: ${config.scrapers.lkq.apiUrl}`);
+      logger.info(`Updated API URL to: ${this.apiUrl}`);
     }
     
     // Check if we have predefined category URLs
@@ -119,26 +68,24 @@ class LkqScraper {
       logger.info('No predefined category URLs found in config, will use dynamic URL generation');
     }
     
-    // Try to get cookies if none are provided
-    if (!this.cookies) {
-      logger.info('No cookies configured, attempting to get cookies from website');
-      try {
-        this.cookies = await extractCookiesWithPuppeteer(this.baseUrl);
-        if (this.cookies) {
-          logger.info('Successfully obtained cookies from website');
-          // Update cookies in the config
-          config.scrapers.lkq.cookies = this.cookies;
-        } else {
-          logger.warn('Failed to obtain cookies, scraping may fail');
-        }
-      } catch (error) {
-        logger.error(`Error getting cookies: ${error.message}`);
+    // Make sure a credential set with cookies is available, falling back to the website
+    try {
+      const credential = await credentialService.getActiveCredential(this.name, lkqApi.getConfigCredential());
+      
+      if (!credential || !credential.cookies) {
+        logger.info('No cookies in the credential store, harvesting a credential set from the website');
+        await this.harvestCredential();
+        logger.info('Successfully harvested a credential set from the website');
       }
+    } catch (error) {
+      logger.error(`Error getting credentials: ${error.message}`);
+      logger.warn('Failed to obtain credentials, scraping may fail');
     }
     
     try {
-      // Initialize the API client
-      await lkqApi.initializeApi();
+      // Initialize an API client with its own HTTP session for this job
+      this.api = lkqApi.createApiClient({ apiUrl: this.apiUrl });
+      await this.api.initializeApi();
       logger.info('LKQ scraper initialized successfully');
     } catch (error) {
       logger.error(`LKQ scraper initialization failed: ${error.message}`);
@@ -146,14 +93,69 @@ class LkqScraper {
     }
   }
 
+  /**
+   * Capture a fresh credential set (cookies and security headers) from a
+   * browser session and store it
+   * @returns {Promise<Object>} - The stored credential set
+   */
+  async harvestCredential() {
+    return harvester.harvestCredential({ force: true });
+  }
+
+  /**
+   * Get the current request rate of the API client
+   * @returns {Object|null} - Rate limiter state, or null before initialization
+   */
+  getRateLimitStatus() {
+    return this.api ? this.api.getRateLimit() : null;
+  }
+
   /**
    * Get available scraper categories
    * @returns {Array} - Available categories
    */
-  getAvailableCategories() {
+  listCategories() {
     return config.scrapers.lkq.categories;
   }
 
+  /**
+   * Fetch a single page of search results for a category
+   * @param {string} category - Product category
+   * @param {number} skip - Number of results to skip
+   * @param {number} take - Number of results to return
+   * @returns {Promise<Object>} - Search results ({ data, count })
+   */
+  async fetchPage(category, skip, take) {
+    return this.api.getSearchResults(category, skip, take);
+  }
+
+  /**
+   * Fetch detailed product information for a list of products
+   * @param {Array} products - Basic product data
+   * @returns {Promise<Array>} - Products with detailed information
+   */
+  async fetchDetails(products) {
+    return this.fetchProductDetails(products);
+  }
+
+  /**
+   * Map an LKQ API product to our Part model format
+   * @param {Object} product - The product data from LKQ API
+   * @returns {Object|null} - Mapped part
+   */
+  map(product) {
+    return mapProductToPart(product);
+  }
+
+  /**
+   * Get LKQ's id for a product, used to key the raw archive
+   * @param {Object} product - The product data from LKQ API
+   * @returns {string|null} - Product id
+   */
+  getProductId(product) {
+    return product.id || product.number || null;
+  }
+
   /**
    * Fetch products for a category with pagination
    * @param {string} category - Product category
@@ -163,16 +165,29 @@ class LkqScraper {
   async fetchProductsByCategory(category, maxProducts = Infinity) {
     logger.info(`Fetching products for category: ${category} (max: ${maxProducts === Infinity ? 'unlimited' : maxProducts})`);
     
+    // Continue from the last checkpoint if this category was already started
+    const checkpoint = this.getCheckpoint(category);
+    const previouslyFetched = checkpoint ? checkpoint.productsFetched || 0 : 0;
+    
+    // Parts not seen since the crawl of the category started are delisted at the end
+    const startedAt = checkpoint ? checkpoint.startedAt : new Date();
+    
     let allProducts = [];
-    let skip = 0;
+    let skip = checkpoint ? checkpoint.skip : 0;
+    let totalCount = checkpoint ? checkpoint.totalCount : 0;
     let hasMore = true;
     let consecutiveErrors = 0;
     const maxRetries = config.scrapers.retryAttempts;
     
+    if (checkpoint) {
+      logger.info(`Resuming category ${category} from skip=${skip} (${previouslyFetched} products already fetched)`);
+    }
+    
     try {
       // Get category counts to estimate total
-      const countsData = await lkqApi.getCategoryCounts(category);
+      const countsData = await this.api.getCategoryCounts(category);
       const totalEstimate = countsData?.totalCount || 'unknown';
+      totalCount = countsData?.totalCount || totalCount;
       logger.info(`Category ${category} has approximately ${totalEstimate} products`);
       
       // Continue fetching until we get all products or reach maxProducts
@@ -181,7 +196,7 @@ class LkqScraper {
           const take = Math.min(this.batchSize, maxProducts - allProducts.length);
           
           // Fetch a batch of products
-          const response = await lkqApi.getSearchResults(category, skip, take);
+          const response = await this.fetchPage(category, skip, take);
           
           if (!response || !Array.isArray(response.data)) {
             throw new Error(`Invalid response format: ${JSON.stringify(response).substring(0, 100)}...`);
@@ -193,6 +208,14 @@ class LkqScraper {
           if (products.length === 0) {
             logger.info(`No more products found for category ${category}`);
             hasMore = false;
+            await this.saveCheckpoint({
+              ...this.getCheckpoint(category),
+              target: category,
+              type: 'category',
+              skip,
+              startedAt,
+              completed: true,
+            });
             break;
           }
           
@@ -201,8 +224,8 @@ class LkqScraper {
           
           // Process this batch of products with details if needed
           let processedProducts = products;
-          if (config.scrapers.lkq.fetchDetailsForCategory) {
-            processedProducts = await this.fetchProductDetails(products);
+          if (this.options.fetchDetailsForCategory) {
+            processedProducts = await this.fetchDetails(products);
           }
           
           // Save this batch to the database
@@ -215,7 +238,7 @@ class LkqScraper {
           
           // Check if we have more products to fetch based on total count in response
           if (response.count) {
-            const totalCount = parseInt(response.count, 10);
+            totalCount = parseInt(response.count, 10);
             hasMore = (skip + take) < totalCount;
             logger.info(`Progress: ${allProducts.length}/${totalCount} products (${Math.round(allProducts.length / totalCount * 100)}%)`);
           } else {
@@ -226,16 +249,30 @@ class LkqScraper {
           // Update skip for the next request
           skip += take;
           
+          // Persist progress so an interrupted job can resume from here
+          await this.saveCheckpoint({
+            target: category,
+            type: 'category',
+            skip,
+            take,
+            totalCount,
+            startedAt,
+            productsFetched: previouslyFetched + allProducts.length,
+            lastBatchSize: products.length,
+            lastBatchAt: new Date(),
+            completed: !hasMore,
+          });
+          
+          // Stop cleanly between batches if the job was cancelled or paused
+          if (await this.shouldStop()) {
+            break;
+          }
+          
           // Respect maxProducts limit
           if (allProducts.length >= maxProducts) {
             logger.info(`Reached max products limit: ${maxProducts}`);
             break;
           }
-          
-          // Add a delay between batches to avoid rate limiting
-          if (hasMore) {
-            await randomWait(1000, 3000); // Use random wait instead of fixed delay
-          }
         } catch (error) {
           consecutiveErrors++;
           logger.error(`Error fetching batch (skip=${skip}): ${error.message}. Attempt ${consecutiveErrors}/${maxRetries}`);
@@ -258,6 +295,14 @@ class LkqScraper {
         allProducts = allProducts.slice(0, maxProducts);
       }
       
+      // Only a crawl that reached the last page knows which parts are gone.
+      // A crawl that saw nothing at all is more likely a bad response than a sold-out category.
+      if (!hasMore && previouslyFetched + allProducts.length > 0) {
+        await this.delistUnseenProducts(category, startedAt);
+      } else if (!hasMore) {
+        logger.warn(`Category ${category} returned no products, not delisting its parts`);
+      }
+      
       logger.info(`Completed fetching products for category "${category}". Total: ${allProducts.length} products`);
       
       return allProducts;
@@ -276,14 +321,23 @@ class LkqScraper {
   async fetchProductsByUrl(url, maxProducts = Infinity) {
     logger.info(`Fetching products from URL: ${url}`);
     
+    // Continue from the last checkpoint if this URL was already started
+    const checkpoint = this.getCheckpoint(url);
+    const previouslyFetched = checkpoint ? checkpoint.productsFetched || 0 : 0;
+    
     // Initialize variables
-    let skip = 0;
+    let skip = checkpoint ? checkpoint.skip : 0;
     const take = 50; // Default page size
+    let totalCount = checkpoint ? checkpoint.totalCount : 0;
     let hasMore = true;
     let allProducts = [];
     let consecutiveErrors = 0;
     const maxRetries = 3;
     
+    if (checkpoint) {
+      logger.info(`Resuming URL from skip=${skip} (${previouslyFetched} products already fetched)`);
+    }
+    
     // Parse the URL to use as a template for pagination
     if (!url) {
       throw new Error('URL is required');
@@ -301,7 +355,7 @@ class LkqScraper {
           
           // Make the request using our API module which will use random user agents
           logger.info(`Making request to: ${urlObj.toString()}`);
-          const response = await lkqApi.makeApiRequest('', Object.fromEntries(urlObj.searchParams.entries()));
+          const response = await this.api.makeApiRequest('', Object.fromEntries(urlObj.searchParams.entries()));
           
           if (!response || !Array.isArray(response.data)) {
             throw new Error(`Invalid response format: ${JSON.stringify(response).substring(0, 100)}...`);
@@ -313,6 +367,13 @@ class LkqScraper {
           if (products.length === 0) {
             logger.info(`No more products found for URL`);
             hasMore = false;
+            await this.saveCheckpoint({
+              ...this.getCheckpoint(url),
+              target: url,
+              type: 'url',
+              skip,
+              completed: true,
+            });
             break;
           }
           
@@ -321,8 +382,8 @@ class LkqScraper {
           
           // Process this batch of products with details if needed
           let processedProducts = products;
-          if (config.scrapers.lkq.fetchDetailsForUrl) {
-            processedProducts = await this.fetchProductDetails(products);
+          if (this.options.fetchDetailsForUrl) {
+            processedProducts = await this.fetchDetails(products);
           }
           
           // Save this batch to the database
@@ -335,7 +396,7 @@ class LkqScraper {
           
           // Check if we have more products to fetch based on total count in response
           if (response.count) {
-            const totalCount = parseInt(response.count, 10);
+            totalCount = parseInt(response.count, 10);
             hasMore = (skip + currentTake) < totalCount;
             logger.info(`Progress: ${allProducts.length}/${totalCount} products (${Math.round(allProducts.length / totalCount * 100)}%)`);
           } else {
@@ -346,16 +407,29 @@ class LkqScraper {
           // Update skip for the next request
           skip += currentTake;
           
+          // Persist progress so an interrupted job can resume from here
+          await this.saveCheckpoint({
+            target: url,
+            type: 'url',
+            skip,
+            take: currentTake,
+            totalCount,
+            productsFetched: previouslyFetched + allProducts.length,
+            lastBatchSize: products.length,
+            lastBatchAt: new Date(),
+            completed: !hasMore,
+          });
+          
+          // Stop cleanly between batches if the job was cancelled or paused
+          if (await this.shouldStop()) {
+            break;
+          }
+          
           // Respect maxProducts limit
           if (allProducts.length >= maxProducts) {
             logger.info(`Reached max products limit: ${maxProducts}`);
             break;
           }
-          
-          // Add a delay between batches to avoid rate limiting
-          if (hasMore) {
-            await randomWait(1000, 3000); // Use random wait instead of fixed delay
-          }
         } catch (error) {
           consecutiveErrors++;
           logger.error(`Error fetching batch (skip=${skip}): ${error.message}. Attempt ${consecutiveErrors}/${maxRetries}`);
@@ -365,10 +439,11 @@ class LkqScraper {
             break;
           }
           
-          // Exponential backoff
-          const backoffTime = this.requestDelay * Math.pow(2, consecutiveErrors);
-          logger.info(`Waiting ${backoffTime}ms before retry`);
-          await delay(backoffTime);
+          // Exponential backoff with randomization
+          const baseBackoff = 1000 * Math.pow(2, consecutiveErrors);
+          const randomizedBackoff = baseBackoff + Math.floor(Math.random() * 1000);
+          logger.info(`Waiting ${randomizedBackoff}ms before retry`);
+          await delay(randomizedBackoff);
         }
       }
       
@@ -418,7 +493,7 @@ class LkqScraper {
             return product;
           }
           
-          const details = await lkqApi.getProductDetails(productId);
+          const details = await this.api.getProductDetails(productId);
           
           if (!details) {
             logger.warn(`No details returned for product ${productId}`);
@@ -436,44 +511,13 @@ class LkqScraper {
       // Wait for all promises in the batch to resolve
       const batchResults = await Promise.all(detailsPromises);
       
-      // Save this batch of detailed products to the database
-      if (config.scrapers.lkq.saveDetailBatches) {
-        await this.saveBatchToDatabase(batchResults);
-      }
-      
       productsWithDetails.push(...batchResults);
-      
-      // Add delay between batches to avoid rate limiting
-      if (i < batches.length - 1) {
-        await randomWait(1500, 3500); // Use random wait instead of fixed delay
-      }
     }
     
     logger.info(`Fetched details for ${productsWithDetails.length} products`);
     return productsWithDetails;
   }
 
-  /**
-   * Map API products to database model
-   * @param {Array} products - API product data
-   * @returns {Array} - Mapped products
-   */
-  mapProducts(products) {
-    logger.info(`Mapping ${products.length} products to database model`);
-    
-    const mappedProducts = products.map(product => {
-      try {
-        return mapProductToPart(product);
-      } catch (error) {
-        logger.error(`Error mapping product: ${error.message}`);
-        return null;
-      }
-    }).filter(Boolean);
-    
-    logger.info(`Successfully mapped ${mappedProducts.length} products`);
-    return mappedProducts;
-  }
-
   /**
    * Run the scraper for one or more categories or URLs
    * @param {string|Array} categories - Category, array of categories, or URLs to scrape
@@ -485,6 +529,7 @@ class LkqScraper {
       maxProducts = Infinity,
       fetchDetails = true,
       usePresetUrls = false,
+      batchSize = null,
       jobId = null
     } = options;
     
@@ -493,10 +538,13 @@ class LkqScraper {
       this.setJobId(jobId);
     }
     
-    // Configure detail fetching flags based on options
-    config.scrapers.lkq.fetchDetailsForCategory = fetchDetails;
-    config.scrapers.lkq.fetchDetailsForUrl = fetchDetails;
-    config.scrapers.lkq.saveDetailBatches = true;
+    // Configure this instance from the job options - never the shared config
+    this.options.fetchDetailsForCategory = fetchDetails;
+    this.options.fetchDetailsForUrl = fetchDetails;
+    
+    if (batchSize) {
+      this.batchSize = batchSize;
+    }
     
     // Normalize categories to array
     const categoryList = Array.isArray(categories) ? categories : [categories];
@@ -512,6 +560,10 @@ class LkqScraper {
       // Initialize the scraper
       await this.initialize();
       
+      // Pick up checkpoints left by a previous run of this job
+      await this.loadCheckpoints();
+      const previouslyFetched = this.getCheckpointedProductCount();
+      
       let allProducts = [];
       
       // Check if we should use preset URLs from config
@@ -520,10 +572,19 @@ class LkqScraper {
         
         // Process each URL from config
         for (const url of config.scrapers.lkq.categoryUrls) {
+          if (this.stopRequested) {
+            break;
+          }
+          
+          if (this.getCheckpoint(url)?.completed) {
+            logger.info(`Skipping URL completed in a previous run: ${url}`);
+            continue;
+          }
+          
           logger.info(`Processing URL: ${url}`);
           
           // Calculate how many products to fetch
-          const remainingProducts = maxProducts - allProducts.length;
+          const remainingProducts = maxProducts - previouslyFetched - allProducts.length;
           if (remainingProducts <= 0) {
             logger.info('Reached maximum product limit, skipping remaining URLs');
             break;
@@ -547,12 +608,21 @@ class LkqScraper {
       } else {
         // Process each category
         for (const category of categoryList) {
+          if (this.stopRequested) {
+            break;
+          }
+          
+          if (this.getCheckpoint(category)?.completed) {
+            logger.info(`Skipping ${category} completed in a previous run`);
+            continue;
+          }
+          
           // Check if the category is a URL
           if (category.startsWith('http')) {
             logger.info(`Processing URL: ${category}`);
             
             // Calculate how many products to fetch
-            const remainingProducts = maxProducts - allProducts.length;
+            const remainingProducts = maxProducts - previouslyFetched - allProducts.length;
             if (remainingProducts <= 0) {
               logger.info('Reached maximum product limit, skipping remaining URLs');
               break;
@@ -576,7 +646,7 @@ class LkqScraper {
             logger.info(`Processing category: ${category}`);
             
             // Calculate how many products to fetch from this category
-            const remainingProducts = maxProducts - allProducts.length;
+            const remainingProducts = maxProducts - previouslyFetched - allProducts.length;
             if (remainingProducts <= 0) {
               logger.info('Reached maximum product limit, skipping remaining categories');
               break;
@@ -600,13 +670,17 @@ class LkqScraper {
         }
       }
       
+      // A cancelled or paused job stops here instead of being marked complete
+      if (this.stopRequested) {
+        await this.markStopped();
+        logger.info(`LKQ scraper stopped (${this.stopRequested}), scraped ${allProducts.length} products`);
+        return allProducts;
+      }
+      
       // Mark job as complete if we have a job ID
-      if (this.currentJobId) {
-        await storageService.updateScraperJob(this.currentJobId, {
-          status: 'completed',
-          endTime: new Date(),
-          duration: (new Date() - (await storageService.getScraperJob(this.currentJobId)).startTime) / 1000
-        });
+      if (!(await this.markCompleted())) {
+        logger.info(`LKQ scraper stopped after its last batch, scraped ${allProducts.length} products`);
+        return allProducts;
       }
       
       logger.info(`LKQ scraper completed, scraped ${allProducts.length} products`);
@@ -631,4 +705,4 @@ class LkqScraper {
   }
 }
 
-module.exports = new LkqScraper(); 
\ No newline at end of file
+module.exports = LkqScraper; 
\ No newline at end of file
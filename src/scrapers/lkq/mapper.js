@@ -1,9 +1,148 @@
 const { logger } = require('../../utils/logger');
+const { normaliseName, normaliseFitment } = require('../../utils/fitment');
+const { parsePrice, toMajorUnits } = require('../../utils/price');
+const { parseInterchange } = require('../../utils/interchange');
+const { extractSpecifications } = require('../../utils/specifications');
+const { getSpecificationRules } = require('./specification-rules');
+
+// Price kinds kept from the pricing entries
+const PRICE_KINDS = ['customer', 'list', 'core'];
+
+/**
+ * Collect the raw prices of an LKQ product by kind
+ * Pricing entries come either with one field per kind (customerPrice,
+ * listPrice, corePrice) or as typed entries ({ priceType: 'List', price }).
+ * The first value of each kind wins.
+ * @param {Object} product - The product data from LKQ API
+ * @returns {Object} - Raw values by kind, plus the top-level price
+ */
+const collectRawPrices = (product) => {
+  const raw = {};
+
+  (Array.isArray(product.pricing) ? product.pricing : []).forEach((entry) => {
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+
+    PRICE_KINDS.forEach((kind) => {
+      const value = entry[`${kind}Price`] !== undefined ? entry[`${kind}Price`] : entry[`${kind}Charge`];
+      if (value !== undefined && raw[kind] === undefined) {
+        raw[kind] = value;
+      }
+    });
+
+    const type = String(entry.priceType || entry.type || '').toLowerCase();
+    const kind = PRICE_KINDS.find(candidate => type.includes(candidate));
+    const value = entry.price !== undefined ? entry.price : entry.amount;
+    if (kind && value !== undefined && raw[kind] === undefined) {
+      raw[kind] = value;
+    }
+  });
+
+  return raw;
+};
+
+/**
+ * Parse the prices of an LKQ product into minor units
+ * The part's price is the top-level price, or else the customer or list price.
+ * Values that can't be parsed are reported as mapping warnings, not stored.
+ * @param {Object} product - The product data from LKQ API
+ * @returns {Object} - { price, currency, prices: { customer, list, core }, warnings }
+ */
+const mapPrices = (product) => {
+  const warnings = [];
+  const prices = {};
+  let currency = 'USD';
+
+  const parse = (field, value) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const parsed = parsePrice(value);
+    if (!parsed) {
+      warnings.push({ field, value: String(value), message: 'Unparseable price' });
+      return null;
+    }
+
+    currency = parsed.currency;
+    return parsed.amount;
+  };
+
+  const raw = collectRawPrices(product);
+  PRICE_KINDS.forEach((kind) => {
+    const amount = parse(`pricing.${kind}`, raw[kind]);
+    if (amount !== null) {
+      prices[kind] = amount;
+    }
+  });
+
+  let price = parse('price', product.price);
+  if (price === null) {
+    price = prices.customer !== undefined ? prices.customer : (prices.list !== undefined ? prices.list : null);
+  }
+
+  if (price === null && warnings.length === 0) {
+    warnings.push({ field: 'price', value: '', message: 'No price' });
+  }
+
+  return { price, currency, prices, warnings };
+};
+
+/**
+ * Pick the first value present under one of several keys
+ * @param {Object} data - Source data
+ * @param {string[]} keys - Candidate keys, in order of preference
+ * @returns {*} - The value, or undefined
+ */
+const pick = (data, keys) => {
+  const key = keys.find(candidate => data[candidate] !== undefined && data[candidate] !== null && data[candidate] !== '');
+  return key ? data[key] : undefined;
+};
+
+/**
+ * Map the donor vehicle of an LKQ product
+ * Vehicles are identified by VIN, or else by yard and stock number. Without
+ * either, parts from the same car can't be told apart, so no vehicle is mapped.
+ * @param {Object} sourceVehicle - Parsed _salvageSourceVehicle
+ * @param {Object} product - The product data from LKQ API
+ * @returns {Object|null} - Vehicle, or null when it can't be identified
+ */
+const mapSourceVehicle = (sourceVehicle, product) => {
+  const vin = String(pick(sourceVehicle, ['VIN', 'Vin', 'vin']) || '').trim().toUpperCase();
+  const stockNumber = String(pick(sourceVehicle, ['StockNumber', 'StockNo', 'stockNumber']) || '').trim();
+  const yard = product.location || product.yardCity || '';
+
+  if (!vin && !stockNumber) {
+    return null;
+  }
+
+  const year = parseInt(pick(sourceVehicle, ['Year']), 10);
+  const mileage = parseInt(pick(sourceVehicle, ['Mileage']), 10);
+  const arrivalDate = new Date(pick(sourceVehicle, ['ArrivalDate', 'DateArrived', 'YardDate']));
+
+  return {
+    vehicleKey: vin || `${yard}/${stockNumber}`,
+    vin,
+    year: Number.isNaN(year) ? undefined : year,
+    make: normaliseName(pick(sourceVehicle, ['Make'])),
+    model: normaliseName(pick(sourceVehicle, ['Model'])),
+    trim: pick(sourceVehicle, ['Trim', 'SubModel']) || '',
+    mileage: Number.isNaN(mileage) ? undefined : mileage,
+    stockNumber,
+    yardName: pick(sourceVehicle, ['YardName', 'LocationName']) || product.location || '',
+    yardCity: product.yardCity || '',
+    yardState: product.yardState || '',
+    arrivalDate: Number.isNaN(arrivalDate.getTime()) ? undefined : arrivalDate,
+    images: Array.isArray(sourceVehicle.SourceVehicleImages) ? sourceVehicle.SourceVehicleImages : [],
+  };
+};
 
 /**
  * Map a LKQ API product to our Part model format
  * @param {Object} product - The product data from LKQ API
  * @returns {Object} - The formatted product data for our database
+ * @throws {Error} - When the product can't be mapped (the scraper quarantines it)
  */
 const mapProductToPart = (product) => {
   try {
@@ -40,6 +179,17 @@ const mapProductToPart = (product) => {
       trim: '',
     }));
     
+    // Structured fitment with year ranges
+    const fitment = normaliseFitment(fitments.map(row => ({
+      make: row.SystemMake,
+      model: row.SystemModel,
+      year: row.SystemYear,
+      trim: row.SystemTrim || row.SystemSubModel,
+      engine: row.SystemEngine || row.Engine,
+      drivetrain: row.SystemDriveType || row.DriveType,
+      notes: row.FitmentNotes || row.Notes,
+    })));
+    
     // Map images
     const images = (product.images || []).map(image => ({
       url: image.url || '',
@@ -56,26 +206,12 @@ const mapProductToPart = (product) => {
       });
     }
     
-    // Map price information - keep original price format
-    let price = 0;
-    let currency = 'USD';
+    // Map price information
+    const { price: priceAmount, currency, prices, warnings: mappingWarnings } = mapPrices(product);
     
-    if (product.price !== undefined) {
-      price = product.price; // Keep original format, whether string or number
-    } else if (product.pricing && product.pricing.length > 0) {
-      price = product.pricing[0].customerPrice || 0;
-    }
-    
-    // Extract specifications from description
-    const specifications = {};
-    const descriptionParts = (product.description || '').split(',').map(part => part.trim());
-    
-    descriptionParts.forEach(part => {
-      const [key, value] = part.split(' ');
-      if (key && value) {
-        specifications[key] = value;
-      }
-    });
+    // Extract specifications from description, with the rules of the part's category
+    const category = (product.category || '').split('|')[1] || '';
+    const specifications = extractSpecifications(product.description, getSpecificationRules(category));
     
     // Collect other fields to save in otherParams
     const otherParams = {};
@@ -106,12 +242,17 @@ const mapProductToPart = (product) => {
       partNumber: product.number || product.id || '',
       name: product.descriptionRetail || product.description || '',
       description: product.description || '',
-      price,
+      price: toMajorUnits(priceAmount),
+      priceAmount,
       currency,
+      prices,
       manufacturer: sourceVehicle.Make || product.sourceVehicleMake || '',
-      category: (product.category || '').split('|')[1] || '',
+      category,
       subcategory: '',
+      categoryPath: product.category || '',
       compatibility,
+      fitment,
+      interchange: parseInterchange(product.interchange),
       images,
       specifications,
       source: 'lkq',
@@ -123,7 +264,6 @@ const mapProductToPart = (product) => {
                  product.ftcDisplay === 'Refurbished' ? 'refurbished' : 'unknown',
       metadata: {
         originalId: product.id || '',
-        interchange: product.interchange || '',
         sourceVehicleYear: product.sourceVehicleYear || sourceVehicle.Year || '',
         sourceVehicleMake: product.sourceVehicleMake || sourceVehicle.Make || '',
         sourceVehicleModel: product.sourceVehicleModel || sourceVehicle.Model || '',
@@ -137,21 +277,15 @@ const mapProductToPart = (product) => {
       },
       // Add the otherParams
       otherParams,
+      mappingWarnings,
+      // Donor vehicle, stored separately and linked as sourceVehicle
+      vehicle: mapSourceVehicle(sourceVehicle, product),
     };
     
     return part;
   } catch (error) {
     logger.error(`Error mapping product to part: ${error.message}`);
-    // Even if there's an error, try to return a basic part with the raw data
-    return {
-      partNumber: product?.number || product?.id || 'unknown',
-      name: product?.descriptionRetail || product?.description || 'Unknown part',
-      source: 'lkq',
-      otherParams: {
-        rawData: product ? JSON.stringify(product) : 'Error mapping product',
-        mappingError: error.message
-      }
-    };
+    throw error;
   }
 };
 
@@ -166,8 +300,15 @@ const mapProductsToParts = (products) => {
     return [];
   }
   
+  // Products that fail to map are left out (already logged by mapProductToPart)
   const parts = products
-    .map(mapProductToPart)
+    .map((product) => {
+      try {
+        return mapProductToPart(product);
+      } catch (error) {
+        return null;
+      }
+    })
     .filter(part => part !== null);
   
   logger.info(`Mapped ${parts.length} out of ${products.length} products to parts`);
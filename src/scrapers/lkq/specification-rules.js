@@ -0,0 +1,66 @@
+const { normaliseName } = require('../../utils/fitment');
+
+/**
+ * Specification rules for LKQ descriptions
+ * ----------------------------------------
+ *
+ * LKQ descriptions list specifications in no fixed order, e.g.
+ * 'Alternator 12V 150A, serpentine pulley, 6 groove, OE 8L8T-10300-AC'.
+ * Each category has its own rules, followed by the rules shared by all
+ * categories. See src/utils/specifications.js for the rule format.
+ */
+
+/**
+ * Upper case a value and strip its spaces
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+const code = value => value.replace(/\s+/g, '').toUpperCase();
+
+const SIDES = { left: 'Left', lh: 'Left', driver: 'Left', right: 'Right', rh: 'Right', passenger: 'Right' };
+
+const voltage = { name: 'voltage', pattern: /\b(\d{1,2}(?:\.\d)?)\s*(?:V|VOLTS?)\b/i, type: 'number', unit: 'V' };
+
+// Rules for every category
+const COMMON_RULES = [
+  { name: 'oeNumber', pattern: /\bOEM?\s*(?:#|NO\.?|NUMBER)?\s*:?\s*([A-Z0-9][A-Z0-9-]{4,})\b/i, normalise: code },
+  { name: 'side', pattern: /\b(left|right|driver|passenger|LH|RH)\b/i, normalise: value => SIDES[value.toLowerCase()] },
+  { name: 'position', pattern: /\b(front|rear|upper|lower|inner|outer)\b/i, normalise: normaliseName },
+];
+
+// Rules by category name, lower case
+const CATEGORY_RULES = {
+  alternator: [
+    voltage,
+    { name: 'amperage', pattern: /\b(\d{2,3})\s*(?:A|AMPS?)\b/i, type: 'number', unit: 'A' },
+    { name: 'pulleyType', pattern: /\b(serpentine|v-?belt|clutch|decoupler)\b/i, normalise: value => normaliseName(value.replace(/^v-?belt$/i, 'V-Belt')) },
+    { name: 'pulleyGrooves', pattern: /\b(\d{1,2})[- ]?(?:groove|rib)s?\b/i, type: 'number' },
+  ],
+  battery: [
+    voltage,
+    { name: 'coldCrankingAmps', pattern: /\b(\d{3,4})\s*CCA\b|\bCCA\s*:?\s*(\d{3,4})\b/i, type: 'number', unit: 'A' },
+    { name: 'groupSize', pattern: /\bGROUP\s*(?:SIZE)?\s*:?\s*#?\s*(\d{2,3}[A-Z]?|H\d)\b/i, normalise: code },
+    { name: 'reserveCapacity', pattern: /\bRC\s*:?\s*(\d{2,3})\b|\b(\d{2,3})\s*MIN(?:UTES?)?\s*(?:RC|RESERVE)\b/i, type: 'number', unit: 'min' },
+  ],
+  starter: [
+    voltage,
+    { name: 'power', pattern: /\b(\d(?:\.\d{1,2})?)\s*KW\b/i, type: 'number', unit: 'kW' },
+    { name: 'teeth', pattern: /\b(\d{1,2})\s*(?:TOOTH|TEETH|T)\b/i, type: 'number' },
+  ],
+};
+
+/**
+ * Get the rules for a category
+ * @param {string} category - Category name (e.g. 'Alternator')
+ * @returns {Array} - Category rules, then the common ones
+ */
+const getSpecificationRules = category => [
+  ...(CATEGORY_RULES[String(category || '').toLowerCase()] || []),
+  ...COMMON_RULES,
+];
+
+module.exports = {
+  COMMON_RULES,
+  CATEGORY_RULES,
+  getSpecificationRules,
+};
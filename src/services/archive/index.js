@@ -0,0 +1,194 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { RawProduct } = require('../../models');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Raw product archive
+ * -------------------
+ *
+ * Every product a job fetches is stored as gzip-compressed JSON in the
+ * `rawproducts` collection, keyed by source, product id and job. Re-mapping
+ * reads the latest payload of each product back and runs it through the
+ * current mapper, so mapper fixes can be applied without re-scraping. Each
+ * product keeps its newest `keepPerProduct` copies; older ones are pruned as
+ * new ones are archived.
+ */
+
+/**
+ * Compress a product payload
+ * @param {Object} product - Raw product
+ * @returns {Promise<Object>} - Compressed payload and its uncompressed size
+ */
+const compressProduct = async (product) => {
+  const json = Buffer.from(JSON.stringify(product));
+
+  return {
+    payload: await gzip(json),
+    size: json.length,
+  };
+};
+
+/**
+ * Decompress an archived payload
+ * @param {Buffer} payload - Gzip-compressed JSON
+ * @returns {Promise<Object>} - Raw product
+ */
+const decompressProduct = async (payload) => {
+  // Lean documents return a BSON Binary instead of a Buffer
+  const json = await gunzip(Buffer.isBuffer(payload) ? payload : Buffer.from(payload.buffer));
+  return JSON.parse(json.toString());
+};
+
+/**
+ * Remove the copies of products beyond the newest `keepPerProduct`
+ * @param {string} source - The source of the products
+ * @param {string[]} productIds - Products to prune
+ * @returns {Promise<number>} - Number of copies removed
+ */
+const pruneArchive = async (source, productIds) => {
+  const keep = config.archive.keepPerProduct;
+
+  if (!keep || productIds.length === 0) {
+    return 0;
+  }
+
+  const products = await RawProduct.aggregate([
+    { $match: { source, productId: { $in: productIds } } },
+    { $sort: { productId: 1, capturedAt: -1 } },
+    { $group: { _id: '$productId', rawIds: { $push: '$_id' } } },
+    { $match: { [`rawIds.${keep}`]: { $exists: true } } },
+    { $project: { stale: { $slice: ['$rawIds', keep, { $size: '$rawIds' }] } } },
+  ]);
+
+  const stale = products.flatMap(product => product.stale);
+  if (stale.length === 0) {
+    return 0;
+  }
+
+  const { deletedCount } = await RawProduct.deleteMany({ _id: { $in: stale } });
+  return deletedCount;
+};
+
+/**
+ * Archive the raw products of a batch
+ * Best effort - the parts are stored either way, so errors are logged, not thrown
+ * @param {string} source - The source of the products
+ * @param {Array} products - Raw products
+ * @param {Object} options - Archive options
+ * @param {string} options.jobId - The job that fetched the products
+ * @param {Function} options.getProductId - Returns the source's id for a product
+ * @returns {Promise<number>} - Number of products archived
+ */
+const archiveProducts = async (source, products, options = {}) => {
+  const { jobId, getProductId } = options;
+
+  if (!config.archive.enabled || !jobId || products.length === 0) {
+    return 0;
+  }
+
+  try {
+    const operations = [];
+
+    for (const product of products) {
+      const productId = getProductId(product);
+
+      if (!productId) {
+        continue;
+      }
+
+      const { payload, size } = await compressProduct(product);
+
+      operations.push({
+        updateOne: {
+          filter: { source, productId: String(productId), jobId },
+          update: {
+            $set: {
+              payload,
+              size,
+              hasDetails: Boolean(product.details),
+              capturedAt: new Date(),
+            },
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (operations.length > 0) {
+      await RawProduct.bulkWrite(operations, { ordered: false });
+      await pruneArchive(source, operations.map(operation => operation.updateOne.filter.productId));
+    }
+
+    return operations.length;
+  } catch (error) {
+    logger.error(`Error archiving raw products: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Read the latest archived payload of each product in batches
+ * @param {string} source - The source of the products
+ * @param {Object} options - Read options
+ * @param {string} options.fromJobId - Only read the payloads archived by this job
+ * @param {number} options.batchSize - Products per batch
+ * @param {Function} onBatch - Called with each batch of raw products; returning false stops reading
+ * @returns {Promise<number>} - Number of products read
+ */
+const eachArchivedBatch = async (source, options, onBatch) => {
+  const { fromJobId, batchSize = config.archive.remapBatchSize } = options;
+
+  const match = { source };
+  if (fromJobId) {
+    match.jobId = fromJobId;
+  }
+
+  // Find the newest copy of each product first, then load payloads a batch at a time
+  const latest = RawProduct.aggregate([
+    { $match: match },
+    { $sort: { productId: 1, capturedAt: -1 } },
+    { $group: { _id: '$productId', rawId: { $first: '$_id' } } },
+    { $sort: { _id: 1 } },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize });
+
+  let ids = [];
+  let read = 0;
+
+  const flush = async () => {
+    const docs = await RawProduct.find({ _id: { $in: ids } }).lean();
+    const products = await Promise.all(docs.map(doc => decompressProduct(doc.payload)));
+    ids = [];
+    read += products.length;
+    return onBatch(products);
+  };
+
+  for await (const { rawId } of latest) {
+    ids.push(rawId);
+
+    if (ids.length >= batchSize && (await flush()) === false) {
+      await latest.close();
+      return read;
+    }
+  }
+
+  if (ids.length > 0) {
+    await flush();
+  }
+
+  return read;
+};
+
+module.exports = {
+  compressProduct,
+  decompressProduct,
+  archiveProducts,
+  pruneArchive,
+  eachArchivedBatch,
+};
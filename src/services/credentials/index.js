@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const { Credential } = require('../../models');
+const { logger } = require('../../utils/logger');
+const { maskProxyUrl } = require('../proxies');
+
+/**
+ * Check whether the database is connected
+ * Scripts can make API requests without MongoDB, in which case credentials
+ * are used in memory only
+ * @returns {boolean}
+ */
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Store a new credential set for a source
+ * The newest active credential set is the one handed out to scrapers
+ * Without a database connection the set is returned without being stored
+ * @param {string} source - The source (e.g., 'lkq')
+ * @param {Object} data - Credential data (cookies, headers, userAgent, proxyUrl, origin, capturedAt)
+ * @returns {Promise<Object>} - The stored credential set
+ */
+const saveCredential = async (source, data) => {
+  const values = {
+    source,
+    cookies: data.cookies || '',
+    headers: data.headers || {},
+    userAgent: data.userAgent,
+    proxyUrl: data.proxyUrl,
+    origin: data.origin || 'manual',
+    capturedAt: data.capturedAt || new Date(),
+    status: 'active',
+  };
+
+  if (!isConnected()) {
+    return values;
+  }
+
+  try {
+    const credential = await Credential.create(values);
+
+    logger.info(`Stored new ${credential.origin} credential set for ${source} (${credential._id})`);
+    return credential;
+  } catch (error) {
+    logger.error(`Error saving credential: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the credential set currently in use for a source
+ * Seeds the store from the fallback (usually config/env values) when it is empty
+ * @param {string} source - The source (e.g., 'lkq')
+ * @param {Object} fallback - Credential data to use when none is stored
+ * @param {Object} options - Additional options
+ * @param {string[]} options.excludeIds - Credential IDs to skip (e.g. ones that just failed)
+ * @returns {Promise<Object|null>} - The credential set, or null if none is available
+ */
+const getActiveCredential = async (source, fallback = null, options = {}) => {
+  const { excludeIds = [] } = options;
+
+  if (!isConnected()) {
+    return fallback ? { ...fallback, origin: 'config' } : null;
+  }
+
+  try {
+    const credential = await Credential.findOneAndUpdate(
+      { source, status: 'active', _id: { $nin: excludeIds } },
+      { lastUsedAt: new Date() },
+      { new: true, sort: { capturedAt: -1 } }
+    );
+
+    if (credential) {
+      return credential;
+    }
+
+    // Only seed an empty store - never replace credentials that expired
+    const stored = await Credential.countDocuments({ source });
+    if (stored === 0 && fallback) {
+      logger.info(`No stored credentials for ${source}, seeding from configuration`);
+      return saveCredential(source, { ...fallback, origin: 'config' });
+    }
+
+    return null;
+  } catch (error) {
+    logger.error(`Error getting active credential: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Mark a credential set as expired
+ * @param {string} credentialId - The credential ID
+ * @param {string} reason - Why the credential set was rejected
+ * @returns {Promise<void>}
+ */
+const markExpired = async (credentialId, reason = '') => {
+  if (!credentialId || !isConnected()) {
+    return;
+  }
+
+  try {
+    await Credential.updateOne(
+      { _id: credentialId, status: 'active' },
+      { status: 'expired', expiredAt: new Date(), expiryReason: reason }
+    );
+    logger.warn(`Credential set ${credentialId} marked as expired: ${reason}`);
+  } catch (error) {
+    logger.error(`Error expiring credential: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List credential sets for a source, newest first
+ * @param {string} source - The source (e.g., 'lkq')
+ * @param {Object} options - Options for pagination
+ * @returns {Promise<Array>} - The credential sets
+ */
+const listCredentials = async (source, options = {}) => {
+  const { limit = 20 } = options;
+
+  try {
+    return await Credential.find({ source })
+      .sort({ capturedAt: -1 })
+      .limit(limit);
+  } catch (error) {
+    logger.error(`Error listing credentials: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Hide secret values in a credential set for API responses and logs
+ * @param {Object} credential - The credential set
+ * @returns {Object} - Sanitized credential set
+ */
+const sanitizeCredential = (credential) => {
+  const headers = {};
+  Object.entries(credential.headers || {}).forEach(([key, value]) => {
+    headers[key] = `[HIDDEN - LENGTH: ${String(value).length}]`;
+  });
+
+  return {
+    id: credential._id,
+    source: credential.source,
+    origin: credential.origin,
+    status: credential.status,
+    cookies: `[HIDDEN - LENGTH: ${(credential.cookies || '').length}]`,
+    headers,
+    userAgent: credential.userAgent,
+    proxy: maskProxyUrl(credential.proxyUrl),
+    capturedAt: credential.capturedAt,
+    lastUsedAt: credential.lastUsedAt,
+    expiredAt: credential.expiredAt,
+    expiryReason: credential.expiryReason,
+  };
+};
+
+module.exports = {
+  saveCredential,
+  getActiveCredential,
+  markExpired,
+  listCredentials,
+  sanitizeCredential,
+};
@@ -0,0 +1,468 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { Part, ExportJob } = require('../../models');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+const { buildQuery } = require('../search');
+const { createXlsxWriter } = require('../../utils/xlsx');
+const { writeChunk } = require('../../utils/streams');
+
+/**
+ * Part exports
+ * ------------
+ *
+ * Streams the parts matching search filters to CSV, NDJSON or XLSX, one part
+ * at a time from a cursor, so exports of any size run in constant memory.
+ *
+ * Columns are part fields or dotted paths (e.g. 'metadata.yardCity',
+ * 'specifications.amperage'). CSV and XLSX cells are always flattened:
+ * `compatibility`, `fitment` and `images` become one readable value per entry,
+ * other lists and objects (e.g. `metadata`) are joined into one cell. NDJSON
+ * keeps documents nested unless flattening is asked for.
+ *
+ * Large exports run as export jobs, which write to the local file store
+ * (EXPORTS_DIR) for download later.
+ */
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// Columns of CSV and XLSX exports when none are chosen
+const DEFAULT_COLUMNS = [
+  'source',
+  'partNumber',
+  'name',
+  'category',
+  'condition',
+  'price',
+  'currency',
+  'inStock',
+  'quantity',
+  'interchange',
+  'compatibility',
+  'images',
+  'metadata',
+  'sourceUrl',
+  'lastSeenAt',
+  'updatedAt',
+];
+
+// Separator between the entries of a flattened list or object
+const SEPARATOR = '; ';
+
+// Characters buffered before a write
+const CHUNK_SIZE = 64 * 1024;
+
+// How the entries of list fields read when flattened
+const ENTRY_FORMATTERS = {
+  compatibility: entry => [entry.year, entry.make, entry.model, entry.trim].filter(Boolean).join(' '),
+  fitment: (entry) => {
+    const years = entry.yearFrom === entry.yearTo ? entry.yearFrom : `${entry.yearFrom}-${entry.yearTo}`;
+    return [entry.yearFrom ? years : '', entry.make, entry.model, entry.trim, entry.engine].filter(Boolean).join(' ');
+  },
+  images: entry => entry.url,
+};
+
+/**
+ * Parse and check export options
+ * @param {Object} query - Values (format, columns: comma separated or a list, flatten: 'true' or 'false')
+ * @returns {Object} - { options } for writeParts, or { error } with a message when a value is invalid
+ */
+const parseExportOptions = (query) => {
+  const { format = 'csv', flatten } = query;
+
+  if (!FORMATS[format]) {
+    return { error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  const columns = (Array.isArray(query.columns) ? query.columns : String(query.columns || '').split(','))
+    .map(column => String(column).trim())
+    .filter(Boolean);
+
+  const invalid = columns.find(column => !/^[A-Za-z_]\w*(\.\w+)*$/.test(column));
+  if (invalid) {
+    return { error: `Invalid column: ${invalid}` };
+  }
+
+  if (flatten !== undefined && !['true', 'false'].includes(String(flatten))) {
+    return { error: 'Flatten must be true or false' };
+  }
+
+  return {
+    options: {
+      format,
+      columns,
+      flatten: String(flatten) === 'true',
+    },
+  };
+};
+
+/**
+ * Get the value at a dotted path of a part
+ * @param {Object} part - Part (lean)
+ * @param {string} column - Field or dotted path
+ * @returns {*} - Value, or undefined
+ */
+const getValue = (part, column) => column
+  .split('.')
+  .reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), part);
+
+/**
+ * Flatten a value into a single cell value
+ * @param {*} value - Value
+ * @param {string} column - Column the value is for (picks the formatter of list entries)
+ * @returns {*} - String, number, boolean or null
+ */
+const flattenValue = (value, column) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+
+  if (Array.isArray(value)) {
+    const format = ENTRY_FORMATTERS[column];
+    return value
+      .map(entry => (format && entry && typeof entry === 'object' ? format(entry) : flattenValue(entry, column)))
+      .filter(entry => entry !== null && entry !== '')
+      .join(SEPARATOR);
+  }
+
+  if (typeof value === 'object') {
+    // Typed specification values
+    if ('value' in value && Object.keys(value).every(key => ['value', 'unit'].includes(key))) {
+      return value.unit ? `${value.value} ${value.unit}` : value.value;
+    }
+
+    return Object.entries(value)
+      .filter(([, entry]) => entry !== undefined && entry !== null && entry !== '')
+      .map(([key, entry]) => `${key}: ${flattenValue(entry, key)}`)
+      .join(SEPARATOR);
+  }
+
+  return value;
+};
+
+/**
+ * Build the flattened cells of a part
+ * @param {Object} part - Part (lean)
+ * @param {string[]} columns - Columns
+ * @returns {Array} - Cell values, in column order
+ */
+const toRow = (part, columns) => columns.map(column => flattenValue(getValue(part, column), column));
+
+/**
+ * Build the NDJSON record of a part
+ * @param {Object} part - Part (lean)
+ * @param {string[]|null} columns - Columns (all fields when null)
+ * @param {boolean} flatten - Flatten the values, keyed by column
+ * @returns {Object}
+ */
+const toRecord = (part, columns, flatten) => {
+  if (flatten) {
+    const selected = columns || Object.keys(part);
+    const record = {};
+    selected.forEach((column) => {
+      record[column] = flattenValue(getValue(part, column), column);
+    });
+    return record;
+  }
+
+  if (!columns) {
+    return part;
+  }
+
+  const record = {};
+  columns.forEach((column) => {
+    const value = getValue(part, column);
+    if (value === undefined) {
+      return;
+    }
+
+    const keys = column.split('.');
+    let target = record;
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return record;
+};
+
+/**
+ * Format a CSV cell
+ * Text that a spreadsheet would read as a formula is prefixed with a quote.
+ * @param {*} value - Flattened value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Count the parts matching export filters
+ * @param {Object} filters - Part filters, as for the search service
+ * @returns {Promise<number>}
+ */
+const countParts = async (filters = {}) => {
+  try {
+    return await Part.countDocuments(buildQuery(filters));
+  } catch (error) {
+    logger.error(`Error counting parts to export: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Write the parts matching filters to a stream
+ * @param {Object} filters - Part filters, as for the search service
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv, ndjson or xlsx
+ * @param {string[]} options.columns - Columns (defaults to DEFAULT_COLUMNS, or every field for NDJSON)
+ * @param {boolean} options.flatten - Flatten NDJSON values (CSV and XLSX are always flat)
+ * @param {Object} output - Writable stream (not ended)
+ * @returns {Promise<number>} - Number of parts written
+ */
+const writeParts = async (filters, options, output) => {
+  const { format = 'csv', flatten = false } = options;
+  const columns = options.columns && options.columns.length > 0 ? options.columns : null;
+
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const cursor = Part.find(buildQuery(filters || {}))
+    .select('-__v')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  let rows = 0;
+
+  try {
+    if (format === 'xlsx') {
+      const header = columns || DEFAULT_COLUMNS;
+      const writer = createXlsxWriter(output, { sheetName: 'Parts' });
+
+      await writer.addRow(header);
+      for await (const part of cursor) {
+        await writer.addRow(toRow(part, header));
+        rows++;
+      }
+      await writer.end();
+
+      return rows;
+    }
+
+    const header = columns || DEFAULT_COLUMNS;
+    let pending = format === 'csv' ? `${header.map(csvCell).join(',')}\r\n` : '';
+
+    for await (const part of cursor) {
+      pending += format === 'csv'
+        ? `${toRow(part, header).map(csvCell).join(',')}\r\n`
+        : `${JSON.stringify(toRecord(part, columns, flatten))}\n`;
+      rows++;
+
+      if (pending.length >= CHUNK_SIZE) {
+        await writeChunk(output, pending);
+        pending = '';
+      }
+    }
+
+    if (pending) {
+      await writeChunk(output, pending);
+    }
+
+    return rows;
+  } finally {
+    await cursor.close();
+  }
+};
+
+/**
+ * Get the path of an export job's file
+ * @param {Object} job - Export job
+ * @returns {string|null} - Absolute path, or null when the job has no file
+ */
+const getExportFilePath = job => (job.fileName ? path.join(config.exports.dir, job.fileName) : null);
+
+/**
+ * Run an export job: write its parts to the file store
+ * The file is written under a temporary name and renamed when complete, so a
+ * download never sees a partial file.
+ * @param {string} exportId - The export ID
+ * @returns {Promise<Object>} - The completed job
+ */
+const runExportJob = async (exportId) => {
+  const job = await ExportJob.findOne({ exportId }).lean();
+
+  if (!job) {
+    throw new Error(`Export job not found: ${exportId}`);
+  }
+
+  const fileName = `parts-${exportId}.${FORMATS[job.format].extension}`;
+  const filePath = path.join(config.exports.dir, fileName);
+  const partialPath = `${filePath}.partial`;
+
+  await ExportJob.updateOne({ exportId }, { status: 'running', startTime: new Date() });
+  let output = null;
+
+  try {
+    await fs.promises.mkdir(config.exports.dir, { recursive: true });
+
+    output = fs.createWriteStream(partialPath);
+    const rows = await writeParts(job.filters, { format: job.format, columns: job.columns, flatten: job.flatten }, output);
+    output.end();
+    await once(output, 'finish');
+
+    await fs.promises.rename(partialPath, filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    logger.info(`Export ${exportId} wrote ${rows} parts to ${fileName}`);
+
+    return await ExportJob.findOneAndUpdate(
+      { exportId },
+      { status: 'completed', fileName, rows, size, endTime: new Date() },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    logger.error(`Export ${exportId} failed: ${error.message}`);
+
+    // Close the file before removing it
+    if (output && !output.closed) {
+      output.destroy();
+      await once(output, 'close');
+    }
+
+    await fs.promises.rm(partialPath, { force: true });
+    await ExportJob.updateOne({ exportId }, { status: 'failed', error: error.message, endTime: new Date() });
+    throw error;
+  }
+};
+
+/**
+ * Start an export job in the background
+ * The job runs in this process and writes to its local file store, so the file
+ * can be downloaded from the same API.
+ * @param {Object} exportData - Export (format, filters, columns, flatten)
+ * @returns {Promise<Object>} - The pending job
+ */
+const startExportJob = async (exportData) => {
+  try {
+    const job = await ExportJob.create({
+      exportId: Date.now().toString(),
+      ...exportData,
+      status: 'pending',
+    });
+
+    setImmediate(() => {
+      // Failures are recorded on the job
+      runExportJob(job.exportId).catch(() => {});
+    });
+
+    logger.info(`Started ${job.format} export ${job.exportId}`);
+    return job.toObject();
+  } catch (error) {
+    logger.error(`Error starting export job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get an export job
+ * @param {string} exportId - The export ID
+ * @returns {Promise<Object|null>}
+ */
+const getExportJob = async (exportId) => {
+  try {
+    return await ExportJob.findOne({ exportId }).select('-__v').lean();
+  } catch (error) {
+    logger.error(`Error getting export job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete an export job and its file
+ * @param {string} exportId - The export ID
+ * @returns {Promise<boolean>} - False when there was no such job
+ */
+const deleteExportJob = async (exportId) => {
+  try {
+    const job = await ExportJob.findOneAndDelete({ exportId }).lean();
+
+    if (!job) {
+      return false;
+    }
+
+    const filePath = getExportFilePath(job);
+    if (filePath) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting export job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Mark export jobs left pending or running by a stopped process as failed
+ * @returns {Promise<number>} - Number of jobs marked
+ */
+const failInterruptedExports = async () => {
+  try {
+    const result = await ExportJob.updateMany(
+      { status: { $in: ['pending', 'running'] } },
+      { status: 'failed', error: 'Interrupted by a restart', endTime: new Date() }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn(`Marked ${result.modifiedCount} interrupted export jobs as failed`);
+    }
+
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(`Error failing interrupted exports: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  FORMATS,
+  DEFAULT_COLUMNS,
+  parseExportOptions,
+  flattenValue,
+  toRow,
+  toRecord,
+  csvCell,
+  countParts,
+  writeParts,
+  runExportJob,
+  startExportJob,
+  getExportJob,
+  getExportFilePath,
+  deleteExportJob,
+  failInterruptedExports,
+};
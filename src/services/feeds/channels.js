@@ -0,0 +1,152 @@
+const { escapeXml } = require('../../utils/xml');
+
+/**
+ * Feed channels
+ * -------------
+ *
+ * Each channel describes how a marketplace wants its listings: the attributes
+ * an item must have, its limits and condition values, and how items are
+ * rendered in each format it accepts.
+ *
+ * Items reach the renderers already built by the feeds service:
+ * { id, title, description, link, images, price (minor units), currency,
+ *   availability, quantity, condition, brand, mpn, productType, compatibility,
+ *   interchange }
+ */
+
+/**
+ * Format an amount in minor units as a decimal
+ * @param {number} amount - Amount in minor units
+ * @returns {string} - e.g. '123.45'
+ */
+const formatAmount = amount => (amount / 100).toFixed(2);
+
+/**
+ * Make text safe for a TSV cell
+ * @param {*} value - Value
+ * @returns {string}
+ */
+const tsvCell = value => (value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+
+/**
+ * Build an XML element, or nothing for an empty value
+ * @param {string} name - Element name
+ * @param {*} value - Text content
+ * @returns {string}
+ */
+const element = (name, value) => (value === undefined || value === null || value === ''
+  ? ''
+  : `<${name}>${escapeXml(value)}</${name}>`);
+
+const google = {
+  name: 'Google Merchant Center',
+  formats: ['xml', 'tsv'],
+  maxTitleLength: 150,
+  maxDescriptionLength: 5000,
+  maxImages: 11,
+  required: ['id', 'title', 'description', 'link', 'images', 'price', 'availability', 'condition', 'brand'],
+  conditions: { new: 'new', used: 'used', refurbished: 'refurbished' },
+  contentTypes: { xml: 'application/xml; charset=utf-8', tsv: 'text/tab-separated-values; charset=utf-8' },
+
+  // RSS 2.0 with the Google namespace
+  xmlStart: feed => '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0"><channel>'
+    + `${element('title', feed.name)}\n`,
+
+  xmlItem: item => [
+    '<item>',
+    element('g:id', item.id),
+    element('g:title', item.title),
+    element('g:description', item.description),
+    element('g:link', item.link),
+    element('g:image_link', item.images[0]),
+    ...item.images.slice(1).map(url => element('g:additional_image_link', url)),
+    element('g:availability', item.availability),
+    element('g:price', `${formatAmount(item.price)} ${item.currency}`),
+    element('g:condition', item.condition),
+    element('g:brand', item.brand),
+    item.mpn ? element('g:mpn', item.mpn) : element('g:identifier_exists', 'no'),
+    element('g:product_type', item.productType),
+    '</item>\n',
+  ].join(''),
+
+  xmlEnd: () => '</channel></rss>\n',
+
+  tsvColumns: [
+    'id', 'title', 'description', 'link', 'image_link', 'additional_image_link', 'availability', 'price',
+    'condition', 'brand', 'mpn', 'identifier_exists', 'product_type',
+  ],
+
+  tsvRow: item => [
+    item.id,
+    item.title,
+    item.description,
+    item.link,
+    item.images[0],
+    item.images.slice(1).join(','),
+    item.availability,
+    `${formatAmount(item.price)} ${item.currency}`,
+    item.condition,
+    item.brand,
+    item.mpn,
+    item.mpn ? '' : 'no',
+    item.productType,
+  ].map(tsvCell).join('\t'),
+};
+
+const ebay = {
+  name: 'eBay inventory',
+  formats: ['xml'],
+  maxTitleLength: 80,
+  maxDescriptionLength: 500000,
+  maxImages: 12,
+  required: ['id', 'title', 'description', 'images', 'price', 'quantity', 'condition'],
+  conditions: { new: 'NEW', used: 'USED_EXCELLENT', refurbished: 'SELLER_REFURBISHED' },
+  contentTypes: { xml: 'application/xml; charset=utf-8' },
+
+  xmlStart: () => '<?xml version="1.0" encoding="UTF-8"?>\n<Inventory>\n',
+
+  xmlItem: (item) => {
+    const specifics = [
+      ['Brand', item.brand],
+      ['Manufacturer Part Number', item.mpn],
+      ['Interchange Part Number', item.interchange.join(', ')],
+    ].filter(([, value]) => value);
+
+    return [
+      '<Item>',
+      element('SKU', item.id),
+      element('Title', item.title),
+      element('Description', item.description),
+      element('Condition', item.condition),
+      `<Price currency="${escapeXml(item.currency)}">${formatAmount(item.price)}</Price>`,
+      element('Quantity', item.quantity),
+      `<PictureURLs>${item.images.map(url => element('PictureURL', url)).join('')}</PictureURLs>`,
+      '<ItemSpecifics>',
+      ...specifics.map(([name, value]) => `<NameValueList>${element('Name', name)}${element('Value', value)}</NameValueList>`),
+      '</ItemSpecifics>',
+      item.compatibility.length > 0
+        ? `<Compatibility>${item.compatibility.map(vehicle => [
+          '<Vehicle>',
+          element('Year', vehicle.year),
+          element('Make', vehicle.make),
+          element('Model', vehicle.model),
+          element('Trim', vehicle.trim),
+          '</Vehicle>',
+        ].join('')).join('')}</Compatibility>`
+        : '',
+      '</Item>\n',
+    ].join('');
+  },
+
+  xmlEnd: () => '</Inventory>\n',
+};
+
+const CHANNELS = {
+  google,
+  ebay,
+};
+
+module.exports = {
+  CHANNELS,
+};
@@ -0,0 +1,478 @@
+const { Part, Feed } = require('../../models');
+const { logger } = require('../../utils/logger');
+const { buildQuery } = require('../search');
+const { parsePartFilters, CONDITIONS } = require('../../utils/part-filters');
+const { writeChunk } = require('../../utils/streams');
+const { CHANNELS } = require('./channels');
+
+/**
+ * Marketplace feeds
+ * -----------------
+ *
+ * A feed lists the in stock parts matching its filters on a channel (Google
+ * Merchant Center or eBay). Each part becomes an item: its title is rendered
+ * from the feed's template, its price is the scraped price with the feed's
+ * first matching markup rule applied, and its attributes are mapped to the
+ * channel's values.
+ *
+ * Items missing an attribute the channel requires are left out of the feed;
+ * the feed's validation report lists them with the attributes they miss.
+ */
+
+const DEFAULT_TITLE_TEMPLATE = '{vehicle.year} {vehicle.make} {vehicle.model} {name}';
+
+// Characters buffered before a write
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Get the value at a dotted path
+ * @param {Object} context - Values
+ * @param {string} key - Key or dotted path
+ * @returns {*} - Value, or undefined
+ */
+const getValue = (context, key) => key
+  .split('.')
+  .reduce((value, part) => (value !== null && value !== undefined ? value[part] : undefined), context);
+
+/**
+ * Render a template, replacing {path} placeholders with values
+ * Missing values render as nothing, and runs of spaces they leave are collapsed.
+ * @param {string} template - Template (e.g. '{vehicle.year} {vehicle.make} {name}')
+ * @param {Object} context - Values
+ * @param {Object} options - Render options
+ * @param {boolean} options.encode - URL encode the values
+ * @returns {string}
+ */
+const renderTemplate = (template, context, options = {}) => template
+  .replace(/\{([\w.]+)\}/g, (placeholder, key) => {
+    const value = getValue(context, key);
+    if (value === undefined || value === null || typeof value === 'object') {
+      return '';
+    }
+    return options.encode ? encodeURIComponent(value) : String(value);
+  })
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Cut text to a length, at a word boundary where there is one
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+const truncate = (text, length) => {
+  if (text.length <= length) {
+    return text;
+  }
+
+  const cut = text.slice(0, length + 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > 0 ? cut.slice(0, space) : text.slice(0, length)).trim();
+};
+
+/**
+ * Apply the first matching markup rule to a part's scraped price
+ * @param {Object} part - Part
+ * @param {Array} rules - Markup rules ({ source, category, condition, priceMin, priceMax, percent, fixed })
+ * @returns {number|null} - Price in minor units, or null when the part has no price
+ */
+const applyMarkup = (part, rules = []) => {
+  if (typeof part.priceAmount !== 'number') {
+    return null;
+  }
+
+  const price = part.priceAmount / 100;
+  const rule = rules.find(candidate => (!candidate.source || candidate.source === part.source)
+    && (!candidate.category || String(part.category || '').toLowerCase() === candidate.category.toLowerCase())
+    && (!candidate.condition || candidate.condition === part.condition)
+    && (typeof candidate.priceMin !== 'number' || price >= candidate.priceMin)
+    && (typeof candidate.priceMax !== 'number' || price <= candidate.priceMax));
+
+  if (!rule) {
+    return part.priceAmount;
+  }
+
+  return Math.round(part.priceAmount * (1 + (rule.percent || 0) / 100) + (rule.fixed || 0) * 100);
+};
+
+/**
+ * Get the vehicle a part was pulled from
+ * @param {Object} part - Part, with sourceVehicle populated
+ * @returns {Object} - { year, make, model, trim }
+ */
+const getVehicle = (part) => {
+  const vehicle = part.sourceVehicle && typeof part.sourceVehicle === 'object' && part.sourceVehicle.make
+    ? part.sourceVehicle
+    : {};
+  const metadata = part.metadata || {};
+
+  return {
+    year: vehicle.year || metadata.sourceVehicleYear || undefined,
+    make: vehicle.make || metadata.sourceVehicleMake || undefined,
+    model: vehicle.model || metadata.sourceVehicleModel || undefined,
+    trim: vehicle.trim || undefined,
+  };
+};
+
+/**
+ * List the vehicles a part fits, one per year
+ * @param {Object} part - Part
+ * @returns {Array} - [{ year, make, model, trim }]
+ */
+const getCompatibility = (part) => {
+  const vehicles = (part.fitment || []).length > 0
+    ? part.fitment.flatMap((entry) => {
+      if (!entry.yearFrom || !entry.yearTo) {
+        return [];
+      }
+      return Array.from({ length: entry.yearTo - entry.yearFrom + 1 }, (value, index) => ({
+        year: entry.yearFrom + index,
+        make: entry.make,
+        model: entry.model,
+        trim: entry.trim,
+      }));
+    })
+    : (part.compatibility || []).map(entry => ({ year: entry.year, make: entry.make, model: entry.model, trim: entry.trim }));
+
+  const seen = new Set();
+  return vehicles.filter((vehicle) => {
+    const key = [vehicle.year, vehicle.make, vehicle.model, vehicle.trim].join('|');
+    if (!vehicle.make || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Build the feed item of a part
+ * @param {Object} feed - Feed
+ * @param {Object} part - Part (lean, with sourceVehicle populated)
+ * @returns {Object} - Item, with null for attributes the part can't provide
+ */
+const buildItem = (feed, part) => {
+  const channel = CHANNELS[feed.channel];
+  const vehicle = getVehicle(part);
+  const context = { ...part, vehicle };
+  const title = truncate(renderTemplate(feed.titleTemplate || DEFAULT_TITLE_TEMPLATE, context), channel.maxTitleLength);
+  const quantity = Number(part.quantity);
+  const oeNumber = part.specifications && part.specifications.oeNumber;
+
+  return {
+    id: `${part.source}-${part.partNumber}`,
+    title: title || null,
+    description: truncate(part.description || title, channel.maxDescriptionLength) || null,
+    link: feed.linkTemplate ? renderTemplate(feed.linkTemplate, context, { encode: true }) : null,
+    images: (part.images || []).map(image => image.url).filter(Boolean).slice(0, channel.maxImages),
+    price: applyMarkup(part, feed.markupRules),
+    currency: part.currency || 'USD',
+    availability: part.inStock ? 'in_stock' : null,
+    quantity: Number.isInteger(quantity) && quantity > 0 ? quantity : null,
+    condition: channel.conditions[part.condition] || null,
+    brand: part.manufacturer || vehicle.make || feed.brand || null,
+    mpn: oeNumber ? oeNumber.value : null,
+    productType: (part.categoryPath || part.category || '').split('|').join(' > ') || null,
+    compatibility: getCompatibility(part),
+    interchange: part.interchange || [],
+  };
+};
+
+/**
+ * Find the required attributes an item is missing
+ * @param {Object} item - Feed item
+ * @param {string} channelName - Channel
+ * @returns {string[]} - Missing attributes
+ */
+const findMissingAttributes = (item, channelName) => CHANNELS[channelName].required.filter((attribute) => {
+  const value = item[attribute];
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+});
+
+/**
+ * Drop the keys of an object that have no value
+ * @param {Object} object - Object
+ * @returns {Object}
+ */
+const compact = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+/**
+ * Parse and check a feed definition
+ * @param {Object} data - Feed (name, channel, format, filters, markupRules, titleTemplate, linkTemplate, brand)
+ * @returns {Object} - { feed } to save, or { error } with a message when a value is invalid
+ */
+const parseFeed = (data) => {
+  const {
+    name,
+    channel,
+    filters = {},
+    markupRules = [],
+    titleTemplate,
+    linkTemplate,
+    brand,
+  } = data;
+  const format = data.format || 'xml';
+
+  if (!name || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    return { error: 'Name is required and may only hold letters, digits, dashes and underscores' };
+  }
+
+  if (!CHANNELS[channel]) {
+    return { error: `Channel must be one of: ${Object.keys(CHANNELS).join(', ')}` };
+  }
+
+  if (!CHANNELS[channel].formats.includes(format)) {
+    return { error: `${CHANNELS[channel].name} feeds can be rendered as: ${CHANNELS[channel].formats.join(', ')}` };
+  }
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Filters must be an object' };
+  }
+
+  // Filters are parsed as query string values
+  const values = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      values[key] = String(value);
+    }
+  });
+  const { filters: parsedFilters, error: filterError } = parsePartFilters(values);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  if (!Array.isArray(markupRules)) {
+    return { error: 'Markup rules must be a list' };
+  }
+
+  const invalidRule = markupRules.find(rule => !rule || typeof rule !== 'object'
+    || ['percent', 'fixed', 'priceMin', 'priceMax'].some(key => rule[key] !== undefined && typeof rule[key] !== 'number')
+    || (rule.condition && !CONDITIONS.includes(rule.condition)));
+  if (invalidRule) {
+    return { error: 'Markup rules take a source, category, condition, priceMin and priceMax, and a numeric percent and fixed' };
+  }
+
+  if ([titleTemplate, linkTemplate, brand].some(value => value !== undefined && typeof value !== 'string')) {
+    return { error: 'Title template, link template and brand must be text' };
+  }
+
+  if (CHANNELS[channel].required.includes('link') && !linkTemplate) {
+    return { error: `${CHANNELS[channel].name} feeds need a link template` };
+  }
+
+  // Feeds list what can be bought, so stock and delisting aren't up to the filters
+  const { inStock, delisted, ...feedFilters } = parsedFilters;
+
+  return {
+    feed: {
+      name,
+      channel,
+      format,
+      filters: compact(feedFilters),
+      markupRules: markupRules.map(rule => compact({
+        source: rule.source,
+        category: rule.category,
+        condition: rule.condition,
+        priceMin: rule.priceMin,
+        priceMax: rule.priceMax,
+        percent: rule.percent || 0,
+        fixed: rule.fixed || 0,
+      })),
+      titleTemplate,
+      linkTemplate,
+      brand,
+    },
+  };
+};
+
+/**
+ * Create or replace a feed
+ * @param {Object} feedData - Feed, as parsed by parseFeed
+ * @returns {Promise<Object>} - The saved feed
+ */
+const saveFeed = async (feedData) => {
+  try {
+    return await Feed.findOneAndReplace({ name: feedData.name }, feedData, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+    }).select('-__v').lean();
+  } catch (error) {
+    logger.error(`Error saving feed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the feeds
+ * @returns {Promise<Array>}
+ */
+const listFeeds = async () => {
+  try {
+    return await Feed.find().select('-__v').sort({ name: 1 }).lean();
+  } catch (error) {
+    logger.error(`Error listing feeds: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a feed by name
+ * @param {string} name - Feed name
+ * @returns {Promise<Object|null>}
+ */
+const getFeed = async (name) => {
+  try {
+    return await Feed.findOne({ name }).select('-__v').lean();
+  } catch (error) {
+    logger.error(`Error getting feed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a feed
+ * @param {string} name - Feed name
+ * @returns {Promise<boolean>} - False when there was no such feed
+ */
+const deleteFeed = async (name) => {
+  try {
+    const result = await Feed.deleteOne({ name });
+    return result.deletedCount > 0;
+  } catch (error) {
+    logger.error(`Error deleting feed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Build the items of a feed, one part at a time
+ * @param {Object} feed - Feed
+ * @param {Function} onItem - Called with (item, part, missing attributes) for every part; may return a promise
+ * @returns {Promise<void>}
+ */
+const forEachItem = async (feed, onItem) => {
+  const cursor = Part.find(buildQuery({ ...feed.filters, inStock: true, delisted: 'exclude' }))
+    .populate('sourceVehicle', 'year make model trim')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  try {
+    for await (const part of cursor) {
+      const item = buildItem(feed, part);
+      await onItem(item, part, findMissingAttributes(item, feed.channel));
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+/**
+ * Render a feed to a stream
+ * Items missing required attributes are left out.
+ * @param {Object} feed - Feed
+ * @param {Object} output - Writable stream (not ended)
+ * @param {string} format - Format to render (defaults to the feed's)
+ * @returns {Promise<Object>} - { items, skipped }
+ */
+const writeFeed = async (feed, output, format = feed.format) => {
+  const channel = CHANNELS[feed.channel];
+
+  if (!channel.formats.includes(format)) {
+    throw new Error(`${channel.name} feeds can't be rendered as ${format}`);
+  }
+
+  let pending = format === 'tsv' ? `${channel.tsvColumns.join('\t')}\n` : channel.xmlStart(feed);
+  let items = 0;
+  let skipped = 0;
+
+  await forEachItem(feed, async (item, part, missing) => {
+    if (missing.length > 0) {
+      skipped++;
+      return;
+    }
+
+    pending += format === 'tsv' ? `${channel.tsvRow(item)}\n` : channel.xmlItem(item);
+    items++;
+
+    if (pending.length >= CHUNK_SIZE) {
+      await writeChunk(output, pending);
+      pending = '';
+    }
+  });
+
+  if (format === 'xml') {
+    pending += channel.xmlEnd();
+  }
+  await writeChunk(output, pending);
+
+  logger.info(`Rendered feed ${feed.name}: ${items} items, ${skipped} left out for missing attributes`);
+  return { items, skipped };
+};
+
+/**
+ * Check every item of a feed for the attributes its channel requires
+ * @param {Object} feed - Feed
+ * @param {Object} options - Report options
+ * @param {number} options.limit - Invalid items to list (default 100)
+ * @returns {Promise<Object>} - Item counts, counts per missing attribute and the invalid items
+ */
+const getFeedReport = async (feed, options = {}) => {
+  try {
+    const { limit = 100 } = options;
+    const report = {
+      feed: feed.name,
+      channel: feed.channel,
+      total: 0,
+      valid: 0,
+      invalid: 0,
+      missing: {},
+      items: [],
+    };
+
+    await forEachItem(feed, (item, part, missing) => {
+      report.total++;
+
+      if (missing.length === 0) {
+        report.valid++;
+        return;
+      }
+
+      report.invalid++;
+      missing.forEach((attribute) => {
+        report.missing[attribute] = (report.missing[attribute] || 0) + 1;
+      });
+
+      if (report.items.length < limit) {
+        report.items.push({
+          id: item.id,
+          partId: part._id,
+          title: item.title,
+          missing,
+        });
+      }
+    });
+
+    return report;
+  } catch (error) {
+    logger.error(`Error building feed report: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_TITLE_TEMPLATE,
+  renderTemplate,
+  applyMarkup,
+  buildItem,
+  findMissingAttributes,
+  parseFeed,
+  saveFeed,
+  listFeeds,
+  getFeed,
+  deleteFeed,
+  writeFeed,
+  getFeedReport,
+};
@@ -0,0 +1,115 @@
+const { Part } = require('../../models');
+const { logger } = require('../../utils/logger');
+const { fitmentKey } = require('../../utils/fitment');
+
+/**
+ * Fitment lookups
+ * ---------------
+ *
+ * Year/make/model options for vehicle selectors, built from the fitment of
+ * listed (not delisted) parts, so every option leads to at least one part.
+ * Makes and models are grouped and matched on their case-folded keys.
+ */
+
+/**
+ * Build the match for listed parts, optionally from one source
+ * @param {Object} filters - Filters (source)
+ * @returns {Object} - Part query
+ */
+const listedParts = (filters = {}) => ({
+  delisted: { $ne: true },
+  ...(filters.source ? { source: filters.source } : {}),
+});
+
+/**
+ * List the makes parts fit, with the number of parts for each
+ * @param {Object} filters - Filters (source)
+ * @returns {Promise<Array>} - Makes ({ make, partCount }), alphabetically
+ */
+const listMakes = async (filters = {}) => {
+  try {
+    return await Part.aggregate([
+      { $match: { ...listedParts(filters), 'fitment.makeKey': { $exists: true } } },
+      { $unwind: '$fitment' },
+      { $match: { 'fitment.makeKey': { $nin: [null, ''] } } },
+      { $group: { _id: { make: '$fitment.makeKey', part: '$_id' }, name: { $first: '$fitment.make' } } },
+      { $group: { _id: '$_id.make', make: { $first: '$name' }, partCount: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, make: 1, partCount: 1 } },
+    ]).allowDiskUse(true);
+  } catch (error) {
+    logger.error(`Error listing fitment makes: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the models of a make that parts fit, with the number of parts for each
+ * @param {string} make - Make
+ * @param {Object} filters - Filters (source)
+ * @returns {Promise<Array>} - Models ({ model, partCount }), alphabetically
+ */
+const listModels = async (make, filters = {}) => {
+  try {
+    const makeKey = fitmentKey(make);
+
+    return await Part.aggregate([
+      { $match: { ...listedParts(filters), 'fitment.makeKey': makeKey } },
+      { $unwind: '$fitment' },
+      { $match: { 'fitment.makeKey': makeKey, 'fitment.modelKey': { $nin: [null, ''] } } },
+      { $group: { _id: { model: '$fitment.modelKey', part: '$_id' }, name: { $first: '$fitment.model' } } },
+      { $group: { _id: '$_id.model', model: { $first: '$name' }, partCount: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, model: 1, partCount: 1 } },
+    ]).allowDiskUse(true);
+  } catch (error) {
+    logger.error(`Error listing fitment models: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the years of a make and model that parts fit
+ * @param {string} make - Make
+ * @param {string} model - Model
+ * @param {Object} filters - Filters (source)
+ * @returns {Promise<number[]>} - Years, newest first
+ */
+const listYears = async (make, model, filters = {}) => {
+  try {
+    const vehicle = { makeKey: fitmentKey(make), modelKey: fitmentKey(model) };
+
+    // Ranges are few per model, so they are expanded here rather than in the pipeline
+    const ranges = await Part.aggregate([
+      { $match: { ...listedParts(filters), fitment: { $elemMatch: vehicle } } },
+      { $unwind: '$fitment' },
+      {
+        $match: {
+          'fitment.makeKey': vehicle.makeKey,
+          'fitment.modelKey': vehicle.modelKey,
+          'fitment.yearFrom': { $type: 'number' },
+          'fitment.yearTo': { $type: 'number' },
+        },
+      },
+      { $group: { _id: { yearFrom: '$fitment.yearFrom', yearTo: '$fitment.yearTo' } } },
+    ]);
+
+    const years = new Set();
+    ranges.forEach(({ _id: { yearFrom, yearTo } }) => {
+      for (let year = yearFrom; year <= yearTo; year++) {
+        years.add(year);
+      }
+    });
+
+    return [...years].sort((a, b) => b - a);
+  } catch (error) {
+    logger.error(`Error listing fitment years: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  listMakes,
+  listModels,
+  listYears,
+};
@@ -0,0 +1,85 @@
+const { Part } = require('../../models');
+const { logger } = require('../../utils/logger');
+const { normaliseInterchange } = require('../../utils/interchange');
+
+/**
+ * Interchange lookups
+ * -------------------
+ *
+ * Parts that share an interchange number are equivalent, whichever source,
+ * yard or vehicle they come from. Looking one up lists the alternatives to
+ * offer when the requested part is gone.
+ */
+
+/**
+ * Find the parts that share an interchange number
+ * @param {string} number - Interchange number (normalised before matching)
+ * @param {Object} filters - Filters
+ * @param {string} filters.source - Only parts from this source
+ * @param {boolean} filters.inStock - Only parts in (or out of) stock
+ * @param {boolean} filters.includeDelisted - Include delisted parts
+ * @param {number} filters.limit - Maximum number of parts
+ * @returns {Promise<Object>} - { interchange, total, parts, yards }, parts in stock first, then cheapest first
+ */
+const findByInterchange = async (number, filters = {}) => {
+  const { limit = 100 } = filters;
+
+  try {
+    const interchange = normaliseInterchange(number);
+    const query = { interchange };
+
+    if (filters.source) {
+      query.source = filters.source;
+    }
+
+    if (filters.inStock !== undefined) {
+      query.inStock = filters.inStock;
+    }
+
+    if (!filters.includeDelisted) {
+      query.delisted = { $ne: true };
+    }
+
+    const [parts, total, yards] = await Promise.all([
+      Part.find(query)
+        .select('-__v')
+        .sort({ inStock: -1, priceAmount: 1, partNumber: 1 })
+        .limit(limit)
+        .lean(),
+      Part.countDocuments(query),
+      Part.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: { source: '$source', yardCity: '$metadata.yardCity', yardState: '$metadata.yardState' },
+            partCount: { $sum: 1 },
+          },
+        },
+        { $sort: { partCount: -1, _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            source: '$_id.source',
+            yardCity: '$_id.yardCity',
+            yardState: '$_id.yardState',
+            partCount: 1,
+          },
+        },
+      ]),
+    ]);
+
+    return {
+      interchange,
+      total,
+      parts,
+      yards,
+    };
+  } catch (error) {
+    logger.error(`Error finding parts by interchange: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  findByInterchange,
+};
@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { Proxy } = require('../../models');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+
+/**
+ * Proxy pool
+ * ----------
+ *
+ * Proxies come from PROXY_URLS and the `proxies` collection. Each worker keeps
+ * an in-memory copy of the pool, reloaded every `refreshMs`, and writes its
+ * request outcomes back to MongoDB so all workers share the scores.
+ *
+ * Requests pick a proxy at random, weighted by its score (success rate and
+ * latency). Proxies that serve challenge pages are quarantined for
+ * `quarantineMs` and come back on their own once that has passed.
+ *
+ * Without MongoDB the pool holds the configured proxies only, and scores are
+ * kept in memory.
+ */
+
+const pool = new Map();
+const agents = new Map();
+let loadedAt = 0;
+let pendingLoad = null;
+
+// Weight of the latest request in the moving latency average
+const LATENCY_WEIGHT = 0.2;
+
+/**
+ * Check whether the database is connected
+ * @returns {boolean}
+ */
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Hide the password in a proxy URL for logs and API responses
+ * @param {string} url - Proxy URL
+ * @returns {string} - Proxy URL without the password
+ */
+const maskProxyUrl = (url) => {
+  if (!url) {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) {
+      parsed.password = '***';
+    }
+    return parsed.toString().replace(/\/$/, '');
+  } catch (error) {
+    return '[INVALID PROXY URL]';
+  }
+};
+
+/**
+ * Build the in-memory state for a proxy
+ * @param {Object} proxy - Proxy document or plain data
+ * @returns {Object} - Proxy state
+ */
+const toState = (proxy) => ({
+  url: proxy.url,
+  status: proxy.status || 'active',
+  successCount: proxy.successCount || 0,
+  failureCount: proxy.failureCount || 0,
+  challengeCount: proxy.challengeCount || 0,
+  avgLatencyMs: proxy.avgLatencyMs || null,
+  quarantinedUntil: proxy.quarantinedUntil || null,
+});
+
+/**
+ * Reload the pool from config and MongoDB
+ * @returns {Promise<void>}
+ */
+const reloadPool = async () => {
+  const configUrls = config.proxies.urls;
+
+  configUrls.forEach((url) => {
+    if (!pool.has(url)) {
+      pool.set(url, toState({ url }));
+    }
+  });
+
+  if (!isConnected()) {
+    return;
+  }
+
+  if (configUrls.length > 0) {
+    await Proxy.bulkWrite(configUrls.map(url => ({
+      updateOne: {
+        filter: { url },
+        update: { $setOnInsert: { url, origin: 'config' } },
+        upsert: true,
+      },
+    })));
+  }
+
+  const proxies = await Proxy.find({ status: { $ne: 'disabled' } }).lean();
+
+  pool.clear();
+  proxies.forEach(proxy => pool.set(proxy.url, toState(proxy)));
+};
+
+/**
+ * Make sure the in-memory pool is loaded and fresh
+ * @returns {Promise<void>}
+ */
+const loadPool = async () => {
+  if (Date.now() - loadedAt < config.proxies.refreshMs) {
+    return;
+  }
+
+  if (!pendingLoad) {
+    pendingLoad = reloadPool()
+      .then(() => {
+        loadedAt = Date.now();
+      })
+      .catch((error) => {
+        logger.error(`Error loading proxy pool: ${error.message}`);
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+
+  await pendingLoad;
+};
+
+/**
+ * Check whether a proxy can be handed out
+ * @param {Object} proxy - Proxy state
+ * @returns {boolean}
+ */
+const isAvailable = (proxy) => {
+  if (proxy.status === 'active') {
+    return true;
+  }
+
+  return proxy.status === 'quarantined' && proxy.quarantinedUntil && new Date(proxy.quarantinedUntil) <= new Date();
+};
+
+/**
+ * Score a proxy between 0 and 1
+ * Smoothed success rate, scaled down by average latency (1s halves the score)
+ * @param {Object} proxy - Proxy state
+ * @returns {number} - Score
+ */
+const scoreProxy = (proxy) => {
+  const successRate = (proxy.successCount + 1) / (proxy.successCount + proxy.failureCount + 2);
+  const latencyFactor = proxy.avgLatencyMs ? 1000 / (1000 + proxy.avgLatencyMs) : 1;
+
+  return successRate * latencyFactor;
+};
+
+/**
+ * Pick a proxy for the next request, weighted by score
+ * @param {Object} options - Selection options
+ * @param {string[]} options.exclude - Proxy URLs to skip
+ * @returns {Promise<string|null>} - Proxy URL, or null to connect directly
+ */
+const selectProxy = async (options = {}) => {
+  const { exclude = [] } = options;
+
+  await loadPool();
+
+  const candidates = [...pool.values()].filter(proxy => isAvailable(proxy) && !exclude.includes(proxy.url));
+
+  if (candidates.length === 0) {
+    if (pool.size > 0) {
+      logger.warn('No proxy available (all quarantined), connecting directly');
+    }
+    return null;
+  }
+
+  const scores = candidates.map(scoreProxy);
+  let pick = Math.random() * scores.reduce((sum, score) => sum + score, 0);
+
+  for (let i = 0; i < candidates.length; i++) {
+    pick -= scores[i];
+    if (pick <= 0) {
+      return candidates[i].url;
+    }
+  }
+
+  return candidates[candidates.length - 1].url;
+};
+
+/**
+ * Update a proxy in memory and, when connected, in MongoDB
+ * Scores are best effort, so storage errors are logged and not thrown
+ * @param {string} url - Proxy URL
+ * @param {Object} changes - Changes to the in-memory state
+ * @param {Object} update - MongoDB update
+ * @returns {Promise<void>}
+ */
+const updateProxy = async (url, changes, update) => {
+  const proxy = pool.get(url) || toState({ url });
+  pool.set(url, Object.assign(proxy, changes(proxy)));
+
+  if (!isConnected()) {
+    return;
+  }
+
+  try {
+    await Proxy.updateOne({ url }, update);
+  } catch (error) {
+    logger.error(`Error updating proxy ${maskProxyUrl(url)}: ${error.message}`);
+  }
+};
+
+/**
+ * Record a successful request through a proxy
+ * @param {string} url - Proxy URL
+ * @param {number} latencyMs - Request duration in milliseconds
+ * @returns {Promise<void>}
+ */
+const recordSuccess = async (url, latencyMs) => {
+  const current = pool.get(url);
+  const avgLatencyMs = current && current.avgLatencyMs
+    ? Math.round(current.avgLatencyMs * (1 - LATENCY_WEIGHT) + latencyMs * LATENCY_WEIGHT)
+    : latencyMs;
+
+  await updateProxy(
+    url,
+    () => ({ successCount: (current ? current.successCount : 0) + 1, avgLatencyMs, status: 'active' }),
+    {
+      $inc: { successCount: 1 },
+      $set: { avgLatencyMs, lastUsedAt: new Date(), status: 'active' },
+      $unset: { quarantinedUntil: '', quarantineReason: '' },
+    }
+  );
+};
+
+/**
+ * Record a failed request (network error, timeout, server error) through a proxy
+ * @param {string} url - Proxy URL
+ * @param {string} reason - Error message
+ * @returns {Promise<void>}
+ */
+const recordFailure = async (url, reason = '') => {
+  await updateProxy(
+    url,
+    proxy => ({ failureCount: proxy.failureCount + 1 }),
+    {
+      $inc: { failureCount: 1 },
+      $set: { lastUsedAt: new Date(), lastFailureAt: new Date(), lastError: reason },
+    }
+  );
+};
+
+/**
+ * Take a proxy out of rotation after it served a challenge page
+ * @param {string} url - Proxy URL
+ * @param {string} reason - Why the proxy was quarantined
+ * @returns {Promise<void>}
+ */
+const quarantineProxy = async (url, reason = '') => {
+  const quarantinedUntil = new Date(Date.now() + config.proxies.quarantineMs);
+
+  logger.warn(`Quarantining proxy ${maskProxyUrl(url)} until ${quarantinedUntil.toISOString()}: ${reason}`);
+
+  await updateProxy(
+    url,
+    proxy => ({
+      failureCount: proxy.failureCount + 1,
+      challengeCount: proxy.challengeCount + 1,
+      status: 'quarantined',
+      quarantinedUntil,
+    }),
+    {
+      $inc: { failureCount: 1, challengeCount: 1 },
+      $set: {
+        status: 'quarantined',
+        quarantinedUntil,
+        quarantineReason: reason,
+        lastUsedAt: new Date(),
+        lastFailureAt: new Date(),
+        lastError: reason,
+      },
+    }
+  );
+};
+
+/**
+ * Get axios options that route a request through a proxy
+ * @param {string|null} url - Proxy URL, or null to connect directly
+ * @returns {Object} - Options to spread into the axios request config
+ */
+const getAgentOptions = (url) => {
+  if (!url) {
+    return {};
+  }
+
+  if (!agents.has(url)) {
+    const agent = url.startsWith('socks') ? new SocksProxyAgent(url) : new HttpsProxyAgent(url);
+    agents.set(url, agent);
+  }
+
+  const agent = agents.get(url);
+
+  // proxy: false stops axios applying HTTP(S)_PROXY from the environment on top
+  return { httpAgent: agent, httpsAgent: agent, proxy: false };
+};
+
+/**
+ * Add a proxy to the pool
+ * @param {string} url - Proxy URL
+ * @returns {Promise<Object>} - The stored proxy
+ */
+const addProxy = async (url) => {
+  try {
+    const proxy = await Proxy.findOneAndUpdate(
+      { url },
+      { $set: { status: 'active' }, $setOnInsert: { url, origin: 'manual' } },
+      { new: true, upsert: true }
+    );
+
+    pool.set(url, toState(proxy));
+    logger.info(`Added proxy ${maskProxyUrl(url)} to the pool`);
+    return proxy;
+  } catch (error) {
+    logger.error(`Error adding proxy: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the proxies in the pool with their scores
+ * @returns {Promise<Array>} - Proxies (URLs masked)
+ */
+const listProxies = async () => {
+  loadedAt = 0;
+  await loadPool();
+
+  return [...pool.values()].map(proxy => ({
+    ...proxy,
+    url: maskProxyUrl(proxy.url),
+    available: Boolean(isAvailable(proxy)),
+    score: Number(scoreProxy(proxy).toFixed(3)),
+  }));
+};
+
+module.exports = {
+  maskProxyUrl,
+  selectProxy,
+  recordSuccess,
+  recordFailure,
+  quarantineProxy,
+  getAgentOptions,
+  addProxy,
+  listProxies,
+};
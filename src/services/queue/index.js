@@ -0,0 +1,376 @@
+const { ScraperJob } = require('../../models');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+const storageService = require('../storage');
+const { getSourceIds } = require('../../scrapers');
+
+// Statuses in which a job is (or may still be) held by a worker
+const ACTIVE_STATUSES = ['running', 'cancelling', 'paused'];
+
+// Jobs that can be resumed from their checkpoints: failed and paused jobs, and completed jobs with a
+// category that stopped before the end - never while a worker still holds them
+const RESUMABLE_QUERY = {
+  $or: [
+    { status: { $in: ['failed', 'paused'] } },
+    { status: 'completed', checkpoints: { $elemMatch: { completed: { $ne: true } } } },
+  ],
+  workerId: { $exists: false },
+};
+
+/**
+ * Get the maximum number of concurrent jobs for a source
+ * @param {string} source - Source id
+ * @returns {number}
+ */
+const getConcurrencyLimit = (source) => {
+  const sourceConfig = config.scrapers[source] || {};
+  return sourceConfig.maxConcurrentJobs || config.scrapers.maxConcurrentJobs;
+};
+
+/**
+ * Get the sources that have reached their concurrent job limit
+ * @returns {Promise<string[]>} - Source ids at capacity
+ */
+const getSourcesAtCapacity = async () => {
+  const counts = await ScraperJob.aggregate([
+    { $match: { status: { $in: ACTIVE_STATUSES }, workerId: { $exists: true } } },
+    { $group: { _id: '$source', count: { $sum: 1 } } },
+  ]);
+
+  return counts
+    .filter(({ _id, count }) => count >= getConcurrencyLimit(_id))
+    .map(({ _id }) => _id);
+};
+
+/**
+ * Add a job to the queue
+ * @param {Object} jobData - The job data (jobId, source, query, options)
+ * @returns {Promise<Object>} - The queued job
+ */
+const enqueueJob = async (jobData) => {
+  try {
+    const job = await storageService.createScraperJob({
+      ...jobData,
+      status: 'pending',
+      attempts: 0,
+    });
+    logger.info(`Queued ${job.source} job ${job.jobId}`);
+    return job;
+  } catch (error) {
+    logger.error(`Error queueing job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Put an existing job back on the queue so a worker continues it from its checkpoints
+ * The job is only requeued if it is resumable at the moment of the update.
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The requeued job, or null if the job isn't resumable
+ */
+const requeueJob = async (jobId) => {
+  try {
+    const job = await ScraperJob.findOneAndUpdate(
+      { jobId, ...RESUMABLE_QUERY },
+      {
+        $set: { status: 'pending', attempts: 0 },
+        $unset: { workerId: '', leaseExpiresAt: '', endTime: '', error: '' },
+      },
+      { new: true }
+    );
+    
+    if (job) {
+      logger.info(`Requeued ${job.source} job ${jobId}`);
+    }
+    
+    return job;
+  } catch (error) {
+    logger.error(`Error requeueing job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Atomically claim a resumable job to run it outside the queue (e.g. from the command line)
+ * The caller holds a lease like a worker, and must renew and release it the same way.
+ * @param {string} jobId - The job ID
+ * @param {string} workerId - ID of the claiming process
+ * @returns {Promise<Object|null>} - The claimed job, or null if the job isn't resumable
+ */
+const claimJob = async (jobId, workerId) => {
+  try {
+    const now = new Date();
+    const job = await ScraperJob.findOneAndUpdate(
+      { jobId, ...RESUMABLE_QUERY },
+      {
+        $set: {
+          status: 'running',
+          workerId,
+          leaseExpiresAt: new Date(now.getTime() + config.queue.leaseMs),
+          heartbeatAt: now,
+        },
+        $unset: { endTime: '', error: '' },
+      },
+      { new: true }
+    );
+
+    if (job) {
+      logger.info(`${workerId} claimed job ${jobId}`);
+    }
+
+    return job;
+  } catch (error) {
+    logger.error(`Error claiming job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Atomically claim the oldest pending job and take a lease on it
+ * Sources that already run their maximum number of concurrent jobs are skipped.
+ * The limit is checked before claiming, so workers claiming at the same moment
+ * can briefly exceed it by one job each.
+ * @param {string} workerId - ID of the claiming worker
+ * @param {Object} options - Claim options
+ * @param {string[]} options.sources - Only claim jobs for these sources (defaults to all)
+ * @returns {Promise<Object|null>} - The claimed job, or null if the queue is empty
+ */
+const claimNextJob = async (workerId, options = {}) => {
+  const { sources = [] } = options;
+
+  try {
+    const now = new Date();
+    const atCapacity = await getSourcesAtCapacity();
+    const claimable = (sources.length > 0 ? sources : getSourceIds())
+      .filter(source => !atCapacity.includes(source));
+
+    if (claimable.length === 0) {
+      return null;
+    }
+
+    const query = {
+      status: 'pending',
+      attempts: { $lt: config.queue.maxAttempts },
+      source: { $in: claimable },
+    };
+
+    const job = await ScraperJob.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          status: 'running',
+          workerId,
+          leaseExpiresAt: new Date(now.getTime() + config.queue.leaseMs),
+          heartbeatAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+
+    if (!job) {
+      return null;
+    }
+
+    // Keep the original start time when a job is re-claimed after a crash
+    if (!job.startTime) {
+      job.startTime = now;
+      await job.save();
+    }
+
+    logger.info(`Worker ${workerId} claimed job ${job.jobId} (attempt ${job.attempts}/${config.queue.maxAttempts})`);
+    return job;
+  } catch (error) {
+    logger.error(`Error claiming job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Renew the lease on a job held by a worker
+ * @param {string} jobId - The job ID
+ * @param {string} workerId - ID of the worker holding the lease
+ * @param {Object} progress - Live job state to store with the heartbeat (e.g. rateLimit)
+ * @returns {Promise<Object|null>} - The job, or null if the worker no longer holds the lease
+ */
+const renewLease = async (jobId, workerId, progress = {}) => {
+  try {
+    const now = new Date();
+    // Jobs being cancelled or paused keep their lease until the worker stops between batches
+    return await ScraperJob.findOneAndUpdate(
+      { jobId, workerId, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: {
+          ...progress,
+          leaseExpiresAt: new Date(now.getTime() + config.queue.leaseMs),
+          heartbeatAt: now,
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Error renewing lease for job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Release the lease on a job once the worker is done with it
+ * A job cancelled after the worker's scraper last checked is marked cancelled,
+ * since no worker is left to finish the transition.
+ * @param {string} jobId - The job ID
+ * @param {string} workerId - ID of the worker holding the lease
+ * @returns {Promise<void>}
+ */
+const releaseJob = async (jobId, workerId) => {
+  try {
+    await ScraperJob.updateOne(
+      { jobId, workerId, status: 'cancelling' },
+      { $set: { status: 'cancelled', endTime: new Date() } }
+    );
+
+    await ScraperJob.updateOne(
+      { jobId, workerId },
+      { $unset: { workerId: '', leaseExpiresAt: '' } }
+    );
+  } catch (error) {
+    logger.error(`Error releasing job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Re-queue running jobs whose lease has expired (e.g. the worker crashed)
+ * Jobs that have used up their attempts are marked as failed instead
+ * @returns {Promise<Object>} - Counts of requeued and failed jobs
+ */
+const requeueExpiredJobs = async () => {
+  try {
+    const now = new Date();
+    const expired = { status: 'running', leaseExpiresAt: { $lt: now } };
+
+    const failed = await ScraperJob.updateMany(
+      { ...expired, attempts: { $gte: config.queue.maxAttempts } },
+      {
+        $set: {
+          status: 'failed',
+          endTime: now,
+          error: { message: `Lease expired after ${config.queue.maxAttempts} attempts` },
+        },
+        $unset: { workerId: '', leaseExpiresAt: '' },
+      }
+    );
+
+    const requeued = await ScraperJob.updateMany(
+      { ...expired, attempts: { $lt: config.queue.maxAttempts } },
+      {
+        $set: { status: 'pending' },
+        $unset: { workerId: '', leaseExpiresAt: '' },
+      }
+    );
+
+    // A worker that died while stopping a job, or released it, can no longer finish the transition
+    const cancelled = await ScraperJob.updateMany(
+      {
+        status: 'cancelling',
+        $or: [{ leaseExpiresAt: { $lt: now } }, { workerId: { $exists: false } }],
+      },
+      {
+        $set: { status: 'cancelled', endTime: now },
+        $unset: { workerId: '', leaseExpiresAt: '' },
+      }
+    );
+
+    await ScraperJob.updateMany(
+      { status: 'paused', leaseExpiresAt: { $lt: now } },
+      { $unset: { workerId: '', leaseExpiresAt: '' } }
+    );
+
+    if (requeued.modifiedCount > 0 || failed.modifiedCount > 0 || cancelled.modifiedCount > 0) {
+      logger.warn(`Expired leases: ${requeued.modifiedCount} jobs requeued, ${failed.modifiedCount} jobs failed, ${cancelled.modifiedCount} jobs cancelled`);
+    }
+
+    return {
+      requeued: requeued.modifiedCount,
+      failed: failed.modifiedCount,
+      cancelled: cancelled.modifiedCount,
+    };
+  } catch (error) {
+    logger.error(`Error requeueing expired jobs: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a job
+ * Jobs not held by a worker are cancelled straight away; running jobs are moved
+ * to 'cancelling' and the worker marks them cancelled after its current batch
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The updated job, or null if the job cannot be cancelled
+ */
+const cancelJob = async (jobId) => {
+  try {
+    const now = new Date();
+    
+    let job = await ScraperJob.findOneAndUpdate(
+      { jobId, status: { $in: ['pending', 'paused'] }, workerId: { $exists: false } },
+      { $set: { status: 'cancelled', endTime: now } },
+      { new: true }
+    );
+    
+    if (!job) {
+      job = await ScraperJob.findOneAndUpdate(
+        { jobId, status: { $in: ['running', 'paused'] } },
+        { $set: { status: 'cancelling' } },
+        { new: true }
+      );
+    }
+    
+    if (job) {
+      logger.info(`Job ${jobId} is ${job.status}`);
+    }
+    
+    return job;
+  } catch (error) {
+    logger.error(`Error cancelling job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Pause a job
+ * A running job stops after its current batch; its checkpoints are kept for resume
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The updated job, or null if the job cannot be paused
+ */
+const pauseJob = async (jobId) => {
+  try {
+    const job = await ScraperJob.findOneAndUpdate(
+      { jobId, status: { $in: ['pending', 'running'] } },
+      { $set: { status: 'paused' } },
+      { new: true }
+    );
+    
+    if (job) {
+      logger.info(`Job ${jobId} paused`);
+    }
+    
+    return job;
+  } catch (error) {
+    logger.error(`Error pausing job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  enqueueJob,
+  requeueJob,
+  claimJob,
+  claimNextJob,
+  renewLease,
+  releaseJob,
+  requeueExpiredJobs,
+  cancelJob,
+  pauseJob,
+  getConcurrencyLimit,
+};
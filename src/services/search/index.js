@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const { Part } = require('../../models');
+const { logger } = require('../../utils/logger');
+const { buildFitmentQuery } = require('../../utils/fitment');
+const { toMajorUnits } = require('../../utils/price');
+
+/**
+ * Parts search
+ * ------------
+ *
+ * Full-text search (the weighted text index on name, partNumber and
+ * description) combined with filters, facet counts and cursor pagination, in a
+ * single aggregation.
+ *
+ * Facets count the values of the whole filtered result, not just the page.
+ * Cursors encode the sort value and _id of the last part of a page, so pages
+ * stay stable while parts are being written.
+ */
+
+// Sort options and the field each one sorts on
+const SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  price: { field: 'priceAmount', direction: 1 },
+  '-price': { field: 'priceAmount', direction: -1 },
+  lastSeen: { field: 'lastSeenAt', direction: -1 },
+  name: { field: 'name', direction: 1 },
+  '-name': { field: 'name', direction: -1 },
+  partNumber: { field: 'partNumber', direction: 1 },
+  updatedAt: { field: 'updatedAt', direction: 1 },
+  '-updatedAt': { field: 'updatedAt', direction: -1 },
+  createdAt: { field: 'createdAt', direction: 1 },
+  '-createdAt': { field: 'createdAt', direction: -1 },
+};
+
+// Facets and the field each one counts
+const FACETS = {
+  source: '$source',
+  category: '$category',
+  condition: '$condition',
+  inStock: '$inStock',
+  yardState: '$metadata.yardState',
+  vehicleMake: '$metadata.sourceVehicleMake',
+};
+
+const MAX_FACET_VALUES = 50;
+
+/**
+ * Build a case-insensitive exact match
+ * @param {string} value - Value to match
+ * @returns {RegExp}
+ */
+const exactMatch = value => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+/**
+ * Encode the position after a part as a cursor
+ * @param {Object} part - Last part of a page
+ * @param {string} field - Sort field
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (part, field) => {
+  const value = part[field] === undefined ? null : part[field];
+  const cursor = { v: value, id: part._id.toString(), d: value instanceof Date };
+
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} - Sort value and _id of the last part
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    return {
+      value: d && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (error) {
+    const invalid = new Error('Invalid cursor');
+    invalid.code = 'INVALID_CURSOR';
+    throw invalid;
+  }
+};
+
+/**
+ * Build the condition for parts after a cursor
+ * Ties on the sort value are broken by _id. Missing values (null) sort first
+ * ascending and last descending, as MongoDB sorts them.
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 or -1
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} - Match condition
+ */
+const buildCursorMatch = (field, direction, { value, id }) => {
+  const tie = { [field]: value, _id: { $gt: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [tie, { [field]: { $ne: null } }] }
+      : tie;
+  }
+
+  const after = { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+
+  return direction === 1
+    ? { $or: [after, tie] }
+    : { $or: [after, tie, { [field]: null }] };
+};
+
+/**
+ * Build the part query from search filters
+ * @param {Object} filters - Search filters
+ * @returns {Object} - Match condition
+ */
+const buildQuery = (filters) => {
+  const query = {};
+
+  if (filters.q) {
+    query.$text = { $search: filters.q };
+  }
+
+  if (filters.source) {
+    query.source = filters.source;
+  }
+
+  if (filters.category) {
+    query.category = filters.category;
+  }
+
+  if (filters.categoryPath) {
+    query.categoryPath = filters.categoryPath;
+  }
+
+  if (filters.condition) {
+    query.condition = filters.condition;
+  }
+
+  if (filters.inStock !== undefined) {
+    query.inStock = filters.inStock;
+  }
+
+  // Prices are filtered in major units and stored in minor units
+  if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
+    query.priceAmount = {
+      ...(filters.priceMin !== undefined ? { $gte: Math.round(filters.priceMin * 100) } : {}),
+      ...(filters.priceMax !== undefined ? { $lte: Math.round(filters.priceMax * 100) } : {}),
+    };
+  }
+
+  if (filters.yardState) {
+    query['metadata.yardState'] = filters.yardState.toUpperCase();
+  }
+
+  // Vehicle the part was pulled from
+  if (filters.vehicleMake) {
+    query['metadata.sourceVehicleMake'] = exactMatch(filters.vehicleMake);
+  }
+
+  if (filters.vehicleModel) {
+    query['metadata.sourceVehicleModel'] = exactMatch(filters.vehicleModel);
+  }
+
+  if (filters.vehicleYear) {
+    query['metadata.sourceVehicleYear'] = { $in: [filters.vehicleYear, String(filters.vehicleYear)] };
+  }
+
+  // Vehicles the part fits - all given fields must match the same fitment entry
+  if (filters.make || filters.model || filters.year) {
+    Object.assign(query, buildFitmentQuery(filters));
+  }
+
+  if (filters.delisted === 'only') {
+    query.delisted = true;
+  } else if (filters.delisted !== 'include') {
+    query.delisted = { $ne: true };
+  }
+
+  return query;
+};
+
+/**
+ * Search stored parts
+ * @param {Object} filters - Filters (q, source, category, categoryPath, condition, inStock, priceMin, priceMax,
+ *   yardState, vehicleMake, vehicleModel, vehicleYear, make, model, year, delisted: exclude, include or only)
+ * @param {Object} options - Search options
+ * @param {string} options.sort - A key of SORTS (defaults to relevance with q, -updatedAt without)
+ * @param {number} options.limit - Parts per page
+ * @param {string} options.cursor - Cursor from the previous page
+ * @returns {Promise<Object>} - Parts, facets and pagination ({ total, limit, nextCursor })
+ */
+const searchParts = async (filters = {}, options = {}) => {
+  try {
+    const { limit = 20, cursor } = options;
+    const sortKey = options.sort || (filters.q ? 'relevance' : '-updatedAt');
+    const sort = SORTS[sortKey];
+
+    if (!sort) {
+      throw new Error(`Unknown sort: ${sortKey}`);
+    }
+
+    if (sortKey === 'relevance' && !filters.q) {
+      throw new Error('Sorting by relevance needs a search query');
+    }
+
+    const pipeline = [
+      { $match: buildQuery(filters) },
+    ];
+
+    if (filters.q) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    const page = [];
+    if (cursor) {
+      page.push({ $match: buildCursorMatch(sort.field, sort.direction, decodeCursor(cursor)) });
+    }
+    page.push(
+      { $sort: { [sort.field]: sort.direction, _id: 1 } },
+      // One extra part tells whether there is a next page
+      { $limit: limit + 1 },
+      { $project: { __v: 0 } }
+    );
+
+    const facets = {};
+    Object.entries(FACETS).forEach(([name, field]) => {
+      facets[name] = [
+        { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+        { $sortByCount: field },
+        { $limit: MAX_FACET_VALUES },
+      ];
+    });
+
+    pipeline.push({
+      $facet: {
+        parts: page,
+        total: [{ $count: 'count' }],
+        price: [
+          { $match: { priceAmount: { $ne: null } } },
+          { $group: { _id: null, min: { $min: '$priceAmount' }, max: { $max: '$priceAmount' } } },
+        ],
+        ...facets,
+      },
+    });
+
+    const [result] = await Part.aggregate(pipeline).allowDiskUse(true);
+
+    const parts = result.parts.slice(0, limit);
+    const hasMore = result.parts.length > limit;
+
+    const facetCounts = {};
+    Object.keys(FACETS).forEach((name) => {
+      facetCounts[name] = result[name].map(({ _id, count }) => ({ value: _id, count }));
+    });
+    facetCounts.price = result.price.length > 0
+      ? { min: toMajorUnits(result.price[0].min), max: toMajorUnits(result.price[0].max) }
+      : { min: null, max: null };
+
+    return {
+      parts,
+      facets: facetCounts,
+      pagination: {
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        limit,
+        sort: sortKey,
+        nextCursor: hasMore ? encodeCursor(parts[parts.length - 1], sort.field) : null,
+      },
+    };
+  } catch (error) {
+    logger.error(`Error searching parts: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  SORTS,
+  buildQuery,
+  searchParts,
+};
@@ -0,0 +1,115 @@
+const { Part } = require('../../models');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Specification coverage
+ * ----------------------
+ *
+ * Reports how well the specification rules cover stored parts: per category,
+ * how many parts got specifications, how often each specification was found,
+ * and sample descriptions that produced none, to write new rules from.
+ */
+
+/**
+ * Build the match for listed parts, optionally from one source and category
+ * @param {Object} filters - Filters (source, category)
+ * @returns {Object} - Part query
+ */
+const listedParts = (filters = {}) => ({
+  delisted: { $ne: true },
+  ...(filters.source ? { source: filters.source } : {}),
+  ...(filters.category ? { category: filters.category } : {}),
+});
+
+// Condition for parts without specifications (missing or an empty object)
+const NO_SPECIFICATIONS = { $eq: [{ $ifNull: ['$specifications', {}] }, {}] };
+
+/**
+ * Compute the share of parts with specifications
+ * @param {number} withSpecifications - Parts with specifications
+ * @param {number} total - All parts
+ * @returns {number} - Coverage between 0 and 1
+ */
+const coverageRatio = (withSpecifications, total) => (
+  total > 0 ? Math.round((withSpecifications / total) * 1000) / 1000 : 0
+);
+
+/**
+ * Report the specification coverage of stored parts
+ * @param {Object} filters - Filters
+ * @param {string} filters.source - Only parts from this source
+ * @param {string} filters.category - Only parts of this category
+ * @param {number} filters.samples - Descriptions without specifications to include per category
+ * @returns {Promise<Object>} - { total, withSpecifications, coverage, categories }, categories with the most uncovered parts first
+ */
+const getCoverageReport = async (filters = {}) => {
+  const { samples = 10 } = filters;
+
+  try {
+    const match = listedParts(filters);
+
+    const [counts, found] = await Promise.all([
+      Part.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$category',
+            total: { $sum: 1 },
+            withoutSpecifications: { $sum: { $cond: [NO_SPECIFICATIONS, 1, 0] } },
+          },
+        },
+      ]).allowDiskUse(true),
+      Part.aggregate([
+        { $match: { ...match, specifications: { $nin: [null, {}] } } },
+        { $project: { category: 1, names: { $objectToArray: '$specifications' } } },
+        { $unwind: '$names' },
+        { $group: { _id: { category: '$category', name: '$names.k' }, count: { $sum: 1 } } },
+      ]).allowDiskUse(true),
+    ]);
+
+    const categories = await Promise.all(counts.map(async ({ _id: category, total, withoutSpecifications }) => {
+      const specifications = {};
+      found
+        .filter(({ _id }) => _id.category === category)
+        .sort((a, b) => b.count - a.count)
+        .forEach(({ _id, count }) => {
+          specifications[_id.name] = count;
+        });
+
+      const missing = withoutSpecifications > 0 && samples > 0
+        ? await Part.find({ ...match, category, $expr: NO_SPECIFICATIONS })
+          .select('-_id source partNumber description')
+          .limit(samples)
+          .lean()
+        : [];
+
+      return {
+        category: category || '',
+        total,
+        withSpecifications: total - withoutSpecifications,
+        coverage: coverageRatio(total - withoutSpecifications, total),
+        specifications,
+        missing,
+      };
+    }));
+
+    categories.sort((a, b) => (b.total - b.withSpecifications) - (a.total - a.withSpecifications));
+
+    const total = categories.reduce((sum, category) => sum + category.total, 0);
+    const withSpecifications = categories.reduce((sum, category) => sum + category.withSpecifications, 0);
+
+    return {
+      total,
+      withSpecifications,
+      coverage: coverageRatio(withSpecifications, total),
+      categories,
+    };
+  } catch (error) {
+    logger.error(`Error building specification coverage report: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  getCoverageReport,
+};
@@ -1,15 +1,396 @@
-const { Part, ScraperJob } = require('../../models');
+const { Part, ScraperJob, PartSnapshot, PartChange, SourceVehicle, QuarantinedPart } = require('../../models');
 const { logger } = require('../../utils/logger');
 
+// Maximum number of parts compared and written per bulkWrite
+const BULK_BATCH_SIZE = 1000;
+
+// Fields managed by MongoDB/mongoose, never compared
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Fields that change on every scrape without the part changing
+const VOLATILE_FIELDS = [...IGNORED_FIELDS, 'lastSeenAt', 'lastSeenJobId', 'delisted', 'delistedAt'];
+
+/**
+ * Normalise a value for comparison
+ * Drops subdocument _ids and sorts object keys, so a stored part and a freshly
+ * mapped one compare equal when their content is the same
+ * @param {*} value - Value to normalise
+ * @returns {*} - Plain, comparable value
+ */
+const normaliseValue = (value) => {
+  if (value instanceof Map) {
+    return normaliseValue(Object.fromEntries(value));
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(normaliseValue);
+  }
+
+  if (value && typeof value === 'object') {
+    if (typeof value.toHexString === 'function') {
+      return value.toHexString();
+    }
+
+    const normalised = {};
+    Object.keys(value)
+      .filter(key => !IGNORED_FIELDS.includes(key) && value[key] !== undefined)
+      .sort()
+      .forEach(key => {
+        normalised[key] = normaliseValue(value[key]);
+      });
+    return normalised;
+  }
+
+  return value;
+};
+
+/**
+ * Check whether a normalised value is a plain object
+ * @param {*} value - Normalised value
+ * @returns {boolean}
+ */
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Compute the field-level differences storing an item would make to a part
+ * Only the fields present on the item are compared, since those are the ones
+ * written. Objects (metadata, specifications, otherParams) are compared one
+ * level deep, so a change is reported as e.g. 'metadata.yardCity'.
+ * @param {Object} existing - Stored part (lean)
+ * @param {Object} item - Mapped part
+ * @returns {Array} - Changes ({ field, from, to }), empty when nothing changed
+ */
+const diffPart = (existing, item) => {
+  const changes = [];
+
+  const compare = (field, from, to) => {
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  };
+
+  Object.keys(item)
+    .filter(key => !VOLATILE_FIELDS.includes(key) && item[key] !== undefined)
+    .forEach((key) => {
+      const from = normaliseValue(existing[key]);
+      const to = normaliseValue(item[key]);
+
+      if (isPlainObject(from) && isPlainObject(to)) {
+        [...new Set([...Object.keys(from), ...Object.keys(to)])]
+          .sort()
+          .forEach(subKey => compare(`${key}.${subKey}`, from[subKey], to[subKey]));
+      } else {
+        compare(key, from, to);
+      }
+    });
+
+  return changes;
+};
+
+/**
+ * Pick the price and availability fields tracked in a part's history
+ * Yard location is stored in metadata by the mappers
+ * @param {Object} part - Part (lean document or mapped item)
+ * @returns {Object} - Tracked fields
+ */
+const getTrackedState = (part) => {
+  const metadata = part.metadata instanceof Map ? Object.fromEntries(part.metadata) : (part.metadata || {});
+
+  return {
+    price: part.price,
+    currency: part.currency,
+    inStock: part.inStock,
+    quantity: part.quantity,
+    condition: part.condition,
+    yardCity: part.yardCity || metadata.yardCity,
+    yardState: part.yardState || metadata.yardState,
+  };
+};
+
+/**
+ * Build a history snapshot for a part that is about to be written
+ * @param {Object|undefined} existing - Stored part (lean), if any
+ * @param {Object} item - Mapped part
+ * @param {string} jobId - Job storing the part
+ * @returns {Object|null} - Snapshot, or null when no tracked field changed
+ */
+const buildSnapshot = (existing, item, jobId) => {
+  // $set keeps stored fields the item doesn't have, so compare against the merged part
+  const state = getTrackedState(existing ? { ...existing, ...item } : item);
+  let changedFields = [];
+
+  if (existing) {
+    const previous = getTrackedState(existing);
+    changedFields = Object.keys(state)
+      .filter(field => JSON.stringify(normaliseValue(previous[field])) !== JSON.stringify(normaliseValue(state[field])));
+
+    if (changedFields.length === 0) {
+      return null;
+    }
+  }
+
+  return {
+    partNumber: item.partNumber,
+    source: item.source,
+    ...state,
+    changedFields,
+    jobId,
+    observedAt: new Date(),
+  };
+};
+
+/**
+ * Build the update recording parts as seen by a job
+ * A part the source lists again is no longer delisted.
+ * @param {string} jobId - Job that saw the parts
+ * @returns {Object} - Update with $set and $unset
+ */
+const buildSeenUpdate = jobId => ({
+  $set: { lastSeenAt: new Date(), delisted: false, ...(jobId ? { lastSeenJobId: jobId } : {}) },
+  $unset: { delistedAt: '' },
+});
+
+/**
+ * Upsert the donor vehicles of a batch of parts
+ * Vehicle fields a part leaves empty don't overwrite known values.
+ * @param {string} source - The source of the data
+ * @param {Array} vehicles - Mapped vehicles
+ * @param {boolean} markSeen - Record the vehicles as seen
+ * @returns {Promise<Map>} - Vehicle _ids by vehicleKey
+ */
+const storeSourceVehicles = async (source, vehicles, markSeen) => {
+  const byKey = new Map();
+  vehicles.forEach((vehicle) => {
+    const fields = {};
+    Object.entries(vehicle).forEach(([key, value]) => {
+      if (value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+        fields[key] = value;
+      }
+    });
+    byKey.set(vehicle.vehicleKey, { ...byKey.get(vehicle.vehicleKey), ...fields });
+  });
+
+  await SourceVehicle.bulkWrite([...byKey.entries()].map(([vehicleKey, fields]) => ({
+    updateOne: {
+      filter: { source, vehicleKey },
+      update: { $set: { ...fields, source, ...(markSeen ? { lastSeenAt: new Date() } : {}) } },
+      upsert: true,
+    },
+  })), { ordered: false });
+
+  const stored = await SourceVehicle.find({ source, vehicleKey: { $in: [...byKey.keys()] } })
+    .select('_id vehicleKey')
+    .lean();
+
+  return new Map(stored.map(vehicle => [vehicle.vehicleKey, vehicle._id]));
+};
+
+/**
+ * Store one batch of parts with a single bulkWrite
+ * Existing parts are loaded in one query and compared in memory, so only new
+ * and changed parts are written. Parts whose price or availability changed get
+ * a history snapshot. Mapped donor vehicles are upserted first and linked
+ * from their parts.
+ * @param {string} source - The source of the data
+ * @param {Array} items - Mapped parts (at most BULK_BATCH_SIZE)
+ * @param {Object} result - Counts and errors to add to
+ * @param {Object} options - Storage options
+ * @param {string} options.jobId - Job storing the parts
+ * @param {boolean} options.markSeen - Record the parts as seen by the job (false when re-mapping)
+ * @returns {Promise<void>}
+ */
+const storeBatch = async (source, items, result, options) => {
+  const { jobId, markSeen } = options;
+
+  // Validate up front so one bad item doesn't fail the whole write
+  const valid = new Map();
+  const vehicles = new Map();
+  items.forEach((item) => {
+    item.source = source;
+
+    const { vehicle } = item;
+    delete item.vehicle;
+
+    const validationError = new Part(item).validateSync();
+    if (validationError) {
+      result.failed++;
+      result.errors.push({ partNumber: item.partNumber, error: validationError.message });
+      return;
+    }
+
+    if (valid.has(item.partNumber)) {
+      // The same part twice in one batch - the last one wins
+      result.duplicates++;
+    }
+    valid.set(item.partNumber, item);
+    if (vehicle && vehicle.vehicleKey) {
+      vehicles.set(item.partNumber, vehicle);
+    } else {
+      vehicles.delete(item.partNumber);
+    }
+  });
+
+  if (valid.size === 0) {
+    return;
+  }
+
+  if (vehicles.size > 0) {
+    try {
+      const vehicleIds = await storeSourceVehicles(source, [...vehicles.values()], markSeen);
+      vehicles.forEach((vehicle, partNumber) => {
+        const vehicleId = vehicleIds.get(vehicle.vehicleKey);
+        if (vehicleId) {
+          valid.get(partNumber).sourceVehicle = vehicleId;
+        }
+      });
+    } catch (error) {
+      // The parts are stored without the link - a later scrape adds it
+      logger.error(`Error storing source vehicles: ${error.message}`);
+    }
+  }
+
+  const existingParts = await Part.find({ source, partNumber: { $in: [...valid.keys()] } }).lean();
+  const existingByNumber = new Map(existingParts.map(part => [part.partNumber, part]));
+
+  const writes = [];
+  const snapshots = [];
+  const changeLog = [];
+  const unchanged = [];
+  valid.forEach((item, partNumber) => {
+    const existing = existingByNumber.get(partNumber);
+    const changes = existing ? diffPart(existing, item) : [];
+
+    if (existing && changes.length === 0) {
+      result.unchanged++;
+      unchanged.push(partNumber);
+      return;
+    }
+
+    writes.push(item);
+    snapshots.push(buildSnapshot(existing, item, jobId));
+    changeLog.push({
+      jobId,
+      source,
+      partNumber,
+      type: existing ? 'changed' : 'new',
+      fields: changes,
+      changedFields: changes.map(change => change.field),
+    });
+  });
+
+  // Every part in the batch was seen by this job, which also brings back delisted parts
+  const seen = buildSeenUpdate(jobId);
+
+  if (markSeen && unchanged.length > 0) {
+    // Not a content change, so updatedAt is left alone
+    await Part.updateMany({ source, partNumber: { $in: unchanged } }, seen, { timestamps: false });
+  }
+
+  if (writes.length === 0) {
+    return;
+  }
+
+  const operations = writes.map(item => ({
+    updateOne: {
+      filter: { partNumber: item.partNumber, source },
+      update: markSeen ? { $set: { ...item, ...seen.$set }, $unset: seen.$unset } : { $set: item },
+      upsert: true,
+    },
+  }));
+
+  let bulkResult;
+  let writeErrors = [];
+
+  try {
+    bulkResult = await Part.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Unordered writes keep going past failed items - anything else is fatal
+    if (!error.writeErrors) {
+      throw error;
+    }
+
+    bulkResult = error.result;
+    writeErrors = [].concat(error.writeErrors);
+  }
+
+  writeErrors.forEach((writeError) => {
+    const item = writes[writeError.index];
+    result.failed++;
+    result.errors.push({ partNumber: item.partNumber, error: writeError.errmsg });
+    logger.error(`Error storing part ${item.partNumber}: ${writeError.errmsg}`);
+
+    // The part wasn't written, so neither is its snapshot or change
+    snapshots[writeError.index] = null;
+    changeLog[writeError.index] = null;
+  });
+
+  const changeEntries = changeLog.filter(Boolean);
+  if (jobId && changeEntries.length > 0) {
+    try {
+      await PartChange.insertMany(changeEntries, { ordered: false });
+    } catch (error) {
+      logger.error(`Error storing change log: ${error.message}`);
+    }
+  }
+
+  const history = snapshots.filter(Boolean);
+  if (history.length > 0) {
+    try {
+      await PartSnapshot.insertMany(history, { ordered: false });
+      result.snapshots += history.length;
+    } catch (error) {
+      // The parts are stored - a missing history entry shouldn't fail the batch
+      logger.error(`Error storing part history: ${error.message}`);
+    }
+  }
+
+  // Counted from the write result, so parts created concurrently by another job count as updates
+  result.created += bulkResult.upsertedCount;
+  result.updated += bulkResult.matchedCount;
+};
+
+/**
+ * Record stored parts as seen by a job without writing their content
+ * Used for parts the source still lists but that couldn't be stored, such as
+ * products that failed validation.
+ * @param {string} source - The source of the parts
+ * @param {Array<string>} partNumbers - Part numbers
+ * @param {Object} options - Additional options
+ * @param {string} options.jobId - Job that saw the parts
+ * @returns {Promise<number>} - Number of stored parts marked
+ */
+const markPartsSeen = async (source, partNumbers, options = {}) => {
+  const { jobId } = options;
+
+  if (partNumbers.length === 0) {
+    return 0;
+  }
+
+  // Not a content change, so updatedAt is left alone
+  const { matchedCount } = await Part.updateMany(
+    { source, partNumber: { $in: partNumbers } },
+    buildSeenUpdate(jobId),
+    { timestamps: false }
+  );
+
+  return matchedCount;
+};
+
 /**
  * Store scraped data in the database
+ * Parts are upserted on { partNumber, source } with bulkWrite, in batches of
+ * BULK_BATCH_SIZE. Parts whose content did not change are not written.
  * @param {string} source - The source of the data (e.g., 'lkq')
  * @param {Array} data - The scraped data to store
- * @param {Object} options - Additional options
- * @returns {Promise<Object>} - Result of the storage operation
+ * @param {Object} options - Additional options (jobId, updateTotalOnly, currentTotal, markSeen)
+ * @returns {Promise<Object>} - Counts (created, updated, unchanged, duplicates, failed, snapshots), per-item errors and the job total
  */
 const storeScrapedData = async (source, data, options = {}) => {
-  const { jobId, updateTotalOnly = false, currentTotal = 0 } = options;
+  const { jobId, updateTotalOnly = false, currentTotal = 0, markSeen = true } = options;
   
   try {
     logger.info(`Storing ${data.length} items from ${source}`);
@@ -29,52 +410,43 @@ const storeScrapedData = async (source, data, options = {}) => {
       total: data.length,
       created: 0,
       updated: 0,
+      unchanged: 0,
+      duplicates: 0,
       failed: 0,
+      snapshots: 0,
       errors: [],
     };
     
-    // Process each item in the scraped data
-    for (const item of data) {
-      try {
-        // Add source to the item
-        item.source = source;
-        
-        // Check if the part already exists
-        const existingPart = await Part.findOne({
-          partNumber: item.partNumber,
-          source,
-        });
-        
-        if (existingPart) {
-          // Update existing part
-          await Part.findByIdAndUpdate(existingPart._id, item);
-          result.updated++;
-        } else {
-          // Create new part
-          await Part.create(item);
-          result.created++;
-        }
-      } catch (error) {
-        result.failed++;
-        result.errors.push({
-          partNumber: item.partNumber,
-          error: error.message,
-        });
-        logger.error(`Error storing part ${item.partNumber}: ${error.message}`);
-      }
+    for (let i = 0; i < data.length; i += BULK_BATCH_SIZE) {
+      await storeBatch(source, data.slice(i, i + BULK_BATCH_SIZE), result, { jobId, markSeen });
     }
     
+    // Parts that failed to store are still listed by the source, so they mustn't look unseen to delisting
+    if (markSeen) {
+      await markPartsSeen(source, result.errors.map(error => error.partNumber).filter(Boolean), { jobId });
+    }
+    
+    const totalItemsScraped = currentTotal + result.created + result.updated + result.unchanged;
+    
     // Update job status if jobId is provided
     if (jobId) {
-      const totalItemsScraped = currentTotal + result.created + result.updated;
+      const stats = {
+        'stats.created': result.created,
+        'stats.updated': result.updated,
+        'stats.unchanged': result.unchanged,
+        'stats.failed': result.failed,
+      };
       
       // Update the job with the latest counts without changing status to completed
       if (updateTotalOnly) {
         await ScraperJob.findOneAndUpdate(
           { jobId },
           { 
-            itemsScraped: totalItemsScraped,
-            lastBatchTime: new Date()
+            $set: {
+              itemsScraped: totalItemsScraped,
+              lastBatchTime: new Date()
+            },
+            $inc: stats,
           }
         );
       } else {
@@ -86,21 +458,24 @@ const storeScrapedData = async (source, data, options = {}) => {
         await ScraperJob.findOneAndUpdate(
           { jobId },
           { 
-            status: 'completed',
-            endTime,
-            duration,
-            itemsScraped: totalItemsScraped,
+            $set: {
+              status: 'completed',
+              endTime,
+              duration,
+              itemsScraped: totalItemsScraped,
+            },
+            $inc: stats,
           }
         );
       }
     }
     
-    logger.info(`Storage complete: ${result.created} created, ${result.updated} updated, ${result.failed} failed`);
+    logger.info(`Storage complete: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.failed} failed`);
     
     // Return the results along with the updated total
     return {
       ...result,
-      totalItemsScraped: currentTotal + result.created + result.updated
+      totalItemsScraped
     };
   } catch (error) {
     logger.error(`Error in storeScrapedData: ${error.message}`);
@@ -147,12 +522,13 @@ const createScraperJob = async (jobData) => {
  * Update a scraper job
  * @param {string} jobId - The job ID
  * @param {Object} updateData - The data to update
- * @returns {Promise<Object>} - The updated job
+ * @param {Object} conditions - Only update the job if it also matches these (e.g. its status)
+ * @returns {Promise<Object|null>} - The updated job, or null if no job matched
  */
-const updateScraperJob = async (jobId, updateData) => {
+const updateScraperJob = async (jobId, updateData, conditions = {}) => {
   try {
     const job = await ScraperJob.findOneAndUpdate(
-      { jobId },
+      { ...conditions, jobId },
       updateData,
       { new: true }
     );
@@ -163,6 +539,32 @@ const updateScraperJob = async (jobId, updateData) => {
   }
 };
 
+/**
+ * Save the pagination checkpoint for one category/URL of a job
+ * Replaces the existing checkpoint for the same target, or adds a new one
+ * @param {string} jobId - The job ID
+ * @param {Object} checkpoint - The checkpoint (target, type, skip, take, totalCount, ...)
+ * @returns {Promise<void>}
+ */
+const saveJobCheckpoint = async (jobId, checkpoint) => {
+  try {
+    const result = await ScraperJob.updateOne(
+      { jobId, 'checkpoints.target': checkpoint.target },
+      { $set: { 'checkpoints.$': checkpoint } }
+    );
+    
+    if (result.matchedCount === 0) {
+      await ScraperJob.updateOne(
+        { jobId },
+        { $push: { checkpoints: checkpoint } }
+      );
+    }
+  } catch (error) {
+    logger.error(`Error saving checkpoint for job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Get a scraper job by ID
  * @param {string} jobId - The job ID
@@ -236,10 +638,324 @@ const listScraperJobs = async (filters = {}, options = {}) => {
   }
 };
 
+/**
+ * Mark a batch of unseen parts as delisted, with their history and change log
+ * @param {string} source - The source of the parts
+ * @param {Array} parts - Unseen parts (lean, tracked fields only)
+ * @param {Object} query - The unseen parts query, re-checked so parts seen meanwhile stay listed
+ * @param {string} jobId - The job that crawled the category
+ * @returns {Promise<number>} - Number of parts delisted
+ */
+const delistParts = async (source, parts, query, jobId) => {
+  const delistedAt = new Date();
+  const ids = parts.map(part => part._id);
+
+  const { modifiedCount } = await Part.updateMany(
+    { ...query, _id: { $in: ids } },
+    { $set: { delisted: true, delistedAt, inStock: false } }
+  );
+
+  let delisted = parts;
+  if (modifiedCount < parts.length) {
+    // Some were seen again after they were read
+    const delistedIds = await Part.distinct('_id', { _id: { $in: ids }, delistedAt });
+    const delistedSet = new Set(delistedIds.map(id => id.toString()));
+    delisted = parts.filter(part => delistedSet.has(part._id.toString()));
+  }
+
+  if (delisted.length === 0) {
+    return 0;
+  }
+
+  const history = delisted
+    .map(part => buildSnapshot(part, { partNumber: part.partNumber, source, inStock: false }, jobId))
+    .filter(Boolean);
+
+  if (history.length > 0) {
+    try {
+      await PartSnapshot.insertMany(history, { ordered: false });
+    } catch (error) {
+      logger.error(`Error storing part history: ${error.message}`);
+    }
+  }
+
+  try {
+    await PartChange.insertMany(delisted.map(part => ({
+      jobId,
+      source,
+      partNumber: part.partNumber,
+      type: 'delisted',
+      fields: part.inStock ? [{ field: 'inStock', from: true, to: false }] : [],
+      changedFields: part.inStock ? ['inStock'] : [],
+    })), { ordered: false });
+  } catch (error) {
+    logger.error(`Error storing change log: ${error.message}`);
+  }
+
+  return delisted.length;
+};
+
+/**
+ * Mark the parts of a fully crawled category that the crawl didn't see as delisted
+ * Only call this after a crawl that went through every page of the category -
+ * a truncated crawl would delist the parts on the pages it skipped. Parts seen
+ * since the crawl started are kept, whichever job saw them.
+ * @param {string} source - The source of the parts
+ * @param {string} categoryPath - The crawled category path
+ * @param {Object} options - Additional options
+ * @param {string} options.jobId - The job that crawled the category
+ * @param {Date} options.since - When the crawl of the category started
+ * @returns {Promise<number>} - Number of parts delisted
+ */
+const delistUnseenParts = async (source, categoryPath, options = {}) => {
+  const { jobId, since } = options;
+
+  // Without the start of the crawl there's no way to tell which parts it saw
+  if (!since) {
+    return 0;
+  }
+
+  try {
+    const category = categoryPath.split('|')[1] || categoryPath;
+
+    // Parts stored before categoryPath was recorded are matched on their category name
+    const query = {
+      source,
+      delisted: { $ne: true },
+      lastSeenAt: { $not: { $gte: since } },
+      $or: [
+        { categoryPath },
+        { categoryPath: { $exists: false }, category },
+      ],
+    };
+
+    // A sold-out category can be large, so it is delisted a batch at a time
+    const cursor = Part.find(query)
+      .select('partNumber price currency inStock quantity condition yardCity yardState metadata.yardCity metadata.yardState')
+      .lean()
+      .cursor({ batchSize: BULK_BATCH_SIZE });
+
+    let delisted = 0;
+    let batch = [];
+
+    try {
+      for await (const part of cursor) {
+        batch.push(part);
+
+        if (batch.length === BULK_BATCH_SIZE) {
+          delisted += await delistParts(source, batch, query, jobId);
+          batch = [];
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (batch.length > 0) {
+      delisted += await delistParts(source, batch, query, jobId);
+    }
+
+    if (delisted === 0) {
+      return 0;
+    }
+
+    if (jobId) {
+      await ScraperJob.updateOne({ jobId }, { $inc: { 'stats.delisted': delisted } });
+    }
+
+    logger.info(`Delisted ${delisted} ${source} parts no longer listed under ${categoryPath}`);
+    return delisted;
+  } catch (error) {
+    logger.error(`Error delisting parts: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Quarantine products that failed validation, instead of storing them
+ * Best effort: a failure is logged, since the valid parts of the batch are
+ * still stored.
+ * @param {string} source - The source of the products
+ * @param {Array} rejected - Rejected products ({ productId, rawProduct, mappedPart, reasons })
+ * @param {Object} options - Options (jobId)
+ * @returns {Promise<number>} - Number of products quarantined
+ */
+const quarantineParts = async (source, rejected, options = {}) => {
+  const { jobId } = options;
+
+  if (rejected.length === 0) {
+    return 0;
+  }
+
+  try {
+    await QuarantinedPart.insertMany(rejected.map(item => ({
+      jobId,
+      source,
+      productId: item.productId,
+      partNumber: item.mappedPart ? item.mappedPart.partNumber : undefined,
+      reasons: item.reasons,
+      rawProduct: item.rawProduct,
+      mappedPart: item.mappedPart,
+    })), { ordered: false });
+
+    if (jobId) {
+      await ScraperJob.updateOne({ jobId }, { $inc: { 'stats.quarantined': rejected.length } });
+    }
+
+    logger.warn(`Quarantined ${rejected.length} ${source} products that failed validation`);
+    return rejected.length;
+  } catch (error) {
+    logger.error(`Error quarantining parts: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * List the products a job quarantined
+ * @param {string} jobId - The job ID
+ * @param {Object} options - Pagination options (page, limit)
+ * @returns {Promise<Object>} - Quarantined products and pagination
+ */
+const listQuarantinedParts = async (jobId, options = {}) => {
+  try {
+    const { page = 1, limit = 50 } = options;
+
+    const query = { jobId };
+    const total = await QuarantinedPart.countDocuments(query);
+
+    const quarantined = await QuarantinedPart.find(query)
+      .select('-__v')
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    return {
+      quarantined,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Error listing quarantined parts: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the changes a job made to parts
+ * @param {string} jobId - The job ID
+ * @param {Object} filters - Filters (type: new, changed or delisted; field: changed field, including its subfields)
+ * @param {Object} options - Pagination options (page, limit)
+ * @returns {Promise<Object>} - Changes and pagination
+ */
+const listPartChanges = async (jobId, filters = {}, options = {}) => {
+  try {
+    const { page = 1, limit = 50 } = options;
+    
+    const skip = (page - 1) * limit;
+    
+    // Build query from filters
+    const query = { jobId };
+    
+    if (filters.type) {
+      query.type = filters.type;
+    }
+    
+    if (filters.field) {
+      // 'metadata' also matches 'metadata.yardCity'
+      const escaped = filters.field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.changedFields = { $regex: `^${escaped}(\\.|$)` };
+    }
+    
+    // Get total count
+    const total = await PartChange.countDocuments(query);
+    
+    // Get changes with pagination
+    const changes = await PartChange.find(query)
+      .select('-__v -changedFields')
+      .sort({ _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    
+    return {
+      changes,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Error listing part changes: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a stored part
+ * @param {string} source - The source of the part
+ * @param {string} partNumber - The part number
+ * @returns {Promise<Object|null>} - The part, or null if not stored
+ */
+const getPart = async (source, partNumber) => {
+  try {
+    return await Part.findOne({ source, partNumber });
+  } catch (error) {
+    logger.error(`Error getting part: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the price and availability history of a part
+ * @param {string} source - The source of the part
+ * @param {string} partNumber - The part number
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of snapshots
+ * @param {Date} options.since - Only snapshots observed after this date
+ * @returns {Promise<Array>} - Snapshots, oldest first
+ */
+const getPartHistory = async (source, partNumber, options = {}) => {
+  const { limit = 100, since } = options;
+
+  try {
+    const query = { source, partNumber };
+    if (since) {
+      query.observedAt = { $gte: since };
+    }
+
+    // Take the newest snapshots, then return them in timeline order
+    const snapshots = await PartSnapshot.find(query)
+      .select('-__v')
+      .sort({ observedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return snapshots.reverse();
+  } catch (error) {
+    logger.error(`Error getting part history: ${error.message}`);
+    throw error;
+  }
+};
+
 module.exports = {
   storeScrapedData,
+  markPartsSeen,
+  delistUnseenParts,
+  quarantineParts,
+  listQuarantinedParts,
+  listPartChanges,
+  getPart,
+  getPartHistory,
   createScraperJob,
   updateScraperJob,
+  saveJobCheckpoint,
   getScraperJob,
   listScraperJobs,
 }; 
\ No newline at end of file
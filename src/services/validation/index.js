@@ -0,0 +1,170 @@
+const { Part } = require('../../models');
+
+/**
+ * Part validation
+ * ---------------
+ *
+ * Checks mapped parts before they are stored: required fields, types and
+ * value ranges. The Part schema is lenient (strict: false, few required
+ * fields), so this is where a mapper bug is caught instead of being stored.
+ * Parts that fail are quarantined with their reasons rather than stored.
+ * Invalid fitment entries are dropped instead, with a mapping warning each.
+ */
+
+const CONDITIONS = Part.schema.path('condition').enumValues;
+
+// Highest plausible price, in minor units ($100,000)
+const MAX_PRICE_AMOUNT = 10000000;
+
+const MIN_YEAR = 1900;
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check whether a value is missing
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isMissing = value => value === undefined || value === null;
+
+/**
+ * Validate one fitment entry
+ * @param {Object} entry - Fitment entry
+ * @param {string} field - Path of the entry (e.g. 'fitment.0')
+ * @returns {Array} - Reasons the entry is invalid ({ field, message })
+ */
+const validateFitmentEntry = (entry, field) => {
+  const reasons = [];
+  const maxYear = new Date().getFullYear() + 2;
+
+  if (!entry || !isText(entry.make)) {
+    reasons.push({ field: `${field}.make`, message: 'Is required' });
+  }
+
+  ['yearFrom', 'yearTo'].forEach((key) => {
+    const year = entry && entry[key];
+    if (!isMissing(year) && (!Number.isInteger(year) || year < MIN_YEAR || year > maxYear)) {
+      reasons.push({ field: `${field}.${key}`, message: `Must be a year between ${MIN_YEAR} and ${maxYear}` });
+    }
+  });
+
+  if (entry && entry.yearFrom > entry.yearTo) {
+    reasons.push({ field: `${field}.yearFrom`, message: 'Must not be after yearTo' });
+  }
+
+  return reasons;
+};
+
+/**
+ * Drop the invalid fitment entries of a mapped part
+ * One bad fitment row shouldn't keep the rest of the part from being stored,
+ * so the entries are recorded in the part's mappingWarnings instead of
+ * rejecting it.
+ * @param {Object} part - Mapped part, changed in place
+ * @returns {Object} - The part
+ */
+const dropInvalidFitment = (part) => {
+  if (!part || isMissing(part.fitment)) {
+    return part;
+  }
+
+  const warnings = [];
+
+  if (!Array.isArray(part.fitment)) {
+    warnings.push({ field: 'fitment', value: JSON.stringify(part.fitment), message: 'Must be an array' });
+    part.fitment = [];
+  } else {
+    part.fitment = part.fitment.filter((entry, index) => {
+      const reasons = validateFitmentEntry(entry, `fitment.${index}`);
+      reasons.forEach(reason => warnings.push({
+        field: reason.field,
+        value: JSON.stringify(entry === undefined ? null : entry),
+        message: reason.message,
+      }));
+      return reasons.length === 0;
+    });
+  }
+
+  if (warnings.length > 0) {
+    part.mappingWarnings = [...(part.mappingWarnings || []), ...warnings];
+  }
+
+  return part;
+};
+
+/**
+ * Validate a mapped part
+ * Fitment entries aren't checked here - dropInvalidFitment removes the bad ones.
+ * @param {Object} part - Mapped part
+ * @returns {Array} - Reasons the part is invalid ({ field, message }); empty when it is valid
+ */
+const validatePart = (part) => {
+  if (!part || typeof part !== 'object' || Array.isArray(part)) {
+    return [{ field: '', message: 'Not an object' }];
+  }
+
+  const reasons = [];
+
+  if (!isText(part.partNumber) || part.partNumber === 'unknown') {
+    reasons.push({ field: 'partNumber', message: 'Is required' });
+  }
+
+  if (!isText(part.name)) {
+    reasons.push({ field: 'name', message: 'Is required' });
+  }
+
+  if (!isText(part.source)) {
+    reasons.push({ field: 'source', message: 'Is required' });
+  }
+
+  if (!isMissing(part.price) && (typeof part.price !== 'number' || !Number.isFinite(part.price) || part.price < 0)) {
+    reasons.push({ field: 'price', message: 'Must be a number of at least 0' });
+  }
+
+  if (!isMissing(part.priceAmount)
+    && (!Number.isInteger(part.priceAmount) || part.priceAmount < 0 || part.priceAmount > MAX_PRICE_AMOUNT)) {
+    reasons.push({ field: 'priceAmount', message: `Must be a whole number between 0 and ${MAX_PRICE_AMOUNT}` });
+  }
+
+  if (!isMissing(part.currency) && !/^[A-Z]{3}$/.test(part.currency)) {
+    reasons.push({ field: 'currency', message: 'Must be a three letter currency code' });
+  }
+
+  if (!isMissing(part.inStock) && typeof part.inStock !== 'boolean') {
+    reasons.push({ field: 'inStock', message: 'Must be true or false' });
+  }
+
+  if (!isMissing(part.quantity) && (!Number.isInteger(part.quantity) || part.quantity < 0)) {
+    reasons.push({ field: 'quantity', message: 'Must be a whole number of at least 0' });
+  }
+
+  if (!isMissing(part.condition) && !CONDITIONS.includes(part.condition)) {
+    reasons.push({ field: 'condition', message: `Must be one of: ${CONDITIONS.join(', ')}` });
+  }
+
+  if (!isMissing(part.sourceUrl) && !/^https?:\/\//.test(part.sourceUrl)) {
+    reasons.push({ field: 'sourceUrl', message: 'Must be an http(s) URL' });
+  }
+
+  if (!isMissing(part.images)
+    && (!Array.isArray(part.images) || part.images.some(image => !image || typeof image.url !== 'string'))) {
+    reasons.push({ field: 'images', message: 'Must be a list of images with a url' });
+  }
+
+  if (!isMissing(part.interchange)
+    && (!Array.isArray(part.interchange) || part.interchange.some(number => !isText(number)))) {
+    reasons.push({ field: 'interchange', message: 'Must be a list of interchange numbers' });
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  validatePart,
+  dropInvalidFitment,
+};
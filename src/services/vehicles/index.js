@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { Part, SourceVehicle } = require('../../models');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Source vehicles
+ * ---------------
+ *
+ * Donor vehicles are stored by the storage service as parts are scraped. This
+ * service reads them back with the parts harvested from them.
+ */
+
+/**
+ * Get a source vehicle
+ * @param {string} id - Vehicle _id
+ * @returns {Promise<Object|null>} - The vehicle, or null when the id is unknown or invalid
+ */
+const getVehicle = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    return await SourceVehicle.findById(id).select('-__v').lean();
+  } catch (error) {
+    logger.error(`Error getting source vehicle: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the parts harvested from a source vehicle
+ * @param {string} id - Vehicle _id
+ * @param {Object} filters - Filters
+ * @param {boolean} filters.includeDelisted - Include delisted parts
+ * @returns {Promise<Array>} - Parts, by category and name
+ */
+const listVehicleParts = async (id, filters = {}) => {
+  try {
+    const query = { sourceVehicle: id };
+
+    if (!filters.includeDelisted) {
+      query.delisted = { $ne: true };
+    }
+
+    return await Part.find(query)
+      .select('-__v')
+      .sort({ category: 1, name: 1, partNumber: 1 })
+      .lean();
+  } catch (error) {
+    logger.error(`Error listing source vehicle parts: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  getVehicle,
+  listVehicleParts,
+};
@@ -0,0 +1,186 @@
+/**
+ * Fitment normalisation
+ * ---------------------
+ *
+ * Sources list fitment as one row per vehicle and year, with inconsistent
+ * casing ('FORD', 'ford', 'Ford'). Parts store it as one entry per vehicle
+ * configuration with a year range, so "fits a 2014 Ford F-150" is a single
+ * indexed match on make, model, yearFrom and yearTo. Names already in mixed
+ * case are kept for display, so entries also carry case-folded keys to match on.
+ */
+
+// Makes that are written in capitals
+const UPPERCASE_MAKES = ['AMC', 'BMW', 'GMC', 'MG', 'MINI', 'SRT'];
+
+/**
+ * Normalise the casing and whitespace of a make, model or trim
+ * Names already in mixed case are kept as given (e.g. 'Mazda3', 'F-150'). Names
+ * in all capitals or all lower case are title cased, keeping short segments and
+ * segments with digits in capitals ('CR-V', 'RAV4', 'F-150').
+ * @param {*} value - Raw name
+ * @returns {string} - Normalised name ('' when missing)
+ */
+const normaliseName = (value) => {
+  const name = String(value || '').trim().replace(/\s+/g, ' ');
+
+  if (!name) {
+    return '';
+  }
+
+  if (UPPERCASE_MAKES.includes(name.toUpperCase())) {
+    return name.toUpperCase();
+  }
+
+  if (name !== name.toUpperCase() && name !== name.toLowerCase()) {
+    return name;
+  }
+
+  return name
+    .split(' ')
+    .map(word => word
+      .split('-')
+      .map((segment) => {
+        if (segment.length <= 2 || /\d/.test(segment)) {
+          return segment.toUpperCase();
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1).toLowerCase();
+      })
+      .join('-'))
+    .join(' ');
+};
+
+/**
+ * Build the key a make or model is matched on
+ * Case-folded, so 'Mazda3', 'MAZDA3' and 'mazda3' are the same vehicle.
+ * @param {*} value - Raw or normalised name
+ * @returns {string} - Key ('' when missing)
+ */
+const fitmentKey = value => normaliseName(value).toLowerCase();
+
+/**
+ * Parse a fitment year into the years it covers
+ * Accepts a year ('2014', 2014) or a range ('2010-2014')
+ * @param {*} value - Raw year
+ * @returns {number[]} - Years (empty when not a valid year)
+ */
+const parseYears = (value) => {
+  const match = String(value || '').trim().match(/^(\d{4})(?:\s*-\s*(\d{4}))?$/);
+
+  if (!match) {
+    return [];
+  }
+
+  const from = parseInt(match[1], 10);
+  const to = match[2] ? parseInt(match[2], 10) : from;
+  const years = [];
+
+  for (let year = Math.min(from, to); year <= Math.max(from, to); year++) {
+    years.push(year);
+  }
+
+  return years;
+};
+
+/**
+ * Normalise fitment rows into year-ranged entries
+ * Rows for the same make, model, trim, engine, drivetrain and notes are merged,
+ * and consecutive years become one range - a gap starts a new entry.
+ * @param {Array} rows - Fitment rows ({ make, model, year, trim, engine, drivetrain, notes })
+ * @returns {Array} - Fitment entries ({ make, model, makeKey, modelKey, yearFrom, yearTo, trim, engine, drivetrain, notes })
+ */
+const normaliseFitment = (rows = []) => {
+  const vehicles = new Map();
+
+  rows.forEach((row) => {
+    const vehicle = {
+      make: normaliseName(row.make),
+      model: normaliseName(row.model),
+      trim: normaliseName(row.trim),
+      engine: String(row.engine || '').trim().replace(/\s+/g, ' ').toUpperCase(),
+      drivetrain: String(row.drivetrain || '').trim().toUpperCase(),
+      notes: String(row.notes || '').trim(),
+    };
+
+    if (!vehicle.make && !vehicle.model) {
+      return;
+    }
+
+    const key = JSON.stringify(Object.values(vehicle)).toLowerCase();
+
+    if (!vehicles.has(key)) {
+      vehicles.set(key, {
+        vehicle: { ...vehicle, makeKey: fitmentKey(vehicle.make), modelKey: fitmentKey(vehicle.model) },
+        years: new Set(),
+        hasUnknownYear: false,
+      });
+    }
+
+    const entry = vehicles.get(key);
+    const years = parseYears(row.year);
+
+    if (years.length === 0) {
+      entry.hasUnknownYear = true;
+    }
+    years.forEach(year => entry.years.add(year));
+  });
+
+  const fitment = [];
+
+  vehicles.forEach(({ vehicle, years, hasUnknownYear }) => {
+    const sorted = [...years].sort((a, b) => a - b);
+
+    // A vehicle listed without a usable year only gets an open entry if it has no years at all
+    if (sorted.length === 0 && hasUnknownYear) {
+      fitment.push({ ...vehicle, yearFrom: null, yearTo: null });
+      return;
+    }
+
+    let rangeStart = null;
+    sorted.forEach((year, index) => {
+      if (rangeStart === null) {
+        rangeStart = year;
+      }
+
+      if (sorted[index + 1] !== year + 1) {
+        fitment.push({ ...vehicle, yearFrom: rangeStart, yearTo: year });
+        rangeStart = null;
+      }
+    });
+  });
+
+  return fitment.sort((a, b) => (
+    a.make.localeCompare(b.make) || a.model.localeCompare(b.model) || (a.yearFrom || 0) - (b.yearFrom || 0)
+  ));
+};
+
+/**
+ * Build a Part query condition for parts that fit a vehicle
+ * @param {Object} vehicle - Vehicle to match (make, model, year - each optional)
+ * @returns {Object} - Query condition on the fitment array
+ */
+const buildFitmentQuery = ({ make, model, year } = {}) => {
+  const match = {};
+
+  if (make) {
+    match.makeKey = fitmentKey(make);
+  }
+
+  if (model) {
+    match.modelKey = fitmentKey(model);
+  }
+
+  if (year) {
+    match.yearFrom = { $lte: parseInt(year, 10) };
+    match.yearTo = { $gte: parseInt(year, 10) };
+  }
+
+  return { fitment: { $elemMatch: match } };
+};
+
+module.exports = {
+  normaliseName,
+  fitmentKey,
+  parseYears,
+  normaliseFitment,
+  buildFitmentQuery,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * HTTP fixtures
+ * -------------
+ *
+ * Request/response pairs recorded from a live site and served back in place of
+ * the network, so scrapers can run offline and in tests.
+ *
+ * Fixtures are keyed by method, path and sorted query string - not the host -
+ * so a recording made against the live site replays against any base URL.
+ * Cookies, auth and security token headers are redacted before writing, and
+ * only the response headers that affect parsing are kept.
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Request headers that carry secrets
+const SECRET_HEADER_PATTERN = /^(cookie|authorization|proxy-authorization|xvpw5hybpt-.*)$/i;
+
+// Response headers worth keeping
+const KEPT_RESPONSE_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Build the fixture name for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL
+ * @returns {string} - File name (without directory)
+ */
+const getFixtureName = (method, url) => {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+
+  const signature = `${method.toUpperCase()} ${parsed.pathname}?${parsed.searchParams.toString()}`;
+  const hash = crypto.createHash('sha1').update(signature).digest('hex').slice(0, 16);
+  const action = parsed.searchParams.get('action') || 'request';
+
+  return `${action}-${hash}.json`;
+};
+
+/**
+ * Redact secret request headers
+ * @param {Object} headers - Request headers
+ * @returns {Object} - Headers safe to write to disk
+ */
+const sanitizeRequestHeaders = (headers = {}) => {
+  const sanitized = {};
+
+  Object.entries(headers).forEach(([name, value]) => {
+    sanitized[name] = SECRET_HEADER_PATTERN.test(name) ? REDACTED : value;
+  });
+
+  return sanitized;
+};
+
+/**
+ * Keep only the response headers needed to replay a response
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Kept headers
+ */
+const pickResponseHeaders = (headers = {}) => {
+  const picked = {};
+
+  Object.entries(headers).forEach(([name, value]) => {
+    if (KEPT_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+      picked[name.toLowerCase()] = value;
+    }
+  });
+
+  return picked;
+};
+
+/**
+ * Write a request/response pair to the fixtures directory
+ * @param {string} dir - Fixtures directory
+ * @param {Object} request - Request config (method, url, headers)
+ * @param {Object} response - Response (status, headers, data)
+ * @returns {string} - Path of the written fixture
+ */
+const saveFixture = (dir, request, response) => {
+  const method = request.method || 'GET';
+  const parsed = new URL(request.url);
+  const file = path.join(dir, getFixtureName(method, request.url));
+
+  const fixture = {
+    request: {
+      method: method.toUpperCase(),
+      path: `${parsed.pathname}${parsed.search}`,
+      headers: sanitizeRequestHeaders(request.headers),
+    },
+    response: {
+      status: response.status,
+      headers: pickResponseHeaders(response.headers),
+      data: response.data,
+    },
+    recordedAt: new Date().toISOString(),
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  logger.debug(`Recorded fixture ${file}`);
+
+  return file;
+};
+
+/**
+ * Load the recorded response for a request
+ * @param {string} dir - Fixtures directory
+ * @param {Object} request - Request config (method, url)
+ * @returns {Object} - Response (status, headers, data)
+ */
+const loadFixture = (dir, request) => {
+  const method = request.method || 'GET';
+  const file = path.join(dir, getFixtureName(method, request.url));
+
+  if (!fs.existsSync(file)) {
+    const error = new Error(`No fixture recorded for ${method.toUpperCase()} ${request.url}`);
+    error.code = 'FIXTURE_MISSING';
+    throw error;
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  logger.debug(`Replaying fixture ${file}`);
+
+  return {
+    status: fixture.response.status,
+    headers: fixture.response.headers || {},
+    data: fixture.response.data,
+  };
+};
+
+module.exports = {
+  REDACTED,
+  getFixtureName,
+  sanitizeRequestHeaders,
+  saveFixture,
+  loadFixture,
+};
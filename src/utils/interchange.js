@@ -0,0 +1,45 @@
+/**
+ * Interchange numbers
+ * -------------------
+ *
+ * Interchange numbers (e.g. Hollander '601-01234') identify parts that are
+ * equivalent across vehicles, so a part from one yard can stand in for another.
+ * Sources give them as a single string, sometimes several at once
+ * ('601-01234, 601-01235A') and with inconsistent casing and spacing. Parts
+ * store them as an indexed array of normalised numbers.
+ */
+
+/**
+ * Normalise an interchange number
+ * @param {*} value - Raw interchange number
+ * @returns {string} - Upper case number without spaces ('' when missing)
+ */
+const normaliseInterchange = value => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Parse a source's interchange value into distinct normalised numbers
+ * @param {*} value - Raw value (string, number or array of them)
+ * @returns {string[]} - Interchange numbers, in the order given
+ */
+const parseInterchange = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const numbers = [];
+
+  values.forEach((entry) => {
+    String(entry === undefined || entry === null ? '' : entry)
+      .split(/[,;|/]/)
+      .map(normaliseInterchange)
+      .forEach((number) => {
+        if (number && !numbers.includes(number)) {
+          numbers.push(number);
+        }
+      });
+  });
+
+  return numbers;
+};
+
+module.exports = {
+  normaliseInterchange,
+  parseInterchange,
+};
@@ -0,0 +1,83 @@
+/**
+ * Part filters
+ * ------------
+ *
+ * Parses the part filters of a query string - the same filters for listing,
+ * searching and exporting parts, whether they come from the API or the CLI.
+ */
+
+// Part conditions that can be filtered on
+const CONDITIONS = ['new', 'used', 'refurbished', 'unknown'];
+
+/**
+ * Parse and check part filters
+ * @param {Object} query - String values (q, source, category, condition, inStock, priceMin, priceMax, yardState,
+ *   vehicleMake, vehicleModel, vehicleYear, make, model, year, delisted)
+ * @returns {Object} - { filters } for the search service, or { error } with a message when a value is invalid
+ */
+const parsePartFilters = (query) => {
+  const {
+    q,
+    source,
+    category,
+    condition,
+    inStock,
+    priceMin,
+    priceMax,
+    yardState,
+    vehicleMake,
+    vehicleModel,
+    vehicleYear,
+    make,
+    model,
+    year,
+    delisted = 'exclude',
+  } = query;
+
+  if (!['exclude', 'include', 'only'].includes(delisted)) {
+    return { error: 'Delisted must be one of: exclude, include, only' };
+  }
+
+  if (condition && !CONDITIONS.includes(condition)) {
+    return { error: `Condition must be one of: ${CONDITIONS.join(', ')}` };
+  }
+
+  if (inStock && !['true', 'false'].includes(inStock)) {
+    return { error: 'inStock must be true or false' };
+  }
+
+  if ((year && !/^\d{4}$/.test(year)) || (vehicleYear && !/^\d{4}$/.test(vehicleYear))) {
+    return { error: 'Years must be four digit years' };
+  }
+
+  const parsedPriceMin = priceMin !== undefined ? parseFloat(priceMin) : undefined;
+  const parsedPriceMax = priceMax !== undefined ? parseFloat(priceMax) : undefined;
+  if (Number.isNaN(parsedPriceMin) || Number.isNaN(parsedPriceMax)) {
+    return { error: 'Price range must be numbers' };
+  }
+
+  return {
+    filters: {
+      q,
+      source,
+      category,
+      condition,
+      inStock: inStock === undefined ? undefined : inStock === 'true',
+      priceMin: parsedPriceMin,
+      priceMax: parsedPriceMax,
+      yardState,
+      vehicleMake,
+      vehicleModel,
+      vehicleYear: vehicleYear ? parseInt(vehicleYear, 10) : undefined,
+      make,
+      model,
+      year,
+      delisted,
+    },
+  };
+};
+
+module.exports = {
+  CONDITIONS,
+  parsePartFilters,
+};
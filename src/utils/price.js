@@ -0,0 +1,76 @@
+/**
+ * Price parsing
+ * -------------
+ *
+ * Sources return prices as numbers, plain decimal strings ('103.00') or
+ * formatted strings ('$1,234.56', 'USD 99'). Parts store them as integer
+ * amounts in minor units (cents) with a currency, so they can be sorted and
+ * range-filtered.
+ */
+
+// Currency symbols and the currency they stand for
+const CURRENCY_SYMBOLS = {
+  'CA$': 'CAD',
+  C$: 'CAD',
+  US$: 'USD',
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+};
+
+/**
+ * Parse a price into minor units and a currency
+ * @param {*} value - Raw price (number or string)
+ * @param {string} defaultCurrency - Currency when the value doesn't name one
+ * @returns {Object|null} - { amount, currency }, or null when the value isn't a price
+ */
+const parsePrice = (value, defaultCurrency = 'USD') => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0
+      ? { amount: Math.round(value * 100), currency: defaultCurrency }
+      : null;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value.trim();
+  let currency = defaultCurrency;
+
+  const code = text.match(/^([A-Z]{3})\s*|\s*([A-Z]{3})$/);
+  if (code) {
+    currency = code[1] || code[2];
+    text = text.replace(code[0], '');
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => text.startsWith(candidate));
+  if (symbol) {
+    currency = CURRENCY_SYMBOLS[symbol];
+    text = text.slice(symbol.length);
+  }
+
+  // Thousands separators only - decimal commas aren't used by any source yet
+  text = text.trim().replace(/,(?=\d{3}(\D|$))/g, '');
+
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) {
+    return null;
+  }
+
+  return {
+    amount: Math.round(parseFloat(text) * 100),
+    currency,
+  };
+};
+
+/**
+ * Convert an amount in minor units to a decimal number
+ * @param {number} amount - Amount in minor units
+ * @returns {number|null} - Amount in major units
+ */
+const toMajorUnits = amount => (typeof amount === 'number' ? amount / 100 : null);
+
+module.exports = {
+  parsePrice,
+  toMajorUnits,
+};
@@ -0,0 +1,150 @@
+const { logger } = require('./logger');
+const { delay } = require('./scraper-utils');
+
+/**
+ * Token bucket rate limiter that adapts to how the host responds
+ * Tokens refill at the current rate; each request takes one, waiting when the
+ * bucket is empty. Throttling responses (429, 5xx, challenge pages) halve the
+ * rate and empty the bucket. After a streak of successes the rate steps back
+ * up towards the configured maximum.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {string} options.host - Host the limiter paces
+   * @param {number} options.requestsPerMinute - Target (and maximum) rate
+   * @param {number} options.minRequestsPerMinute - Rate never goes below this
+   * @param {number} options.burst - Bucket size (requests that can go out back to back)
+   * @param {number} options.successStreak - Successes needed before speeding up
+   */
+  constructor(options) {
+    this.host = options.host;
+    this.maxRate = options.requestsPerMinute;
+    this.minRate = Math.min(options.minRequestsPerMinute, options.requestsPerMinute);
+    this.rate = this.maxRate;
+    this.burst = options.burst;
+    this.successStreak = options.successStreak;
+    this.tokens = this.burst;
+    this.lastRefillAt = Date.now();
+    this.pausedUntil = 0;
+    this.streak = 0;
+    this.throttleCount = 0;
+    this.lastThrottleReason = null;
+    this.lastThrottledAt = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefillAt) * this.rate) / 60000);
+    this.lastRefillAt = now;
+  }
+
+  /**
+   * Wait until a request may be sent
+   * Callers are served in order, so concurrent jobs share the rate fairly
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Take a token, waiting for one if the bucket is empty
+   * @returns {Promise<void>}
+   */
+  async take() {
+    for (;;) {
+      const pausedFor = this.pausedUntil - Date.now();
+      if (pausedFor > 0) {
+        await delay(pausedFor);
+      }
+
+      this.refill();
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await delay(Math.ceil(((1 - this.tokens) * 60000) / this.rate));
+    }
+  }
+
+  /**
+   * Record a successful response
+   */
+  recordSuccess() {
+    this.streak++;
+
+    if (this.streak >= this.successStreak && this.rate < this.maxRate) {
+      this.refill();
+      this.rate = Math.min(this.maxRate, this.rate * 1.25);
+      this.streak = 0;
+      logger.info(`Rate limit for ${this.host} raised to ${this.rate.toFixed(1)} requests/minute`);
+    }
+  }
+
+  /**
+   * Record a throttling response and slow down
+   * @param {string} reason - What the host answered
+   * @param {number} retryAfterMs - Pause requested by the host (Retry-After)
+   */
+  recordThrottle(reason, retryAfterMs = 0) {
+    this.refill();
+    this.rate = Math.max(this.minRate, this.rate / 2);
+    this.tokens = 0;
+    this.streak = 0;
+    this.throttleCount++;
+    this.lastThrottleReason = reason;
+    this.lastThrottledAt = new Date();
+
+    if (retryAfterMs > 0) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfterMs);
+    }
+
+    logger.warn(`Rate limit for ${this.host} lowered to ${this.rate.toFixed(1)} requests/minute: ${reason}`);
+  }
+
+  /**
+   * Get the limiter state for job status reporting
+   * @returns {Object} - Current rate and throttling history
+   */
+  getStatus() {
+    return {
+      host: this.host,
+      requestsPerMinute: Number(this.rate.toFixed(1)),
+      maxRequestsPerMinute: this.maxRate,
+      throttleCount: this.throttleCount,
+      lastThrottleReason: this.lastThrottleReason,
+      lastThrottledAt: this.lastThrottledAt,
+    };
+  }
+}
+
+// One limiter per host, shared by every job in the process
+const limiters = new Map();
+
+/**
+ * Get the shared rate limiter for a host
+ * @param {string} host - Host name
+ * @param {Object} options - Limiter options, used when the limiter is created
+ * @returns {RateLimiter} - The host's rate limiter
+ */
+const getRateLimiter = (host, options) => {
+  if (!limiters.has(host)) {
+    limiters.set(host, new RateLimiter({ ...options, host }));
+  }
+
+  return limiters.get(host);
+};
+
+module.exports = {
+  RateLimiter,
+  getRateLimiter,
+};
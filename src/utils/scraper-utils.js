@@ -4,20 +4,30 @@ const config = require('../config');
 
 /**
  * Launch a Puppeteer browser with default options
+ * @param {Object} options - Launch options
+ * @param {string} options.proxyUrl - Route all browser traffic through this proxy
  * @returns {Promise<Browser>} - Puppeteer browser instance
  */
-const launchBrowser = async () => {
+const launchBrowser = async (options = {}) => {
   try {
+    const args = [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      '--window-size=1920,1080',
+    ];
+    
+    if (options.proxyUrl) {
+      // Chrome takes the proxy without credentials, see authenticateProxy
+      const proxy = new URL(options.proxyUrl);
+      args.push(`--proxy-server=${proxy.protocol}//${proxy.host}`);
+    }
+    
     const browser = await puppeteer.launch({
       headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920,1080',
-      ],
+      args,
       timeout: 60000, // 60 second timeout for browser launch
     });
     
@@ -28,6 +38,27 @@ const launchBrowser = async () => {
   }
 };
 
+/**
+ * Answer the proxy's authentication challenge for a page
+ * Chrome only supports this for HTTP(S) proxies, not SOCKS
+ * @param {Page} page - Puppeteer page
+ * @param {string} proxyUrl - Proxy URL, possibly with credentials
+ * @returns {Promise<void>}
+ */
+const authenticateProxy = async (page, proxyUrl) => {
+  if (!proxyUrl) {
+    return;
+  }
+  
+  const proxy = new URL(proxyUrl);
+  if (proxy.username) {
+    await page.authenticate({
+      username: decodeURIComponent(proxy.username),
+      password: decodeURIComponent(proxy.password),
+    });
+  }
+};
+
 /**
  * Wait for a random time between min and max milliseconds
  * @param {number} min - Minimum wait time in milliseconds
@@ -242,16 +273,19 @@ const getCookiesFromResponse = (response) => {
 /**
  * Extract cookies from webpage using Puppeteer
  * @param {string} url - URL to visit
+ * @param {Object} options - Options
+ * @param {string} options.proxyUrl - Proxy to browse through
  * @returns {Promise<string>} - Formatted cookie string
  */
-const extractCookiesWithPuppeteer = async (url) => {
+const extractCookiesWithPuppeteer = async (url, options = {}) => {
   let browser = null;
   
   try {
     logger.info(`Extracting cookies from ${url} using Puppeteer`);
     
-    browser = await launchBrowser();
+    browser = await launchBrowser({ proxyUrl: options.proxyUrl });
     const page = await browser.newPage();
+    await authenticateProxy(page, options.proxyUrl);
     
     // Set viewport to desktop size
     await page.setViewport({ width: 1920, height: 1080 });
@@ -338,6 +372,7 @@ const extractCookiesWithPuppeteer = async (url) => {
 
 module.exports = {
   launchBrowser,
+  authenticateProxy,
   randomWait,
   retry,
   delay,
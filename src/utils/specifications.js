@@ -0,0 +1,79 @@
+/**
+ * Specification extraction
+ * ------------------------
+ *
+ * Sources describe parts in free text ('Alternator 12V 150A, serpentine
+ * pulley'). Specifications are extracted from it with rules: each rule names a
+ * specification and gives a pattern whose first matching capture group is the
+ * value. Values are typed - numbers keep their unit, text is normalised.
+ *
+ * Rule fields:
+ * - name: specification name (e.g. 'amperage')
+ * - pattern: RegExp; the first capture group that matched is the value
+ * - type: 'number' or 'text' (default)
+ * - unit: unit of numeric values (e.g. 'A')
+ * - normalise: turns a text value into its stored form (default: trimmed)
+ */
+
+/**
+ * Apply one rule to a text
+ * @param {string} text - Text to search
+ * @param {Object} rule - Extraction rule
+ * @returns {Object|null} - { value, unit } (unit when the rule has one), or null when the rule doesn't match
+ */
+const applyRule = (text, rule) => {
+  const match = text.match(rule.pattern);
+
+  if (!match) {
+    return null;
+  }
+
+  const raw = match.slice(1).find(group => group !== undefined);
+  if (raw === undefined) {
+    return null;
+  }
+
+  if (rule.type === 'number') {
+    const value = parseFloat(raw);
+    if (Number.isNaN(value)) {
+      return null;
+    }
+    return rule.unit ? { value, unit: rule.unit } : { value };
+  }
+
+  const value = rule.normalise ? rule.normalise(raw) : raw.trim();
+  return value ? { value } : null;
+};
+
+/**
+ * Extract specifications from a text
+ * When several rules share a name, the first that matches wins.
+ * @param {string} text - Text to extract from (e.g. a product description)
+ * @param {Array} rules - Extraction rules
+ * @returns {Object} - Specifications by name ({ value, unit })
+ */
+const extractSpecifications = (text, rules) => {
+  const specifications = {};
+
+  if (!text) {
+    return specifications;
+  }
+
+  rules.forEach((rule) => {
+    if (specifications[rule.name]) {
+      return;
+    }
+
+    const specification = applyRule(String(text), rule);
+    if (specification) {
+      specifications[rule.name] = specification;
+    }
+  });
+
+  return specifications;
+};
+
+module.exports = {
+  applyRule,
+  extractSpecifications,
+};
@@ -0,0 +1,52 @@
+/**
+ * Stream helpers
+ * --------------
+ *
+ * Exports write large files in chunks; waiting for each chunk to drain keeps
+ * memory flat when the reader (a slow client, a disk) is slower than the
+ * database cursor.
+ */
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {Object} output - Writable stream
+ * @param {Buffer|string} chunk - Data to write
+ * @returns {Promise<void>} - Rejects when the stream closes or fails before draining
+ */
+const writeChunk = (output, chunk) => {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Output stream closed'));
+  }
+
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+  });
+};
+
+module.exports = {
+  writeChunk,
+};
@@ -0,0 +1,284 @@
+const zlib = require('zlib');
+const { writeChunk } = require('./streams');
+const { escapeXml } = require('./xml');
+
+/**
+ * Streaming XLSX writer
+ * ---------------------
+ *
+ * Writes a single-sheet workbook row by row, so exports of any size never sit
+ * in memory. An XLSX file is a zip of XML files; the sheet is deflated in
+ * chunks as rows arrive, and each zip entry is followed by a data descriptor
+ * holding its CRC and sizes, which are only known once it has been written.
+ *
+ * Strings are written inline (no shared strings table), which every
+ * spreadsheet application reads. Zip64 isn't supported, so files stop at 4 GB.
+ */
+
+// Rows per sheet in Excel
+const MAX_ROWS = 1048576;
+
+// Characters per cell in Excel
+const MAX_CELL_LENGTH = 32767;
+
+// Uncompressed sheet XML deflated at a time
+const CHUNK_SIZE = 64 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Continue a CRC-32 over more data
+ * @param {Buffer} data - Data
+ * @param {number} previous - CRC of the data before (0 to start)
+ * @returns {number} - CRC-32
+ */
+const crc32 = (data, previous = 0) => {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Get the column letters of a column index (0 is A, 26 is AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Build the XML of one cell
+ * @param {*} value - Cell value (number, boolean, Date or text)
+ * @param {string} ref - Cell reference (e.g. 'B3')
+ * @returns {string} - Cell XML ('' for empty cells)
+ */
+const cellXml = (value, ref) => {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text.slice(0, MAX_CELL_LENGTH))}</t></is></c>`;
+};
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+  + '</Relationships>';
+
+const SHEET_START = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+
+const SHEET_END = '</sheetData></worksheet>';
+
+/**
+ * Build the workbook XML
+ * @param {string} sheetName - Name of the sheet
+ * @returns {string}
+ */
+const workbookXml = sheetName => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+/**
+ * Get the MS-DOS time and date of a moment, as zip headers store them
+ * @param {Date} date - Moment
+ * @returns {Object} - { time, date }
+ */
+const dosDateTime = date => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Create a writer that streams a single-sheet XLSX workbook
+ * @param {Object} output - Writable stream to write the file to (not ended by the writer)
+ * @param {Object} options - Writer options
+ * @param {string} options.sheetName - Name of the sheet (default 'Sheet1')
+ * @returns {Object} - { addRow(values), end() }, both returning promises
+ */
+const createXlsxWriter = (output, options = {}) => {
+  const { sheetName = 'Sheet1' } = options;
+  const modified = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let sheet = null;
+  let pending = '';
+  let rows = 0;
+  let started = false;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    await writeChunk(output, buffer);
+  };
+
+  const startEntry = async (name) => {
+    const nameBuffer = Buffer.from(name);
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // sizes in a data descriptor, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    entries.push(entry);
+    await write(Buffer.concat([header, nameBuffer]));
+    return entry;
+  };
+
+  const writeEntryData = async (entry, data, final) => {
+    entry.crc = crc32(data, entry.crc);
+    entry.size += data.length;
+
+    // Each chunk is deflated on its own and sync-flushed, so the chunks join into one deflate stream
+    const compressed = zlib.deflateRawSync(data, {
+      finishFlush: final ? zlib.constants.Z_FINISH : zlib.constants.Z_SYNC_FLUSH,
+    });
+    entry.compressedSize += compressed.length;
+    await write(compressed);
+  };
+
+  const endEntry = async (entry) => {
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+  };
+
+  const addFile = async (name, content) => {
+    const entry = await startEntry(name);
+    await writeEntryData(entry, Buffer.from(content), true);
+    await endEntry(entry);
+  };
+
+  const start = async () => {
+    started = true;
+    await addFile('[Content_Types].xml', CONTENT_TYPES);
+    await addFile('_rels/.rels', ROOT_RELS);
+    await addFile('xl/workbook.xml', workbookXml(sheetName));
+    await addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+    sheet = await startEntry('xl/worksheets/sheet1.xml');
+    pending = SHEET_START;
+  };
+
+  /**
+   * Add a row to the sheet
+   * @param {Array} values - Cell values, in column order
+   * @returns {Promise<void>}
+   */
+  const addRow = async (values) => {
+    if (!started) {
+      await start();
+    }
+
+    if (rows >= MAX_ROWS) {
+      throw new Error(`XLSX sheets hold at most ${MAX_ROWS} rows`);
+    }
+
+    rows++;
+    pending += `<row r="${rows}">${values.map((value, index) => cellXml(value, `${columnName(index)}${rows}`)).join('')}</row>`;
+
+    if (pending.length >= CHUNK_SIZE) {
+      const chunk = Buffer.from(pending);
+      pending = '';
+      await writeEntryData(sheet, chunk, false);
+    }
+  };
+
+  /**
+   * Finish the sheet and write the zip directory
+   * @returns {Promise<number>} - Number of bytes written
+   */
+  const end = async () => {
+    if (!started) {
+      await start();
+    }
+
+    await writeEntryData(sheet, Buffer.from(`${pending}${SHEET_END}`), true);
+    pending = '';
+    await endEntry(sheet);
+
+    const directoryOffset = offset;
+    const directory = entries.map((entry) => {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0808, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(modified.time, 12);
+      header.writeUInt16LE(modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([header, entry.nameBuffer]);
+    });
+    await write(Buffer.concat(directory));
+
+    const directorySize = offset - directoryOffset;
+    const record = Buffer.alloc(22);
+    record.writeUInt32LE(0x06054b50, 0);
+    record.writeUInt16LE(entries.length, 8);
+    record.writeUInt16LE(entries.length, 10);
+    record.writeUInt32LE(directorySize, 12);
+    record.writeUInt32LE(directoryOffset, 16);
+    await write(record);
+
+    return offset;
+  };
+
+  return {
+    addRow,
+    end,
+  };
+};
+
+module.exports = {
+  MAX_ROWS,
+  crc32,
+  createXlsxWriter,
+};
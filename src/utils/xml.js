@@ -0,0 +1,23 @@
+/**
+ * XML helpers
+ * -----------
+ *
+ * Shared by the writers that build XML by hand: XLSX sheets and marketplace
+ * feeds.
+ */
+
+/**
+ * Escape text for XML, dropping characters XML can't hold
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const escapeXml = text => String(text)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  escapeXml,
+};
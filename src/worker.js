@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { logger } = require('./utils/logger');
+const config = require('./config');
+const ScraperWorker = require('./workers/scraper-worker');
+
+/**
+ * Scraper worker process
+ * Usage:
+ *   node src/worker.js [source1,source2]
+ */
+
+const sources = process.argv[2] ? process.argv[2].split(',').map(s => s.trim()).filter(Boolean) : [];
+const worker = new ScraperWorker({ sources });
+
+// Finish the current job before exiting; an unfinished job is requeued once its lease expires
+const shutdown = (signal) => {
+  logger.info(`Received ${signal}, stopping worker after the current job`);
+  worker.stop();
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
+
+// Connect to MongoDB
+mongoose
+  .connect(config.database.uri, config.database.options)
+  .then(async () => {
+    logger.info('Connected to MongoDB');
+
+    await worker.start();
+
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch((error) => {
+    logger.error(`Worker error: ${error.message}`);
+    process.exit(1);
+  });
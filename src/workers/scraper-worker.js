@@ -0,0 +1,141 @@
+const os = require('os');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { delay } = require('../utils/scraper-utils');
+const scraperRegistry = require('../scrapers');
+const queueService = require('../services/queue');
+const storageService = require('../services/storage');
+
+/**
+ * Worker that pulls scraper jobs from the MongoDB queue and runs them
+ * Holds a lease on each job while it runs and renews it with a heartbeat,
+ * so jobs left behind by a crashed worker are picked up again.
+ * Up to `concurrency` jobs run at once, each with its own scraper instance.
+ */
+class ScraperWorker {
+  /**
+   * @param {Object} options - Worker options
+   * @param {string} options.workerId - Worker ID (defaults to hostname:pid)
+   * @param {string[]} options.sources - Only run jobs for these sources (defaults to all)
+   * @param {number} options.concurrency - Maximum jobs to run at once (defaults to config)
+   */
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.sources = options.sources || [];
+    this.concurrency = options.concurrency || config.queue.workerConcurrency;
+    this.pollIntervalMs = config.queue.pollIntervalMs;
+    this.heartbeatMs = config.queue.heartbeatMs;
+    this.running = false;
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Start polling the queue until stop() is called
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.running = true;
+    logger.info(`Worker ${this.workerId} started (sources: ${this.sources.length > 0 ? this.sources.join(', ') : 'all'}, concurrency: ${this.concurrency})`);
+
+    while (this.running) {
+      try {
+        await queueService.requeueExpiredJobs();
+
+        if (this.activeJobs.size >= this.concurrency) {
+          await delay(this.pollIntervalMs);
+          continue;
+        }
+
+        const job = await queueService.claimNextJob(this.workerId, { sources: this.sources });
+
+        if (!job) {
+          await delay(this.pollIntervalMs);
+          continue;
+        }
+
+        const run = this.runJob(job)
+          .catch(error => logger.error(`Worker ${this.workerId} could not finish job ${job.jobId}: ${error.message}`))
+          .finally(() => this.activeJobs.delete(job.jobId));
+        this.activeJobs.set(job.jobId, run);
+      } catch (error) {
+        logger.error(`Worker ${this.workerId} loop error: ${error.message}`);
+        await delay(this.pollIntervalMs);
+      }
+    }
+
+    // Let running jobs finish before exiting
+    if (this.activeJobs.size > 0) {
+      logger.info(`Worker ${this.workerId} waiting for ${this.activeJobs.size} running jobs`);
+      await Promise.all(this.activeJobs.values());
+    }
+
+    logger.info(`Worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Stop claiming jobs and exit once the running jobs finish
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Run a claimed job, renewing its lease until it finishes
+   * @param {Object} job - The claimed ScraperJob document
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const { jobId, source, query, options = {} } = job;
+    let scraper = null;
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const rateLimit = scraper ? scraper.getRateLimitStatus() : null;
+        const renewed = await queueService.renewLease(jobId, this.workerId, rateLimit ? { rateLimit } : {});
+        // The job may have been requeued for another worker, so stop writing to it
+        if (!renewed && scraper) {
+          logger.warn(`Worker ${this.workerId} lost the lease on job ${jobId}, stopping after the current batch`);
+          scraper.requestStop('lease lost');
+        }
+      } catch (error) {
+        logger.error(`Heartbeat failed for job ${jobId}: ${error.message}`);
+      }
+    }, this.heartbeatMs);
+
+    try {
+      // Fresh instance per job so concurrent jobs don't share state
+      scraper = scraperRegistry.createScraper(source);
+
+      if (!scraper) {
+        throw new Error(`Unknown scraper source: ${source}`);
+      }
+
+      if (job.type === 'remap') {
+        logger.info(`Worker ${this.workerId} re-mapping archived ${source} products for job ${jobId}`);
+        await scraper.remap({ ...options, jobId });
+      } else {
+        logger.info(`Worker ${this.workerId} running ${source} job ${jobId} with query: ${query}`);
+        await scraper.scrape(query, { ...options, jobId });
+      }
+      logger.info(`Worker ${this.workerId} finished job ${jobId}`);
+    } catch (error) {
+      logger.error(`Worker ${this.workerId} job ${jobId} failed: ${error.message}`);
+
+      // The scraper marks its own failures, this covers errors before it starts.
+      // A job another worker took over, or that is being cancelled or paused, is left alone.
+      await storageService.updateScraperJob(jobId, {
+        status: 'failed',
+        endTime: new Date(),
+        error: {
+          message: error.message,
+          stack: error.stack,
+        },
+      }, { workerId: this.workerId, status: 'running' });
+    } finally {
+      clearInterval(heartbeat);
+      await queueService.releaseJob(jobId, this.workerId);
+    }
+  }
+}
+
+module.exports = ScraperWorker;
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const database = require('./support/database');
+const config = require('../src/config');
+const { Part } = require('../src/models');
+const exportService = require('../src/services/exports');
+const { createXlsxWriter, crc32 } = require('../src/utils/xlsx');
+
+/**
+ * Collect everything written to a stream
+ * @param {Function} write - Writes to the stream it is given
+ * @returns {Promise<Buffer>}
+ */
+const capture = async (write) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  await write(output);
+  output.end();
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Read the files of a zip from its central directory
+ * @param {Buffer} zip - Zip file
+ * @returns {Object} - Contents by file name
+ */
+const readZip = (zip) => {
+  const record = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(record + 10);
+  let position = zip.readUInt32LE(record + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const offset = zip.readUInt32LE(position + 42);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26);
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+    expect(crc32(content)).toBe(crc);
+
+    files[name] = content.toString();
+    position += 46 + nameLength;
+  }
+
+  return files;
+};
+
+const part = {
+  partNumber: 'LKQ-ALT-00001',
+  name: 'Alternator 12V 150A',
+  source: 'lkq',
+  price: 103,
+  inStock: true,
+  compatibility: [
+    { year: '2013', make: 'Ford', model: 'F-150', trim: 'XLT' },
+    { year: '2014', make: 'Ford', model: 'F-150' },
+  ],
+  images: [{ url: 'https://img.example/1.jpg', isPrimary: true }, { url: 'https://img.example/2.jpg' }],
+  metadata: { yardCity: 'Chicago', yardState: 'IL' },
+  specifications: { amperage: { value: 150, unit: 'A' } },
+  lastSeenAt: new Date('2024-03-01T00:00:00Z'),
+};
+
+describe('Part export formatting', () => {
+  it('flattens compatibility, images, metadata and specifications into single cells', () => {
+    expect(exportService.toRow(part, ['compatibility', 'images', 'metadata', 'specifications.amperage', 'lastSeenAt']))
+      .toEqual([
+        '2013 Ford F-150 XLT; 2014 Ford F-150',
+        'https://img.example/1.jpg; https://img.example/2.jpg',
+        'yardCity: Chicago; yardState: IL',
+        '150 A',
+        '2024-03-01T00:00:00.000Z',
+      ]);
+    expect(exportService.flattenValue(undefined, 'quantity')).toBeNull();
+  });
+
+  it('keeps NDJSON records nested unless flattened', () => {
+    expect(exportService.toRecord(part, ['partNumber', 'metadata.yardState'], false))
+      .toEqual({ partNumber: 'LKQ-ALT-00001', metadata: { yardState: 'IL' } });
+    expect(exportService.toRecord(part, ['partNumber', 'images'], true))
+      .toEqual({ partNumber: 'LKQ-ALT-00001', images: 'https://img.example/1.jpg; https://img.example/2.jpg' });
+  });
+
+  it('quotes CSV cells and defuses formulas', () => {
+    expect(exportService.csvCell('Alternator, 12V "HD"')).toBe('"Alternator, 12V ""HD"""');
+    expect(exportService.csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(exportService.csvCell(-5)).toBe('-5');
+    expect(exportService.csvCell(null)).toBe('');
+  });
+
+  it('checks export options', () => {
+    expect(exportService.parseExportOptions({ format: 'xlsx', columns: 'partNumber, metadata.yardCity' }))
+      .toEqual({ options: { format: 'xlsx', columns: ['partNumber', 'metadata.yardCity'], flatten: false } });
+    expect(exportService.parseExportOptions({ format: 'pdf' }).error).toMatch(/Format must be one of/);
+    expect(exportService.parseExportOptions({ columns: 'price,$where' }).error).toBe('Invalid column: $where');
+  });
+
+  it('writes XLSX workbooks a zip reader can open', async () => {
+    const zip = await capture(async (output) => {
+      const writer = createXlsxWriter(output, { sheetName: 'Parts' });
+      await writer.addRow(['partNumber', 'price', 'inStock']);
+      await writer.addRow(['LKQ-ALT-00001', 103.5, true]);
+      await writer.addRow(['<Alternator & "Starter">', null, false]);
+      await writer.end();
+    });
+
+    const files = readZip(zip);
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml',
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Parts"');
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="B2"><v>103.5</v></c><c r="C2" t="b"><v>1</v></c>');
+    expect(sheet).toContain('&lt;Alternator &amp; &quot;Starter&quot;&gt;');
+    expect(sheet).not.toContain('r="B3"');
+  });
+});
+
+describe('Part exports', () => {
+  let exportsDir;
+
+  beforeAll(async () => {
+    await database.connect();
+    exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    config.exports.dir = exportsDir;
+  });
+
+  beforeEach(async () => {
+    await Part.create([
+      { ...part, priceAmount: 10300 },
+      { partNumber: 'LKQ-STR-00001', name: 'Starter', source: 'lkq', category: 'Starter', price: 80, priceAmount: 8000 },
+      { partNumber: 'LKQ-ALT-00002', name: 'Alternator', source: 'lkq', delisted: true },
+    ]);
+  });
+
+  afterEach(async () => {
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    fs.rmSync(exportsDir, { recursive: true, force: true });
+    await database.disconnect();
+  });
+
+  it('streams the parts matching the filters as CSV', async () => {
+    let rows;
+    const csv = await capture(async (output) => {
+      rows = await exportService.writeParts({ priceMin: 90 }, { format: 'csv', columns: ['partNumber', 'compatibility'] }, output);
+    });
+
+    expect(rows).toBe(1);
+    expect(csv.toString()).toBe('partNumber,compatibility\r\nLKQ-ALT-00001,2013 Ford F-150 XLT; 2014 Ford F-150\r\n');
+  });
+
+  it('writes an export job to the file store', async () => {
+    const job = await exportService.startExportJob({ format: 'ndjson', columns: ['partNumber'], filters: {} });
+    expect(job.status).toBe('pending');
+
+    // The job runs in the background
+    let completed = job;
+    while (['pending', 'running'].includes(completed.status)) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      completed = await exportService.getExportJob(job.exportId);
+    }
+    expect(completed).toMatchObject({ status: 'completed', rows: 2, fileName: `parts-${job.exportId}.ndjson` });
+
+    const lines = fs.readFileSync(exportService.getExportFilePath(completed), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      { partNumber: 'LKQ-ALT-00001' },
+      { partNumber: 'LKQ-STR-00001' },
+    ]);
+
+    expect(await exportService.deleteExportJob(job.exportId)).toBe(true);
+    expect(fs.existsSync(exportService.getExportFilePath(completed))).toBe(false);
+  });
+});
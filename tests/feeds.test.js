@@ -0,0 +1,140 @@
+const { PassThrough } = require('stream');
+const database = require('./support/database');
+const { Part, SourceVehicle } = require('../src/models');
+const feedService = require('../src/services/feeds');
+
+const part = {
+  source: 'lkq',
+  partNumber: 'LKQ-ALT-00001',
+  name: 'Alternator 12V 150A',
+  description: 'Used alternator, 90 day warranty',
+  priceAmount: 10000,
+  currency: 'USD',
+  inStock: true,
+  quantity: 1,
+  condition: 'used',
+  category: 'Alternator',
+  categoryPath: 'Engine Compartment|Alternator',
+  images: [{ url: 'https://img.example/1.jpg' }, { url: 'https://img.example/2.jpg' }],
+  fitment: [{ make: 'Ford', model: 'F-150', yearFrom: 2011, yearTo: 2012 }],
+  specifications: { oeNumber: { value: 'BL3T-10300-CA' } },
+  interchange: ['601-01234'],
+  metadata: { sourceVehicleYear: 2013, sourceVehicleMake: 'Ford', sourceVehicleModel: 'F-150' },
+};
+
+const googleFeed = {
+  name: 'google-alternators',
+  channel: 'google',
+  format: 'xml',
+  markupRules: [
+    { category: 'alternator', priceMax: 50, percent: 50 },
+    { category: 'alternator', percent: 20, fixed: 5 },
+  ],
+  linkTemplate: 'https://shop.example.com/parts/{source}/{partNumber}',
+};
+
+describe('Feed items', () => {
+  it('renders titles from the source vehicle and drops missing values', () => {
+    expect(feedService.renderTemplate('{vehicle.year} {vehicle.make} {vehicle.model} {name}', {
+      ...part,
+      vehicle: { make: 'Ford', model: 'F-150' },
+    })).toBe('Ford F-150 Alternator 12V 150A');
+  });
+
+  it('applies the first matching markup rule', () => {
+    expect(feedService.applyMarkup(part, googleFeed.markupRules)).toBe(12500);
+    expect(feedService.applyMarkup({ ...part, priceAmount: 4000 }, googleFeed.markupRules)).toBe(6000);
+    expect(feedService.applyMarkup({ ...part, category: 'Starter' }, googleFeed.markupRules)).toBe(10000);
+    expect(feedService.applyMarkup({ ...part, priceAmount: undefined }, googleFeed.markupRules)).toBeNull();
+  });
+
+  it('builds channel items and finds the attributes they miss', () => {
+    const item = feedService.buildItem(googleFeed, part);
+
+    expect(item).toMatchObject({
+      id: 'lkq-LKQ-ALT-00001',
+      title: '2013 Ford F-150 Alternator 12V 150A',
+      link: 'https://shop.example.com/parts/lkq/LKQ-ALT-00001',
+      price: 12500,
+      condition: 'used',
+      brand: 'Ford',
+      mpn: 'BL3T-10300-CA',
+      productType: 'Engine Compartment > Alternator',
+    });
+    expect(feedService.findMissingAttributes(item, 'google')).toEqual([]);
+
+    const ebayItem = feedService.buildItem({ ...googleFeed, channel: 'ebay' }, { ...part, images: [], condition: 'unknown' });
+    expect(ebayItem.compatibility).toEqual([
+      { year: 2011, make: 'Ford', model: 'F-150', trim: undefined },
+      { year: 2012, make: 'Ford', model: 'F-150', trim: undefined },
+    ]);
+    expect(feedService.findMissingAttributes(ebayItem, 'ebay')).toEqual(['images', 'condition']);
+  });
+
+  it('checks feed definitions', () => {
+    expect(feedService.parseFeed({ ...googleFeed, filters: { category: 'Alternator', inStock: false } }).feed)
+      .toMatchObject({ filters: { category: 'Alternator' }, markupRules: [{ percent: 50, fixed: 0 }, { percent: 20, fixed: 5 }] });
+    expect(feedService.parseFeed({ name: 'ebay', channel: 'ebay', format: 'tsv' }).error)
+      .toBe('eBay inventory feeds can be rendered as: xml');
+    expect(feedService.parseFeed({ name: 'google', channel: 'google' }).error)
+      .toBe('Google Merchant Center feeds need a link template');
+    expect(feedService.parseFeed({ ...googleFeed, markupRules: [{ percent: '20' }] }).error)
+      .toMatch(/Markup rules/);
+  });
+});
+
+describe('Feeds', () => {
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    const vehicle = await SourceVehicle.create({
+      source: 'lkq', vehicleKey: 'Chicago/ALT-V1', year: 2014, make: 'Ford', model: 'F-150', trim: 'XLT',
+    });
+
+    await Part.create([
+      { ...part, sourceVehicle: vehicle._id },
+      { ...part, partNumber: 'LKQ-ALT-00002', images: [] },
+      { ...part, partNumber: 'LKQ-ALT-00003', inStock: false },
+      { ...part, partNumber: 'LKQ-STR-00001', category: 'Starter' },
+    ]);
+  });
+
+  afterEach(async () => {
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('renders the in stock parts that have every required attribute', async () => {
+    const { feed } = feedService.parseFeed({ ...googleFeed, filters: { category: 'Alternator' } });
+    await feedService.saveFeed(feed);
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const result = await feedService.writeFeed(await feedService.getFeed(feed.name), output);
+    const xml = Buffer.concat(chunks).toString();
+
+    expect(result).toEqual({ items: 1, skipped: 1 });
+    expect(xml).toContain('<g:title>2014 Ford F-150 Alternator 12V 150A</g:title>');
+    expect(xml).toContain('<g:price>125.00 USD</g:price>');
+    expect(xml).not.toContain('LKQ-ALT-00002');
+    expect(xml.trim().endsWith('</channel></rss>')).toBe(true);
+  });
+
+  it('reports the items missing required attributes', async () => {
+    const { feed } = feedService.parseFeed({ ...googleFeed, filters: { category: 'Alternator' } });
+
+    const report = await feedService.getFeedReport(feed);
+
+    expect(report).toMatchObject({ total: 2, valid: 1, invalid: 1, missing: { images: 1 } });
+    expect(report.items).toEqual([
+      expect.objectContaining({ id: 'lkq-LKQ-ALT-00002', missing: ['images'] }),
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const { normaliseName, fitmentKey, normaliseFitment, buildFitmentQuery } = require('../src/utils/fitment');
+const { mapProductToPart } = require('../src/scrapers/lkq/mapper');
+
+describe('Fitment normalisation', () => {
+  it('normalises the casing of makes and models', () => {
+    expect(normaliseName('FORD')).toBe('Ford');
+    expect(normaliseName(' ford  ')).toBe('Ford');
+    expect(normaliseName('bmw')).toBe('BMW');
+    expect(normaliseName('CR-V')).toBe('CR-V');
+    expect(normaliseName('GRAND CHEROKEE')).toBe('Grand Cherokee');
+    expect(normaliseName('f-150')).toBe('F-150');
+    expect(normaliseName('Mazda3')).toBe('Mazda3');
+  });
+
+  it('matches names whatever their case', () => {
+    expect(fitmentKey('Mazda3')).toBe('mazda3');
+    expect(fitmentKey(' MAZDA3 ')).toBe('mazda3');
+    expect(fitmentKey('McLaren')).toBe(fitmentKey('MCLAREN'));
+  });
+
+  it('collapses consecutive years into ranges', () => {
+    const fitment = normaliseFitment([
+      { make: 'FORD', model: 'F-150', year: '2011' },
+      { make: 'Ford', model: 'F-150', year: 2012 },
+      { make: 'ford', model: 'f-150', year: '2013' },
+      { make: 'Ford', model: 'F-150', year: '2016' },
+      { make: 'Ford', model: 'F-150', year: '2012' },
+      { make: 'Ford', model: 'F-150', year: '2013', engine: '3.5l v6' },
+    ]);
+
+    const keys = { makeKey: 'ford', modelKey: 'f-150' };
+    expect(fitment).toEqual([
+      { make: 'Ford', model: 'F-150', ...keys, trim: '', engine: '', drivetrain: '', notes: '', yearFrom: 2011, yearTo: 2013 },
+      { make: 'Ford', model: 'F-150', ...keys, trim: '', engine: '3.5L V6', drivetrain: '', notes: '', yearFrom: 2013, yearTo: 2013 },
+      { make: 'Ford', model: 'F-150', ...keys, trim: '', engine: '', drivetrain: '', notes: '', yearFrom: 2016, yearTo: 2016 },
+    ]);
+  });
+
+  it('expands year ranges and keeps vehicles without a usable year', () => {
+    expect(normaliseFitment([{ make: 'Honda', model: 'Civic', year: '2006-2008' }])[0])
+      .toMatchObject({ yearFrom: 2006, yearTo: 2008 });
+    expect(normaliseFitment([{ make: 'Honda', model: 'Civic', year: 'All' }])[0])
+      .toMatchObject({ yearFrom: null, yearTo: null });
+  });
+
+  it('builds a query for parts fitting a vehicle', () => {
+    expect(buildFitmentQuery({ make: 'FORD', model: 'f-150', year: '2014' })).toEqual({
+      fitment: { $elemMatch: { makeKey: 'ford', modelKey: 'f-150', yearFrom: { $lte: 2014 }, yearTo: { $gte: 2014 } } },
+    });
+  });
+
+  it('maps LKQ fitment rows into ranges', () => {
+    const part = mapProductToPart({
+      number: 'LKQ-ALT-00001',
+      description: 'Alternator',
+      fitmentJson: JSON.stringify([
+        { SystemMake: 'FORD', SystemModel: 'F-150', SystemYear: '2013' },
+        { SystemMake: 'FORD', SystemModel: 'F-150', SystemYear: '2014' },
+      ]),
+    });
+
+    expect(part.fitment).toEqual([
+      expect.objectContaining({ make: 'Ford', model: 'F-150', yearFrom: 2013, yearTo: 2014 }),
+    ]);
+  });
+});
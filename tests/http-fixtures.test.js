@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const httpFixtures = require('../src/utils/http-fixtures');
+
+describe('HTTP fixtures', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('names fixtures by method, path and query regardless of host and parameter order', () => {
+    const live = httpFixtures.getFixtureName('GET', 'https://www.lkqonline.com/api/catalog/0/product?skip=0&take=10&action=GetSearchResults');
+    const local = httpFixtures.getFixtureName('get', 'http://127.0.0.1:4010/api/catalog/0/product?action=GetSearchResults&take=10&skip=0');
+    const nextPage = httpFixtures.getFixtureName('GET', 'https://www.lkqonline.com/api/catalog/0/product?skip=10&take=10&action=GetSearchResults');
+
+    expect(live).toBe(local);
+    expect(live).not.toBe(nextPage);
+    expect(live).toMatch(/^GetSearchResults-[0-9a-f]{16}\.json$/);
+  });
+
+  it('redacts cookies and security tokens but keeps other headers', () => {
+    const headers = httpFixtures.sanitizeRequestHeaders({
+      Cookie: 'session=secret',
+      'XvPW5hYbpt-a': 'token',
+      Accept: 'application/json',
+    });
+
+    expect(headers).toEqual({
+      Cookie: httpFixtures.REDACTED,
+      'XvPW5hYbpt-a': httpFixtures.REDACTED,
+      Accept: 'application/json',
+    });
+  });
+
+  it('replays a recorded response', () => {
+    const request = {
+      method: 'GET',
+      url: 'https://www.lkqonline.com/api/catalog/0/product?action=GetProductDetails&productId=ALT00001',
+      headers: { Cookie: 'session=secret' },
+    };
+    const response = {
+      status: 200,
+      headers: { 'content-type': 'application/json', 'set-cookie': ['session=rotated'] },
+      data: { productId: 'ALT00001' },
+    };
+
+    const file = httpFixtures.saveFixture(fixturesDir, request, response);
+
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('secret');
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('rotated');
+    expect(httpFixtures.loadFixture(fixturesDir, request)).toEqual({
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      data: { productId: 'ALT00001' },
+    });
+  });
+
+  it('fails clearly when no fixture was recorded', () => {
+    expect(() => httpFixtures.loadFixture(fixturesDir, {
+      method: 'GET',
+      url: 'https://www.lkqonline.com/api/catalog/0/product?action=GetSearchResults&skip=990',
+    })).toThrow(expect.objectContaining({ code: 'FIXTURE_MISSING' }));
+  });
+});
@@ -0,0 +1,24 @@
+const { normaliseInterchange, parseInterchange } = require('../src/utils/interchange');
+const { mapProductToPart } = require('../src/scrapers/lkq/mapper');
+
+describe('Interchange parsing', () => {
+  it('normalises casing and spacing', () => {
+    expect(normaliseInterchange(' 601-01234a ')).toBe('601-01234A');
+    expect(normaliseInterchange('601 - 01234')).toBe('601-01234');
+    expect(normaliseInterchange(null)).toBe('');
+  });
+
+  it('splits lists into distinct numbers', () => {
+    expect(parseInterchange('601-01234, 601-01235a; 601-01234')).toEqual(['601-01234', '601-01235A']);
+    expect(parseInterchange(['601-01234', '601-01236'])).toEqual(['601-01234', '601-01236']);
+    expect(parseInterchange('')).toEqual([]);
+    expect(parseInterchange(undefined)).toEqual([]);
+  });
+
+  it('maps the LKQ interchange value to the interchange array', () => {
+    const part = mapProductToPart({ number: 'LKQ-1', interchange: '601-01234,601-01235' });
+
+    expect(part.interchange).toEqual(['601-01234', '601-01235']);
+    expect(part.metadata.interchange).toBeUndefined();
+  });
+});
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('./support/database');
+const { createMockLkqServer } = require('./support/mock-lkq-server');
+const config = require('../src/config');
+const { Part, Credential, SourceVehicle, RawProduct } = require('../src/models');
+const storageService = require('../src/services/storage');
+const credentialService = require('../src/services/credentials');
+const vehicleService = require('../src/services/vehicles');
+const { createScraper } = require('../src/scrapers');
+
+const ALTERNATOR = 'Engine Compartment|Alternator';
+
+describe('LKQ scraper pipeline', () => {
+  let mock;
+  let jobCounter = 0;
+
+  /**
+   * Create a running job for the scraper to report into
+   * @param {Object} data - Extra job fields
+   * @returns {Promise<string>} - The job ID
+   */
+  const createJob = async (data = {}) => {
+    jobCounter++;
+    const jobId = `test-job-${jobCounter}`;
+
+    await storageService.createScraperJob({
+      jobId,
+      source: 'lkq',
+      query: ALTERNATOR,
+      status: 'running',
+      startTime: new Date(),
+      ...data,
+    });
+
+    return jobId;
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+    mock = createMockLkqServer();
+    config.scrapers.lkq.apiUrl = await mock.start();
+  });
+
+  afterEach(async () => {
+    await database.clear();
+    mock.requests.length = 0;
+    config.scrapers.lkq.http.mode = 'live';
+  });
+
+  afterAll(async () => {
+    if (mock) {
+      await mock.stop();
+    }
+    await database.disconnect();
+  });
+
+  it('fetches every page of a category, maps the products and stores them', async () => {
+    const jobId = await createJob();
+    const scraper = createScraper('lkq');
+
+    const products = await scraper.scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: false });
+
+    expect(products).toHaveLength(25);
+    expect(await Part.countDocuments({ source: 'lkq' })).toBe(25);
+
+    const pages = mock.requests
+      .filter(request => request.query.category === ALTERNATOR && request.query.take === '10')
+      .map(request => request.query.skip);
+    expect(pages).toEqual(['0', '10', '20']);
+
+    const part = await Part.findOne({ partNumber: 'LKQ-ALT-00003' });
+    expect(part.price).toBe(103);
+    expect(part.priceAmount).toBe(10300);
+    expect(part.category).toBe('Alternator');
+    expect(part.specifications.get('amperage')).toEqual({ value: 150, unit: 'A' });
+    expect(part.condition).toBe('used');
+    expect(part.inStock).toBe(true);
+    expect(part.compatibility[0]).toMatchObject({ make: 'Ford', model: 'F-150', year: '2013' });
+    expect(part.metadata.get('yardState')).toBe('IL');
+
+    const job = await storageService.getScraperJob(jobId);
+    expect(job.status).toBe('completed');
+    expect(job.itemsScraped).toBe(25);
+    expect(job.checkpoints[0]).toMatchObject({ target: ALTERNATOR, skip: 30, completed: true });
+  });
+
+  it('merges product details into the stored parts', async () => {
+    const jobId = await createJob();
+    const scraper = createScraper('lkq');
+
+    await scraper.scrape(ALTERNATOR, { jobId, batchSize: 10, maxProducts: 5, fetchDetails: true });
+
+    const detailRequests = mock.requests.filter(request => request.query.action === 'GetProductDetails');
+    expect(detailRequests).toHaveLength(5);
+
+    const part = await Part.findOne({ partNumber: 'LKQ-ALT-00001' });
+    expect(part.otherParams.details).toMatchObject({ productId: 'ALT00001', warranty: '90 Day' });
+  });
+
+  it('stores each product once when fetching details', async () => {
+    const jobId = await createJob();
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: true });
+
+    const job = await storageService.getScraperJob(jobId);
+    expect(job.stats).toMatchObject({ created: 25, updated: 0, unchanged: 0, failed: 0 });
+    expect(job.itemsScraped).toBe(25);
+  });
+
+  it('quarantines each rejected product once when fetching details', async () => {
+    // A product without a name fails validation
+    const products = mock.products.get(ALTERNATOR);
+    const original = products[1];
+    products[1] = { ...original, description: '', descriptionRetail: '' };
+
+    try {
+      const jobId = await createJob();
+      await createScraper('lkq').scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: true });
+
+      const job = await storageService.getScraperJob(jobId);
+      expect(job.stats).toMatchObject({ created: 24, quarantined: 1 });
+      expect(job.itemsScraped).toBe(24);
+
+      const { quarantined } = await storageService.listQuarantinedParts(jobId);
+      expect(quarantined).toHaveLength(1);
+      expect(quarantined[0]).toMatchObject({ partNumber: 'LKQ-ALT-00002' });
+    } finally {
+      products[1] = original;
+    }
+  });
+
+  it('links parts to the donor vehicles they were pulled from', async () => {
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, fetchDetails: false });
+
+    expect(await SourceVehicle.countDocuments()).toBe(5);
+
+    const part = await Part.findOne({ partNumber: 'LKQ-ALT-00003' });
+    const vehicle = await vehicleService.getVehicle(part.sourceVehicle.toString());
+    expect(vehicle).toMatchObject({ vehicleKey: 'Chicago/ALT-V1', stockNumber: 'ALT-V1', make: 'Ford', yardState: 'IL' });
+    expect(vehicle.arrivalDate).toEqual(new Date('2024-03-01T00:00:00Z'));
+
+    const parts = await vehicleService.listVehicleParts(vehicle._id);
+    expect(parts.map(vehiclePart => vehiclePart.partNumber)).toEqual([
+      'LKQ-ALT-00001', 'LKQ-ALT-00002', 'LKQ-ALT-00003', 'LKQ-ALT-00004', 'LKQ-ALT-00005',
+    ]);
+  });
+
+  it('leaves unchanged parts alone when a category is scraped again', async () => {
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, fetchDetails: false });
+    const before = await Part.findOne({ partNumber: 'LKQ-ALT-00001' });
+
+    const jobId = await createJob();
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: false });
+
+    const job = await storageService.getScraperJob(jobId);
+    expect(job.stats).toMatchObject({ created: 0, updated: 0, unchanged: 25, failed: 0 });
+    expect(job.itemsScraped).toBe(25);
+
+    const after = await Part.findOne({ partNumber: 'LKQ-ALT-00001' });
+    expect(after.updatedAt).toEqual(before.updatedAt);
+  });
+
+  it('delists parts a full crawl of their category no longer returns', async () => {
+    const soldOut = {
+      partNumber: 'LKQ-ALT-09999',
+      name: 'Alternator',
+      source: 'lkq',
+      category: 'Alternator',
+      categoryPath: ALTERNATOR,
+      inStock: true,
+    };
+    await Part.create(soldOut);
+
+    // A truncated crawl can't tell what is gone
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, maxProducts: 15, fetchDetails: false });
+    expect((await Part.findOne({ partNumber: soldOut.partNumber })).delisted).toBe(false);
+
+    const jobId = await createJob();
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: false });
+
+    const part = await Part.findOne({ partNumber: soldOut.partNumber });
+    expect(part.delisted).toBe(true);
+    expect(part.inStock).toBe(false);
+    expect(part.delistedAt).toBeInstanceOf(Date);
+    expect(await Part.countDocuments({ delisted: true })).toBe(1);
+    expect((await storageService.getScraperJob(jobId)).stats.delisted).toBe(1);
+  });
+
+  it('does not delist parts that were quarantined or seen by another job during the crawl', async () => {
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, fetchDetails: false });
+
+    // Seen by another job crawling the same category meanwhile
+    const seenElsewhere = {
+      partNumber: 'LKQ-ALT-09998',
+      name: 'Alternator',
+      source: 'lkq',
+      category: 'Alternator',
+      categoryPath: ALTERNATOR,
+      inStock: true,
+      lastSeenAt: new Date(Date.now() + 60000),
+      lastSeenJobId: 'other-job',
+    };
+    await Part.create(seenElsewhere);
+
+    // A product without a name fails validation
+    const products = mock.products.get(ALTERNATOR);
+    const original = products[1];
+    products[1] = { ...original, description: '', descriptionRetail: '' };
+
+    try {
+      const jobId = await createJob();
+      await createScraper('lkq').scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: false });
+
+      expect((await storageService.getScraperJob(jobId)).stats).toMatchObject({ quarantined: 1, delisted: 0 });
+      expect(await Part.findOne({ partNumber: 'LKQ-ALT-00002' })).toMatchObject({ delisted: false });
+      expect((await Part.findOne({ partNumber: seenElsewhere.partNumber })).delisted).toBe(false);
+    } finally {
+      products[1] = original;
+    }
+  });
+
+  it('re-maps archived products without requests to LKQ', async () => {
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, fetchDetails: false });
+    await Part.updateOne({ partNumber: 'LKQ-ALT-00003' }, { $set: { price: 1, priceAmount: 100 } });
+    const requestsBeforeRemap = mock.requests.length;
+
+    const jobId = await createJob({ type: 'remap', query: 'remap' });
+    const remapped = await createScraper('lkq').remap({ jobId, batchSize: 10 });
+
+    expect(remapped).toBe(25);
+    expect(mock.requests.length).toBe(requestsBeforeRemap);
+    expect((await Part.findOne({ partNumber: 'LKQ-ALT-00003' })).priceAmount).toBe(10300);
+
+    const job = await storageService.getScraperJob(jobId);
+    expect(job.status).toBe('completed');
+    expect(job.stats).toMatchObject({ updated: 1, unchanged: 24 });
+  });
+
+  it('keeps only the newest archived copies of each product', async () => {
+    const { keepPerProduct } = config.archive;
+    config.archive.keepPerProduct = 2;
+
+    try {
+      const jobIds = [];
+      for (let i = 0; i < 3; i++) {
+        jobIds.push(await createJob());
+        await createScraper('lkq').scrape(ALTERNATOR, { jobId: jobIds[i], batchSize: 10, fetchDetails: false });
+      }
+
+      expect(await RawProduct.countDocuments()).toBe(50);
+      expect(await RawProduct.countDocuments({ jobId: jobIds[0] })).toBe(0);
+      expect(await RawProduct.countDocuments({ jobId: jobIds[2] })).toBe(25);
+    } finally {
+      config.archive.keepPerProduct = keepPerProduct;
+    }
+  });
+
+  it('stops at maxProducts', async () => {
+    const jobId = await createJob();
+    const scraper = createScraper('lkq');
+
+    const products = await scraper.scrape(ALTERNATOR, { jobId, batchSize: 10, maxProducts: 15, fetchDetails: false });
+
+    expect(products).toHaveLength(15);
+    expect(await Part.countDocuments()).toBe(15);
+  });
+
+  it('resumes a category from its checkpoint', async () => {
+    const jobId = await createJob();
+    await storageService.saveJobCheckpoint(jobId, {
+      target: ALTERNATOR,
+      type: 'category',
+      skip: 20,
+      take: 10,
+      totalCount: 25,
+      productsFetched: 20,
+      completed: false,
+    });
+
+    const scraper = createScraper('lkq');
+    const products = await scraper.scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: false });
+
+    expect(products).toHaveLength(5);
+    expect(await Part.findOne({ partNumber: 'LKQ-ALT-00021' })).not.toBeNull();
+    expect(await Part.findOne({ partNumber: 'LKQ-ALT-00001' })).toBeNull();
+  });
+
+  it('keeps a pause or cancel requested after the last batch instead of completing the job', async () => {
+    const pausedJobId = await createJob({ status: 'paused' });
+    const paused = createScraper('lkq');
+    paused.setJobId(pausedJobId);
+
+    expect(await paused.markCompleted()).toBe(false);
+    expect((await storageService.getScraperJob(pausedJobId)).status).toBe('paused');
+
+    const cancelledJobId = await createJob({ status: 'cancelling' });
+    const cancelled = createScraper('lkq');
+    cancelled.setJobId(cancelledJobId);
+
+    expect(await cancelled.markCompleted()).toBe(false);
+    expect((await storageService.getScraperJob(cancelledJobId)).status).toBe('cancelled');
+  });
+
+  describe('when LKQ rejects the credentials', () => {
+    let older;
+    let newer;
+
+    beforeEach(async () => {
+      older = await credentialService.saveCredential('lkq', {
+        cookies: 'session=older',
+        capturedAt: new Date(Date.now() - 60000),
+      });
+      newer = await credentialService.saveCredential('lkq', {
+        cookies: 'session=newer',
+        capturedAt: new Date(),
+      });
+    });
+
+    it.each([
+      ['an HTML challenge page', 'challenge'],
+      ['an empty 400', 'badRequest'],
+    ])('expires the set on %s and retries with the next one', async (description, failure) => {
+      const jobId = await createJob();
+      const scraper = createScraper('lkq');
+
+      // The first request of the job is rejected
+      mock.inject(failure);
+      const products = await scraper.scrape(ALTERNATOR, { jobId, batchSize: 10, fetchDetails: false });
+
+      expect(products).toHaveLength(25);
+      expect((await Credential.findById(newer._id)).status).toBe('expired');
+      expect((await Credential.findById(older._id)).status).toBe('active');
+
+      const lastRequest = mock.requests[mock.requests.length - 1];
+      expect(lastRequest.headers.cookie).toBe('session=older');
+    });
+  });
+
+  it('records sanitized fixtures and replays them without the network', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lkq-fixtures-'));
+    await credentialService.saveCredential('lkq', { cookies: 'session=secret-cookie' });
+
+    config.scrapers.lkq.http.fixturesDir = fixturesDir;
+    config.scrapers.lkq.http.mode = 'record';
+    await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, fetchDetails: false });
+
+    const fixtures = fs.readdirSync(fixturesDir);
+    expect(fixtures.length).toBeGreaterThan(0);
+    fixtures.forEach((file) => {
+      const content = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+      expect(content).not.toContain('secret-cookie');
+      expect(content).not.toContain(config.scrapers.lkq.headers['XvPW5hYbpt-c']);
+    });
+
+    await Part.deleteMany({});
+    const requestsBeforeReplay = mock.requests.length;
+
+    config.scrapers.lkq.http.mode = 'replay';
+    const products = await createScraper('lkq').scrape(ALTERNATOR, { jobId: await createJob(), batchSize: 10, fetchDetails: false });
+
+    expect(products).toHaveLength(25);
+    expect(await Part.countDocuments()).toBe(25);
+    expect(mock.requests.length).toBe(requestsBeforeReplay);
+
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+});
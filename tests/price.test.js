@@ -0,0 +1,46 @@
+const { parsePrice, toMajorUnits } = require('../src/utils/price');
+const { mapProductToPart } = require('../src/scrapers/lkq/mapper');
+
+describe('Price parsing', () => {
+  it('parses numbers and formatted strings into minor units', () => {
+    expect(parsePrice(103)).toEqual({ amount: 10300, currency: 'USD' });
+    expect(parsePrice('103.00')).toEqual({ amount: 10300, currency: 'USD' });
+    expect(parsePrice('$1,234.56')).toEqual({ amount: 123456, currency: 'USD' });
+    expect(parsePrice('CAD 99.5')).toEqual({ amount: 9950, currency: 'CAD' });
+    expect(parsePrice('0.1')).toEqual({ amount: 10, currency: 'USD' });
+  });
+
+  it('rejects values that are not prices', () => {
+    expect(parsePrice('Call for price')).toBeNull();
+    expect(parsePrice('1.2.3')).toBeNull();
+    expect(parsePrice(-5)).toBeNull();
+    expect(parsePrice(null)).toBeNull();
+  });
+
+  it('converts minor units back to a decimal', () => {
+    expect(toMajorUnits(123456)).toBe(1234.56);
+    expect(toMajorUnits(null)).toBeNull();
+  });
+});
+
+describe('LKQ price mapping', () => {
+  it('keeps the customer, list and core prices', () => {
+    const part = mapProductToPart({
+      number: 'LKQ-1',
+      pricing: [{ customerPrice: '89.99', listPrice: '$120.00', corePrice: 25 }],
+    });
+
+    expect(part.priceAmount).toBe(8999);
+    expect(part.price).toBe(89.99);
+    expect(part.prices).toEqual({ customer: 8999, list: 12000, core: 2500 });
+    expect(part.mappingWarnings).toEqual([]);
+  });
+
+  it('records a warning instead of storing an unparseable price', () => {
+    const part = mapProductToPart({ number: 'LKQ-2', price: 'Call' });
+
+    expect(part.priceAmount).toBeNull();
+    expect(part.price).toBeNull();
+    expect(part.mappingWarnings).toEqual([{ field: 'price', value: 'Call', message: 'Unparseable price' }]);
+  });
+});
@@ -0,0 +1,184 @@
+const database = require('./support/database');
+const config = require('../src/config');
+const storageService = require('../src/services/storage');
+const queueService = require('../src/services/queue');
+const { createScraper } = require('../src/scrapers');
+
+describe('Job queue', () => {
+  /**
+   * Create a job
+   * @param {string} jobId - The job ID
+   * @param {Object} data - Extra job fields (status, workerId, leaseExpiresAt, ...)
+   * @returns {Promise<Object>} - The job
+   */
+  const createJob = (jobId, data = {}) => storageService.createScraperJob({
+    jobId,
+    source: 'lkq',
+    query: 'Alternator',
+    ...data,
+  });
+
+  /**
+   * Fields of a job held by a worker
+   * @param {string} workerId - ID of the worker
+   * @param {number} leaseMs - Time left on the lease (negative when expired)
+   * @returns {Object} - Job fields
+   */
+  const heldBy = (workerId, leaseMs = 60000) => ({
+    workerId,
+    leaseExpiresAt: new Date(Date.now() + leaseMs),
+  });
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterEach(async () => {
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('requeues stopped jobs but not jobs a worker holds', async () => {
+    await createJob('failed-job', { status: 'failed' });
+    await createJob('claimed-job', { status: 'running', ...heldBy('worker-1') });
+    await createJob('flushing-job', { status: 'paused', workerId: 'worker-1' });
+
+    expect(await queueService.requeueJob('failed-job')).toMatchObject({ status: 'pending' });
+    expect(await queueService.requeueJob('claimed-job')).toBeNull();
+    expect(await queueService.requeueJob('flushing-job')).toBeNull();
+
+    expect(await storageService.getScraperJob('claimed-job')).toMatchObject({ status: 'running', workerId: 'worker-1' });
+  });
+
+  it('claims a stopped job by ID but not a job a worker holds', async () => {
+    await createJob('failed-job', { status: 'failed' });
+    await createJob('claimed-job', { status: 'running', ...heldBy('worker-1') });
+
+    const job = await queueService.claimJob('failed-job', 'worker-2');
+    expect(job).toMatchObject({ status: 'running', workerId: 'worker-2' });
+    expect(job.leaseExpiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    expect(await queueService.claimJob('claimed-job', 'worker-2')).toBeNull();
+    expect(await queueService.claimJob('failed-job', 'worker-3')).toBeNull();
+  });
+
+  describe('cancelJob', () => {
+    it('cancels jobs no worker holds straight away', async () => {
+      await createJob('pending-job', { status: 'pending' });
+      await createJob('paused-job', { status: 'paused' });
+
+      expect(await queueService.cancelJob('pending-job')).toMatchObject({ status: 'cancelled' });
+      expect(await queueService.cancelJob('paused-job')).toMatchObject({ status: 'cancelled' });
+    });
+
+    it('leaves running and pausing jobs to their worker', async () => {
+      await createJob('running-job', { status: 'running', ...heldBy('worker-1') });
+      await createJob('pausing-job', { status: 'paused', ...heldBy('worker-1') });
+
+      expect(await queueService.cancelJob('running-job')).toMatchObject({ status: 'cancelling', workerId: 'worker-1' });
+      expect(await queueService.cancelJob('pausing-job')).toMatchObject({ status: 'cancelling', workerId: 'worker-1' });
+    });
+
+    it('does not cancel finished jobs', async () => {
+      await createJob('completed-job', { status: 'completed' });
+      await createJob('cancelled-job', { status: 'cancelled' });
+
+      expect(await queueService.cancelJob('completed-job')).toBeNull();
+      expect(await queueService.cancelJob('cancelled-job')).toBeNull();
+    });
+
+    it('finishes a job cancelled while its scraper was pausing', async () => {
+      await createJob('job', { status: 'running', startTime: new Date(), ...heldBy('worker-1') });
+
+      // The scraper saw the pause before the cancel came in
+      const scraper = createScraper('lkq');
+      scraper.setJobId('job');
+      await queueService.pauseJob('job');
+      expect(await scraper.shouldStop()).toBe(true);
+      await queueService.cancelJob('job');
+
+      await scraper.markStopped();
+      expect((await storageService.getScraperJob('job')).status).toBe('cancelled');
+    });
+
+    it('finishes a job cancelled after its scraper stopped once the worker releases it', async () => {
+      await createJob('job', { status: 'paused', ...heldBy('worker-1') });
+      await queueService.cancelJob('job');
+
+      await queueService.releaseJob('job', 'worker-1');
+
+      const job = await storageService.getScraperJob('job');
+      expect(job).toMatchObject({ status: 'cancelled' });
+      expect(job.workerId).toBeUndefined();
+      expect(job.endTime).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('pauseJob', () => {
+    it('pauses pending and running jobs', async () => {
+      await createJob('pending-job', { status: 'pending' });
+      await createJob('running-job', { status: 'running', ...heldBy('worker-1') });
+
+      expect(await queueService.pauseJob('pending-job')).toMatchObject({ status: 'paused' });
+      expect(await queueService.pauseJob('running-job')).toMatchObject({ status: 'paused', workerId: 'worker-1' });
+    });
+
+    it('does not pause jobs that are stopping or finished', async () => {
+      await createJob('cancelling-job', { status: 'cancelling', ...heldBy('worker-1') });
+      await createJob('paused-job', { status: 'paused' });
+      await createJob('completed-job', { status: 'completed' });
+
+      expect(await queueService.pauseJob('cancelling-job')).toBeNull();
+      expect(await queueService.pauseJob('paused-job')).toBeNull();
+      expect(await queueService.pauseJob('completed-job')).toBeNull();
+    });
+  });
+
+  describe('requeueExpiredJobs', () => {
+    it('requeues running jobs whose lease expired, and fails those out of attempts', async () => {
+      await createJob('live-job', { status: 'running', attempts: 1, ...heldBy('worker-1') });
+      await createJob('expired-job', { status: 'running', attempts: 1, ...heldBy('worker-1', -1000) });
+      await createJob('exhausted-job', {
+        status: 'running',
+        attempts: config.queue.maxAttempts,
+        ...heldBy('worker-1', -1000),
+      });
+
+      expect(await queueService.requeueExpiredJobs()).toEqual({ requeued: 1, failed: 1, cancelled: 0 });
+
+      expect(await storageService.getScraperJob('live-job')).toMatchObject({ status: 'running', workerId: 'worker-1' });
+
+      const expired = await storageService.getScraperJob('expired-job');
+      expect(expired.status).toBe('pending');
+      expect(expired.workerId).toBeUndefined();
+
+      expect(await storageService.getScraperJob('exhausted-job')).toMatchObject({ status: 'failed' });
+    });
+
+    it('cancels cancelling jobs no worker can finish', async () => {
+      await createJob('expired-job', { status: 'cancelling', ...heldBy('worker-1', -1000) });
+      await createJob('released-job', { status: 'cancelling' });
+      await createJob('live-job', { status: 'cancelling', ...heldBy('worker-1') });
+
+      expect(await queueService.requeueExpiredJobs()).toMatchObject({ cancelled: 2 });
+
+      expect((await storageService.getScraperJob('expired-job')).status).toBe('cancelled');
+      expect((await storageService.getScraperJob('released-job')).status).toBe('cancelled');
+      expect((await storageService.getScraperJob('live-job')).status).toBe('cancelling');
+    });
+
+    it('releases paused jobs whose lease expired so they can be resumed', async () => {
+      await createJob('paused-job', { status: 'paused', ...heldBy('worker-1', -1000) });
+
+      await queueService.requeueExpiredJobs();
+
+      const job = await storageService.getScraperJob('paused-job');
+      expect(job.status).toBe('paused');
+      expect(job.workerId).toBeUndefined();
+      expect(await queueService.requeueJob('paused-job')).toMatchObject({ status: 'pending' });
+    });
+  });
+});
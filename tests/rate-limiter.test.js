@@ -0,0 +1,101 @@
+const { RateLimiter } = require('../src/utils/rate-limiter');
+
+describe('Rate limiter', () => {
+  /**
+   * Create a limiter for a test host
+   * @param {Object} options - Options to change
+   * @returns {RateLimiter}
+   */
+  const createLimiter = (options = {}) => new RateLimiter({
+    host: 'lkq.test',
+    requestsPerMinute: 60,
+    minRequestsPerMinute: 20,
+    burst: 2,
+    successStreak: 3,
+    ...options,
+  });
+
+  /**
+   * Track when a limiter lets a request through
+   * @param {RateLimiter} limiter - The limiter
+   * @returns {Object} - { done } set to true once the request may go out
+   */
+  const acquire = (limiter) => {
+    const request = { done: false };
+    limiter.acquire().then(() => {
+      request.done = true;
+    });
+    return request;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets a burst through and then refills a token per interval', async () => {
+    const limiter = createLimiter();
+
+    await limiter.acquire();
+    await limiter.acquire();
+
+    const request = acquire(limiter);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(request.done).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(request.done).toBe(true);
+  });
+
+  it('does not save up more tokens than the burst', async () => {
+    const limiter = createLimiter();
+
+    await jest.advanceTimersByTimeAsync(60000);
+    limiter.refill();
+
+    expect(limiter.tokens).toBe(2);
+  });
+
+  it('halves the rate on throttling, down to the minimum', () => {
+    const limiter = createLimiter();
+
+    limiter.recordThrottle('HTTP 429');
+    expect(limiter.getStatus()).toMatchObject({ requestsPerMinute: 30, throttleCount: 1, lastThrottleReason: 'HTTP 429' });
+    expect(limiter.tokens).toBe(0);
+
+    limiter.recordThrottle('HTTP 503');
+    expect(limiter.getStatus()).toMatchObject({ requestsPerMinute: 20, throttleCount: 2, lastThrottleReason: 'HTTP 503' });
+  });
+
+  it('speeds back up after a streak of successes, up to the configured rate', () => {
+    const limiter = createLimiter();
+    limiter.recordThrottle('HTTP 429');
+
+    limiter.recordSuccess();
+    limiter.recordSuccess();
+    expect(limiter.rate).toBe(30);
+
+    limiter.recordSuccess();
+    expect(limiter.rate).toBe(37.5);
+
+    for (let i = 0; i < 9; i++) {
+      limiter.recordSuccess();
+    }
+    expect(limiter.rate).toBe(60);
+  });
+
+  it('waits out a Retry-After before the next request', async () => {
+    const limiter = createLimiter();
+    limiter.recordThrottle('HTTP 429', 5000);
+
+    const request = acquire(limiter);
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(request.done).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(request.done).toBe(true);
+  });
+});
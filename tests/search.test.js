@@ -0,0 +1,83 @@
+const database = require('./support/database');
+const { Part } = require('../src/models');
+const searchService = require('../src/services/search');
+
+/**
+ * Build a stored part
+ * @param {number} index - Part index
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} - Part
+ */
+const buildPart = (index, overrides = {}) => ({
+  partNumber: `LKQ-${String(index).padStart(5, '0')}`,
+  name: 'Alternator 12V',
+  description: 'Used alternator',
+  source: 'lkq',
+  category: 'Alternator',
+  price: 100 + index,
+  priceAmount: (100 + index) * 100,
+  condition: 'used',
+  inStock: true,
+  metadata: { yardState: 'IL', sourceVehicleMake: 'Ford' },
+  ...overrides,
+});
+
+describe('Parts search', () => {
+  beforeAll(async () => {
+    await database.connect();
+    await Part.init();
+  });
+
+  beforeEach(async () => {
+    await Part.create([
+      ...Array.from({ length: 5 }, (value, index) => buildPart(index + 1)),
+      buildPart(6, { name: 'Starter Motor', category: 'Starter', metadata: { yardState: 'TX', sourceVehicleMake: 'Toyota' } }),
+      buildPart(7, { name: 'Alternator 24V', condition: 'refurbished', inStock: false }),
+      buildPart(8, { delisted: true }),
+    ]);
+  });
+
+  afterEach(async () => {
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('searches by text and counts facets over the filtered parts', async () => {
+    const result = await searchService.searchParts({ q: 'alternator' });
+
+    expect(result.pagination.total).toBe(6);
+    expect(result.facets.condition).toEqual([
+      { value: 'used', count: 5 },
+      { value: 'refurbished', count: 1 },
+    ]);
+    expect(result.facets.price).toEqual({ min: 101, max: 107 });
+  });
+
+  it('filters by condition, stock, price range and yard state', async () => {
+    const { parts } = await searchService.searchParts({
+      condition: 'used',
+      inStock: true,
+      priceMin: 102,
+      priceMax: 104,
+      yardState: 'il',
+    }, { sort: 'price' });
+
+    expect(parts.map(part => part.partNumber)).toEqual(['LKQ-00002', 'LKQ-00003', 'LKQ-00004']);
+  });
+
+  it('pages through results with a cursor', async () => {
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const result = await searchService.searchParts({}, { sort: '-price', limit: 3, cursor });
+      seen.push(...result.parts.map(part => part.partNumber));
+      cursor = result.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['LKQ-00007', 'LKQ-00006', 'LKQ-00005', 'LKQ-00004', 'LKQ-00003', 'LKQ-00002', 'LKQ-00001']);
+  });
+});
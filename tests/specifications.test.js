@@ -0,0 +1,43 @@
+const { extractSpecifications } = require('../src/utils/specifications');
+const { getSpecificationRules } = require('../src/scrapers/lkq/specification-rules');
+const { mapProductToPart } = require('../src/scrapers/lkq/mapper');
+
+describe('Specification extraction', () => {
+  it('extracts typed values with units', () => {
+    const specifications = extractSpecifications(
+      'ALTERNATOR 120 AMP 12V, SERPENTINE PULLEY 6 GROOVE, OE 8L8T-10300-AC',
+      getSpecificationRules('Alternator')
+    );
+
+    expect(specifications).toEqual({
+      voltage: { value: 12, unit: 'V' },
+      amperage: { value: 120, unit: 'A' },
+      pulleyType: { value: 'Serpentine' },
+      pulleyGrooves: { value: 6 },
+      oeNumber: { value: '8L8T-10300-AC' },
+    });
+  });
+
+  it('applies the rules of the part category', () => {
+    const description = 'Battery 12V 650 CCA, Group 65, RC 120';
+
+    expect(extractSpecifications(description, getSpecificationRules('Battery'))).toEqual({
+      voltage: { value: 12, unit: 'V' },
+      coldCrankingAmps: { value: 650, unit: 'A' },
+      groupSize: { value: '65' },
+      reserveCapacity: { value: 120, unit: 'min' },
+    });
+    expect(extractSpecifications('Starter 1.4kW 10 tooth, front driver side', getSpecificationRules('Starter'))).toEqual({
+      power: { value: 1.4, unit: 'kW' },
+      teeth: { value: 10 },
+      side: { value: 'Left' },
+      position: { value: 'Front' },
+    });
+  });
+
+  it('finds nothing in descriptions the rules do not cover', () => {
+    const part = mapProductToPart({ number: 'LKQ-1', category: 'Body|Door', description: 'Door assembly, 120 Amp' });
+
+    expect(part.specifications).toEqual({});
+  });
+});
@@ -0,0 +1,171 @@
+const database = require('./support/database');
+const { Part } = require('../src/models');
+const storageService = require('../src/services/storage');
+const fitmentService = require('../src/services/fitment');
+const searchService = require('../src/services/search');
+const interchangeService = require('../src/services/interchange');
+const specificationService = require('../src/services/specifications');
+const { normaliseFitment } = require('../src/utils/fitment');
+
+/**
+ * Build a mapped part the way the LKQ mapper does
+ * @param {number} index - Part index
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} - Mapped part
+ */
+const buildPart = (index, overrides = {}) => ({
+  partNumber: `LKQ-ALT-${String(index).padStart(5, '0')}`,
+  name: 'Alternator',
+  price: 100,
+  inStock: true,
+  condition: 'used',
+  metadata: { yardCity: 'Chicago', yardState: 'IL' },
+  ...overrides,
+});
+
+describe('Storage service', () => {
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterEach(async () => {
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('counts created, updated, unchanged and invalid parts', async () => {
+    await storageService.storeScrapedData('lkq', [buildPart(1), buildPart(2)]);
+
+    const result = await storageService.storeScrapedData('lkq', [
+      buildPart(1),
+      buildPart(2, { price: 90 }),
+      buildPart(3),
+      buildPart(4, { name: undefined }),
+    ]);
+
+    expect(result).toMatchObject({ created: 1, updated: 1, unchanged: 1, failed: 1 });
+    expect(result.errors[0].partNumber).toBe('LKQ-ALT-00004');
+  });
+
+  it('logs new and changed parts with their changed fields', async () => {
+    await storageService.createScraperJob({ jobId: 'first', source: 'lkq', query: 'Alternator' });
+    await storageService.createScraperJob({ jobId: 'second', source: 'lkq', query: 'Alternator' });
+
+    await storageService.storeScrapedData('lkq', [buildPart(1), buildPart(2)], { jobId: 'first', updateTotalOnly: true });
+    await storageService.storeScrapedData('lkq', [
+      buildPart(1),
+      buildPart(2, { price: 90, metadata: { yardCity: 'Joliet', yardState: 'IL' } }),
+      buildPart(3),
+    ], { jobId: 'second', updateTotalOnly: true });
+
+    const { changes } = await storageService.listPartChanges('second');
+    expect(changes.map(change => [change.partNumber, change.type])).toEqual([
+      ['LKQ-ALT-00002', 'changed'],
+      ['LKQ-ALT-00003', 'new'],
+    ]);
+    expect(changes[0].fields).toEqual([
+      { field: 'price', from: 100, to: 90 },
+      { field: 'metadata.yardCity', from: 'Chicago', to: 'Joliet' },
+    ]);
+
+    const byField = await storageService.listPartChanges('second', { field: 'metadata' });
+    expect(byField.pagination.total).toBe(1);
+  });
+
+  it('finds parts and fitment options by year, make and model', async () => {
+    await storageService.storeScrapedData('lkq', [
+      buildPart(1, { fitment: normaliseFitment([{ make: 'Ford', model: 'F-150', year: '2011-2014' }]) }),
+      buildPart(2, { fitment: normaliseFitment([{ make: 'FORD', model: 'F-150', year: '2015-2017' }]) }),
+      buildPart(3, { fitment: normaliseFitment([{ make: 'Ford', model: 'Ranger', year: '2014' }]) }),
+      // Mixed case names are kept as given, but match whatever their case
+      buildPart(4, { fitment: normaliseFitment([{ make: 'Mazda', model: 'Mazda3', year: '2014' }]) }),
+      buildPart(5, { fitment: normaliseFitment([{ make: 'MAZDA', model: 'MAZDA3', year: '2015' }]) }),
+    ]);
+
+    const { parts } = await searchService.searchParts({ make: 'FORD', model: 'f-150', year: '2014' });
+    expect(parts.map(part => part.partNumber)).toEqual(['LKQ-ALT-00001']);
+
+    const { parts: mazdaParts } = await searchService.searchParts({ make: 'mazda', model: 'mazda3' });
+    expect(mazdaParts.map(part => part.partNumber).sort()).toEqual(['LKQ-ALT-00004', 'LKQ-ALT-00005']);
+
+    expect(await fitmentService.listMakes()).toEqual([{ make: 'Ford', partCount: 3 }, { make: 'Mazda', partCount: 2 }]);
+    expect(await fitmentService.listModels('ford')).toEqual([
+      { model: 'F-150', partCount: 2 },
+      { model: 'Ranger', partCount: 1 },
+    ]);
+    expect(await fitmentService.listModels('MAZDA')).toEqual([{ model: expect.stringMatching(/^mazda3$/i), partCount: 2 }]);
+    expect(await fitmentService.listYears('Ford', 'F-150')).toEqual([2017, 2016, 2015, 2014, 2013, 2012, 2011]);
+    expect(await fitmentService.listYears('mazda', 'MAZDA3')).toEqual([2015, 2014]);
+  });
+
+  it('finds equivalent parts by interchange number', async () => {
+    await storageService.storeScrapedData('lkq', [
+      buildPart(1, { interchange: ['601-01234'], inStock: false }),
+      buildPart(2, { interchange: ['601-01234', '601-01235'], priceAmount: 9000, metadata: { yardCity: 'Dallas', yardState: 'TX' } }),
+      buildPart(3, { interchange: ['601-01234'], priceAmount: 8000 }),
+      buildPart(4, { interchange: ['601-09999'] }),
+      buildPart(5, { interchange: ['601-01234'] }),
+    ]);
+    await Part.updateOne({ partNumber: 'LKQ-ALT-00005' }, { $set: { delisted: true } });
+
+    const result = await interchangeService.findByInterchange(' 601-01234 ');
+
+    expect(result.total).toBe(3);
+    expect(result.parts.map(part => part.partNumber)).toEqual(['LKQ-ALT-00003', 'LKQ-ALT-00002', 'LKQ-ALT-00001']);
+    expect(result.yards).toEqual([
+      { source: 'lkq', yardCity: 'Chicago', yardState: 'IL', partCount: 2 },
+      { source: 'lkq', yardCity: 'Dallas', yardState: 'TX', partCount: 1 },
+    ]);
+  });
+
+  it('reports the descriptions that produced no specifications', async () => {
+    await storageService.storeScrapedData('lkq', [
+      buildPart(1, { category: 'Alternator', specifications: { amperage: { value: 150, unit: 'A' } } }),
+      buildPart(2, { category: 'Alternator', description: 'Alternator, remanufactured', specifications: {} }),
+      buildPart(3, { category: 'Battery', specifications: { voltage: { value: 12, unit: 'V' } } }),
+    ]);
+
+    const report = await specificationService.getCoverageReport({ samples: 5 });
+
+    expect(report).toMatchObject({ total: 3, withSpecifications: 2, coverage: 0.667 });
+    expect(report.categories[0]).toEqual({
+      category: 'Alternator',
+      total: 2,
+      withSpecifications: 1,
+      coverage: 0.5,
+      specifications: { amperage: 1 },
+      missing: [{ source: 'lkq', partNumber: 'LKQ-ALT-00002', description: 'Alternator, remanufactured' }],
+    });
+  });
+
+  it('quarantines rejected products and counts them on the job', async () => {
+    await storageService.createScraperJob({ jobId: 'quarantine-job', source: 'lkq', query: 'Alternator', status: 'running' });
+
+    await storageService.quarantineParts('lkq', [{
+      productId: 'ALT00001',
+      rawProduct: { id: 'ALT00001' },
+      mappedPart: { partNumber: 'LKQ-ALT-00001', name: '' },
+      reasons: [{ field: 'name', message: 'Is required' }],
+    }], { jobId: 'quarantine-job' });
+
+    const { quarantined } = await storageService.listQuarantinedParts('quarantine-job');
+    expect(quarantined).toHaveLength(1);
+    expect(quarantined[0]).toMatchObject({ partNumber: 'LKQ-ALT-00001', rawProduct: { id: 'ALT00001' } });
+    expect((await storageService.getScraperJob('quarantine-job')).stats.quarantined).toBe(1);
+  });
+
+  it('records a history snapshot when price or availability changes', async () => {
+    await storageService.storeScrapedData('lkq', [buildPart(1)]);
+    await storageService.storeScrapedData('lkq', [buildPart(1, { description: 'Tested' })]);
+    await storageService.storeScrapedData('lkq', [buildPart(1, { price: 90, inStock: false })]);
+
+    const history = await storageService.getPartHistory('lkq', 'LKQ-ALT-00001');
+
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ price: 100, inStock: true, yardState: 'IL', changedFields: [] });
+    expect(history[1]).toMatchObject({ price: 90, inStock: false, changedFields: ['price', 'inStock'] });
+  });
+});
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongod = null;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ * @returns {Promise<void>}
+ */
+const connect = async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+};
+
+/**
+ * Remove all documents between tests
+ * @returns {Promise<void>}
+ */
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Disconnect and stop the in-memory MongoDB
+ * @returns {Promise<void>}
+ */
+const disconnect = async () => {
+  await mongoose.disconnect();
+
+  if (mongod) {
+    await mongod.stop();
+    mongod = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect,
+};
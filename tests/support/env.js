@@ -0,0 +1,14 @@
+// Loaded by Jest before each test file, ahead of src/config
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// Never reach for a real browser, proxy or the live site from tests
+process.env.LKQ_AUTO_HARVEST = 'false';
+process.env.PROXY_URLS = '';
+process.env.LKQ_HTTP_MODE = 'live';
+
+// Don't pace or back off against the mock server
+process.env.LKQ_REQUESTS_PER_MINUTE = '600000';
+process.env.LKQ_RATE_BURST = '1000';
+process.env.SCRAPER_RETRY_ATTEMPTS = '1';
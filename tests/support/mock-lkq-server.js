@@ -0,0 +1,180 @@
+const express = require('express');
+
+/**
+ * Local stand-in for the LKQ product API
+ * --------------------------------------
+ *
+ * Serves GET /api/catalog/0/product like lkqonline.com does:
+ *   - action=GetSearchResults: products of a category, paged with skip/take, with the total count
+ *   - action=GetProductDetails: details for a productId
+ *
+ * Failures can be queued with inject() and are served, in order, to the next requests:
+ *   - 'challenge': HTML bot challenge page
+ *   - 'badRequest': 400 with an empty body (rejected credentials)
+ *   - 'rateLimit': 429 Too Many Requests
+ *
+ * Run directly to scrape against it offline:
+ *   node tests/support/mock-lkq-server.js [port]
+ *   LKQ_API_URL=http://127.0.0.1:4010/api/catalog/0/product npm run worker
+ */
+
+const DEFAULT_CATALOG = {
+  'Engine Compartment|Alternator': 25,
+  'Engine Compartment|Battery': 8,
+};
+
+/**
+ * Build a fake product in the shape the LKQ search endpoint returns
+ * @param {string} category - Category path
+ * @param {number} index - Position in the category
+ * @returns {Object} - Product
+ */
+const buildProduct = (category, index) => {
+  const slug = category.split('|')[1].toUpperCase().slice(0, 3);
+  const year = 2010 + (index % 10);
+
+  return {
+    id: `${slug}${String(index).padStart(5, '0')}`,
+    number: `LKQ-${slug}-${String(index).padStart(5, '0')}`,
+    description: `${category.split('|')[1]} 12V 150A, ${year} Ford F-150`,
+    descriptionRetail: `${category.split('|')[1]} for ${year} Ford F-150`,
+    price: (100 + index).toFixed(2),
+    category,
+    availability: index % 5 === 0 ? 'unavailable' : 'availableLocal',
+    ftcDisplay: 'Used',
+    interchange: `601-${String(index).padStart(5, '0')}`,
+    mileage: 80000 + index * 1000,
+    yardCity: 'Chicago',
+    yardState: 'IL',
+    catalog: { id: 0, name: 'Automotive' },
+    isReman: false,
+    images: [{ url: `https://images.example.com/${slug}/${index}.jpg`, description: 'Front' }],
+    fitmentJson: JSON.stringify([{ SystemMake: 'Ford', SystemModel: 'F-150', SystemYear: String(year) }]),
+    // Five parts per donor vehicle
+    _salvageSourceVehicle: JSON.stringify({
+      Make: 'Ford',
+      Model: 'F-150',
+      Year: year,
+      Mileage: 80000 + index * 1000,
+      StockNumber: `${slug}-V${Math.ceil(index / 5)}`,
+      ArrivalDate: '2024-03-01T00:00:00Z',
+    }),
+  };
+};
+
+/**
+ * Create a mock LKQ server
+ * @param {Object} options - Server options
+ * @param {Object} options.catalog - Product count per category path
+ * @returns {Object} - Server controls (start, stop, inject, requests, apiUrl)
+ */
+const createMockLkqServer = (options = {}) => {
+  const catalog = options.catalog || DEFAULT_CATALOG;
+  const products = new Map();
+
+  Object.entries(catalog).forEach(([category, count]) => {
+    products.set(category, Array.from({ length: count }, (value, index) => buildProduct(category, index + 1)));
+  });
+
+  const app = express();
+  const requests = [];
+  const failures = [];
+  let server = null;
+
+  app.get('/api/catalog/0/product', (req, res) => {
+    requests.push({ query: { ...req.query }, headers: { ...req.headers } });
+
+    const failure = failures.shift();
+
+    if (failure === 'challenge') {
+      return res.status(200).type('html').send('<!DOCTYPE html><html><body>Please verify you are a human</body></html>');
+    }
+
+    if (failure === 'badRequest') {
+      return res.status(400).send('');
+    }
+
+    if (failure === 'rateLimit') {
+      return res.status(429).set('Retry-After', '0').json({ message: 'Too many requests' });
+    }
+
+    if (req.query.action === 'GetProductDetails') {
+      const product = [...products.values()].flat().find(item => item.id === req.query.productId);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      return res.json({
+        productId: product.id,
+        warranty: '90 Day',
+        notes: `Tested, ${product.mileage} miles`,
+        stockNumber: `STK-${product.id}`,
+      });
+    }
+
+    const items = products.get(req.query.category) || [];
+    const skip = parseInt(req.query.skip || '0', 10);
+    const take = parseInt(req.query.take || '10', 10);
+
+    return res.json({
+      data: items.slice(skip, skip + take),
+      count: items.length,
+    });
+  });
+
+  return {
+    app,
+    requests,
+    products,
+
+    /**
+     * Queue failures for the next requests
+     * @param {...string} types - 'challenge', 'badRequest' or 'rateLimit'
+     */
+    inject(...types) {
+      failures.push(...types);
+    },
+
+    /**
+     * Start listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<string>} - API URL to point the scraper at
+     */
+    start(port = 0) {
+      return new Promise((resolve) => {
+        server = app.listen(port, '127.0.0.1', () => {
+          this.apiUrl = `http://127.0.0.1:${server.address().port}/api/catalog/0/product`;
+          resolve(this.apiUrl);
+        });
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          resolve();
+          return;
+        }
+        server.close(() => resolve());
+        server = null;
+      });
+    },
+  };
+};
+
+if (require.main === module) {
+  const mock = createMockLkqServer();
+  mock.start(parseInt(process.argv[2] || '4010', 10)).then((apiUrl) => {
+    console.log(`Mock LKQ API listening at ${apiUrl}`);
+  });
+}
+
+module.exports = {
+  createMockLkqServer,
+  buildProduct,
+};
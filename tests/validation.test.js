@@ -0,0 +1,81 @@
+const { validatePart, dropInvalidFitment } = require('../src/services/validation');
+const { createScraper } = require('../src/scrapers');
+const { buildProduct } = require('./support/mock-lkq-server');
+
+const validPart = {
+  partNumber: 'LKQ-ALT-00001',
+  name: 'Alternator',
+  source: 'lkq',
+  price: 103,
+  priceAmount: 10300,
+  currency: 'USD',
+  inStock: true,
+  quantity: 1,
+  condition: 'used',
+  fitment: [{ make: 'Ford', model: 'F-150', yearFrom: 2011, yearTo: 2014 }],
+};
+
+describe('Part validation', () => {
+  it('accepts a complete part', () => {
+    expect(validatePart(validPart)).toEqual([]);
+  });
+
+  it('reports missing fields, wrong types and out of range values', () => {
+    const reasons = validatePart({
+      ...validPart,
+      partNumber: 'unknown',
+      price: '103.00',
+      priceAmount: -1,
+      currency: 'usd',
+      condition: 'broken',
+    });
+
+    expect(reasons.map(reason => reason.field)).toEqual([
+      'partNumber',
+      'price',
+      'priceAmount',
+      'currency',
+      'condition',
+    ]);
+  });
+
+  it('drops invalid fitment entries with a warning instead of rejecting the part', () => {
+    const part = dropInvalidFitment({
+      ...validPart,
+      fitment: [
+        ...validPart.fitment,
+        { model: 'F-150', yearFrom: 2011, yearTo: 2014 },
+        { make: 'Ford', yearFrom: 2014, yearTo: 1850 },
+      ],
+      mappingWarnings: [{ field: 'price', value: '', message: 'No price' }],
+    });
+
+    expect(part.fitment).toEqual(validPart.fitment);
+    expect(part.mappingWarnings.map(warning => warning.field)).toEqual([
+      'price',
+      'fitment.1.make',
+      'fitment.2.yearTo',
+      'fitment.2.yearFrom',
+    ]);
+    expect(validatePart(part)).toEqual([]);
+  });
+
+  it('rejects products that fail to map or validate, with their raw payload', () => {
+    const scraper = createScraper('lkq');
+    const noName = { id: 'ALT99999', number: 'LKQ-ALT-99999', category: 'Engine Compartment|Alternator' };
+    const unmappable = { ...noName, description: 'Alternator', category: 42 };
+
+    const { parts, rejected } = scraper.mapProducts([buildProduct('Engine Compartment|Alternator', 1), noName, unmappable]);
+
+    expect(parts).toHaveLength(1);
+    expect(rejected).toHaveLength(2);
+    expect(rejected[0]).toMatchObject({
+      productId: 'ALT99999',
+      rawProduct: noName,
+      reasons: [{ field: 'name', message: 'Is required' }],
+    });
+    expect(rejected[0].mappedPart.partNumber).toBe('LKQ-ALT-99999');
+    expect(rejected[1].mappedPart).toBeUndefined();
+    expect(rejected[1].reasons[0].message).toMatch(/^Mapping failed/);
+  });
+});